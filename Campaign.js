@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const campaignSchema = new mongoose.Schema({
+  initiative: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Initiative',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  goalAmount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  deadline: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  // Set while completed donations cover the goal
+  goalReachedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Campaigns accept donations until their deadline unless cancelled
+campaignSchema.methods.isOpen = function(now = new Date()) {
+  return this.status === 'active' && this.deadline > now;
+};
+
+// Index for efficient queries
+campaignSchema.index({ initiative: 1, deadline: -1 });
+
+module.exports = mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Named sequences for consecutive numbering (e.g. receipt numbers per year).
+// Numbers are never handed out twice, so take one only when it will be used:
+// a number that is taken and dropped leaves a gap.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Atomically take the next number of a sequence, starting at 1
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -1,60 +1,213 @@
-const mongoose = require('mongoose');
-
-const donationSchema = new mongoose.Schema({
-  initiative: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Initiative',
-    required: true
-  },
-  donor: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  amount: {
-    type: Number,
-    required: true,
-    min: 0.01
-  },
-  currency: {
-    type: String,
-    default: 'USD'
-  },
-  paymentMethod: {
-    type: String,
-    enum: ['credit_card', 'paypal', 'bank_transfer', 'cash', 'other'],
-    required: true
-  },
-  status: {
-    type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
-    default: 'pending'
-  },
-  transactionId: {
-    type: String
-  },
-  message: {
-    type: String,
-    maxlength: 500
-  },
-  isAnonymous: {
-    type: Boolean,
-    default: false
-  },
-  receipt: {
-    sent: {
-      type: Boolean,
-      default: false
-    },
-    sentAt: Date
-  }
-}, {
-  timestamps: true
-});
-
-// Index for efficient queries
-donationSchema.index({ initiative: 1, createdAt: -1 });
-donationSchema.index({ donor: 1, createdAt: -1 });
-donationSchema.index({ status: 1 });
-
+const mongoose = require('mongoose');
+
+const donationSchema = new mongoose.Schema({
+  initiative: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Initiative',
+    required: true
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  // Installment of a recurring donation plan
+  recurringPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringDonation'
+  },
+  installmentDueAt: {
+    type: Date
+  },
+  // Pledge this donation pays towards
+  pledge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pledge'
+  },
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    match: /^[A-Z]{3}$/
+  },
+  // Amount in the base currency at the exchange rate on the day of the gift
+  baseAmount: {
+    type: Number
+  },
+  baseCurrency: {
+    type: String
+  },
+  exchangeRate: {
+    type: Number
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['credit_card', 'paypal', 'bank_transfer', 'cash', 'other'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'refunded'],
+    default: 'pending'
+  },
+  transactionId: {
+    type: String
+  },
+  // Provider payment intent for online payments
+  paymentProvider: {
+    type: String
+  },
+  paymentIntentId: {
+    type: String
+  },
+  // Admin confirmation of cash and bank transfer donations
+  reconciliation: {
+    reconciledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reconciledAt: Date,
+    reference: String,
+    note: {
+      type: String,
+      maxlength: 500
+    }
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date
+  },
+  // Refunded so far; the donation counts for amount - refundedAmount
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refundRequests: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01
+    },
+    reason: {
+      type: String,
+      required: true,
+      maxlength: 500
+    },
+    status: {
+      type: String,
+      enum: ['requested', 'approved', 'rejected'],
+      default: 'requested'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNote: {
+      type: String,
+      maxlength: 500
+    }
+  }],
+  // Refunds reserved in refundedAmount whose provider call or ledger entry is
+  // not done yet; each becomes the ledger entry with the same _id (see
+  // utils/payments refundDonation)
+  pendingRefunds: [{
+    amount: {
+      type: Number,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    refundRequest: mongoose.Schema.Types.ObjectId,
+    // Set once the provider accepted the refund
+    transactionId: String,
+    startedAt: Date
+  }],
+  // Set while the ledger entry, receipt and totals of a status change are
+  // written; cleared once they all are (see utils/payments finishSettlement)
+  settlement: {
+    fromStatus: String,
+    startedAt: Date,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String
+  },
+  receipt: {
+    // Sequential per year, e.g. R-2024-000042
+    number: String,
+    issuedAt: Date,
+    sent: {
+      type: Boolean,
+      default: false
+    },
+    sentAt: Date,
+    sendCount: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Aggregation expression for the amount a donation counts for after refunds
+donationSchema.statics.NET_AMOUNT = { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] };
+
+// Same in the base currency; refunds reduce it proportionally
+donationSchema.statics.NET_BASE_AMOUNT = {
+  $multiply: [
+    { $ifNull: ['$baseAmount', '$amount'] },
+    { $divide: [{ $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] }, '$amount'] }
+  ]
+};
+
+// Amount the donation currently counts for
+donationSchema.methods.getNetAmount = function() {
+  if (!['completed', 'refunded'].includes(this.status)) return 0;
+  return Math.round((this.amount - (this.refundedAmount || 0)) * 100) / 100;
+};
+
+// Net amount in the base currency (donations from before conversion count as-is)
+donationSchema.methods.getNetBaseAmount = function() {
+  const base = this.baseAmount !== undefined ? this.baseAmount : this.amount;
+  return Math.round((base * this.getNetAmount() / this.amount) * 100) / 100;
+};
+
+// Index for efficient queries
+donationSchema.index({ initiative: 1, createdAt: -1 });
+donationSchema.index({ donor: 1, createdAt: -1 });
+donationSchema.index({ status: 1 });
+donationSchema.index({ 'refundRequests.status': 1 });
+donationSchema.index({ campaign: 1, status: 1 });
+donationSchema.index({ paymentProvider: 1, paymentIntentId: 1 });
+donationSchema.index({ recurringPlan: 1, createdAt: -1 });
+donationSchema.index({ pledge: 1, status: 1 });
+donationSchema.index({ 'receipt.number': 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('Donation', donationSchema); 
\ No newline at end of file
@@ -0,0 +1,100 @@
+// The schema is loaded against a minimal mongoose stand-in so its statics and
+// methods can be tested without a database
+jest.mock('mongoose', () => {
+  class Schema {
+    constructor(definition) {
+      this.definition = definition;
+      this.statics = {};
+      this.methods = {};
+    }
+
+    index() {}
+  }
+  Schema.Types = { ObjectId: 'ObjectId' };
+
+  return { Schema, model: (name, schema) => schema };
+}, { virtual: true });
+
+const donationSchema = require('./Donation');
+
+// Evaluates the aggregation operators used by the expressions against a document
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return doc[expression.slice(1)];
+  if (expression === null || typeof expression !== 'object') return expression;
+
+  const [operator, args] = Object.entries(expression)[0];
+  const [a, b] = args.map(arg => evaluate(arg, doc));
+  switch (operator) {
+    case '$subtract': return a - b;
+    case '$multiply': return a * b;
+    case '$divide': return a / b;
+    case '$ifNull': return a === undefined || a === null ? b : a;
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+const donation = (fields) => {
+  const doc = { status: 'completed', refundedAmount: 0, ...fields };
+  Object.entries(donationSchema.methods).forEach(([name, method]) => {
+    doc[name] = method.bind(doc);
+  });
+  return doc;
+};
+
+describe('net amount', () => {
+  it('is the full amount without refunds', () => {
+    const doc = donation({ amount: 50 });
+    expect(doc.getNetAmount()).toBe(50);
+    expect(evaluate(donationSchema.statics.NET_AMOUNT, doc)).toBe(50);
+  });
+
+  it('subtracts partial refunds', () => {
+    const doc = donation({ amount: 100, refundedAmount: 30.5 });
+    expect(doc.getNetAmount()).toBe(69.5);
+    expect(evaluate(donationSchema.statics.NET_AMOUNT, doc)).toBe(69.5);
+  });
+
+  it('is zero once fully refunded', () => {
+    const doc = donation({ amount: 100, refundedAmount: 100, status: 'refunded' });
+    expect(doc.getNetAmount()).toBe(0);
+    expect(evaluate(donationSchema.statics.NET_AMOUNT, doc)).toBe(0);
+  });
+
+  it('treats a missing refundedAmount as no refund', () => {
+    const doc = donation({ amount: 20, refundedAmount: undefined });
+    expect(evaluate(donationSchema.statics.NET_AMOUNT, doc)).toBe(20);
+  });
+
+  it('does not count pending or failed donations', () => {
+    expect(donation({ amount: 20, status: 'pending' }).getNetAmount()).toBe(0);
+    expect(donation({ amount: 20, status: 'failed' }).getNetAmount()).toBe(0);
+  });
+
+  it('rounds to cents', () => {
+    expect(donation({ amount: 0.3, refundedAmount: 0.1 }).getNetAmount()).toBe(0.2);
+  });
+});
+
+describe('net base amount', () => {
+  const expectBoth = (doc, expected) => {
+    expect(doc.getNetBaseAmount()).toBe(expected);
+    expect(evaluate(donationSchema.statics.NET_BASE_AMOUNT, doc)).toBeCloseTo(expected, 10);
+  };
+
+  it('is the base amount without refunds', () => {
+    expectBoth(donation({ amount: 100, currency: 'EUR', baseAmount: 110 }), 110);
+  });
+
+  it('reduces the base amount in proportion to partial refunds', () => {
+    expectBoth(donation({ amount: 100, currency: 'EUR', baseAmount: 110, refundedAmount: 25 }), 82.5);
+    expectBoth(donation({ amount: 3, currency: 'GBP', baseAmount: 3.81, refundedAmount: 1 }), 2.54);
+  });
+
+  it('is zero once fully refunded', () => {
+    expectBoth(donation({ amount: 100, baseAmount: 110, refundedAmount: 100, status: 'refunded' }), 0);
+  });
+
+  it('falls back to the amount for donations without a base amount', () => {
+    expectBoth(donation({ amount: 40, refundedAmount: 10 }), 30);
+  });
+});
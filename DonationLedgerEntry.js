@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every money movement on a donation. Amounts are
+// signed: charges are positive, refunds negative, adjustments either way.
+const donationLedgerEntrySchema = new mongoose.Schema({
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation',
+    required: true
+  },
+  initiative: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Initiative',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['charge', 'refund', 'adjustment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // Donation status after the movement
+  status: {
+    type: String
+  },
+  // Admin who made the change (unset for provider webhooks and the scheduler)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  transactionId: {
+    type: String
+  },
+  refundRequest: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Entries are never changed once written
+donationLedgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Donation ledger is append-only'));
+});
+
+donationLedgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Donation ledger is append-only'));
+  }
+  next();
+});
+
+// Index for efficient queries
+donationLedgerEntrySchema.index({ donation: 1, createdAt: 1 });
+donationLedgerEntrySchema.index({ initiative: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DonationLedgerEntry', donationLedgerEntrySchema);
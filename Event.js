@@ -1,315 +1,765 @@
-const mongoose = require('mongoose');
-
-const eventSchema = new mongoose.Schema({
-  title: {
-    type: String,
-    required: true,
-    trim: true,
-    maxlength: 100
-  },
-  description: {
-    type: String,
-    required: true,
-    maxlength: 2000
-  },
-  category: {
-    type: String,
-    required: true,
-    enum: ['Community', 'Education', 'Health', 'Environment', 'Arts', 'Sports', 'Technology', 'Social', 'Fundraiser', 'Workshop', 'Other']
-  },
-  date: {
-    type: Date,
-    required: true
-  },
-  endDate: {
-    type: Date
-  },
-  location: {
-    type: String,
-    required: true
-  },
-  address: {
-    street: String,
-    city: String,
-    state: String,
-    zipCode: String,
-    country: String
-  },
-  coordinates: {
-    lat: Number,
-    lng: Number
-  },
-  organizer: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  initiative: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Initiative'
-  },
-  attendees: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  status: {
-    type: String,
-    enum: ['upcoming', 'ongoing', 'completed', 'cancelled'],
-    default: 'upcoming'
-  },
-  capacity: {
-    type: Number,
-    default: 0 // 0 means unlimited
-  },
-  isFree: {
-    type: Boolean,
-    default: true
-  },
-  ticketPrice: {
-    type: Number,
-    default: 0
-  },
-  ticketUrl: {
-    type: String
-  },
-  contactInfo: {
-    email: String,
-    phone: String
-  },
-  socialMedia: {
-    facebook: String,
-    twitter: String,
-    instagram: String
-  },
-  images: [{
-    type: String
-  }],
-  tags: [{
-    type: String
-  }],
-  // Enhanced event tracking
-  eventMetrics: {
-    totalAttendees: { type: Number, default: 0 },
-    totalLikes: { type: Number, default: 0 },
-    totalShares: { type: Number, default: 0 },
-    totalViews: { type: Number, default: 0 },
-    engagementRate: { type: Number, default: 0 }
-  },
-  // Feedback and reviews system
-  feedback: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    rating: {
-      type: Number,
-      min: 1,
-      max: 5,
-      required: true
-    },
-    comment: {
-      type: String,
-      maxlength: 500
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  averageRating: {
-    type: Number,
-    default: 0,
-    min: 0,
-    max: 5
-  },
-  totalRatings: {
-    type: Number,
-    default: 0
-  },
-  // Event details
-  agenda: [{
-    time: String,
-    activity: String,
-    description: String
-  }],
-  speakers: [{
-    name: String,
-    title: String,
-    bio: String,
-    avatar: String
-  }],
-  sponsors: [{
-    name: String,
-    logo: String,
-    website: String
-  }],
-  // Community engagement
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    content: {
-      type: String,
-      required: true,
-      maxlength: 1000
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    },
-    likes: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    }]
-  }],
-  // Past event tracking
-  pastEvents: [{
-    eventId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Event'
-    },
-    date: Date,
-    attendees: Number,
-    feedback: String
-  }],
-  // Initiative connections
-  relatedInitiatives: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Initiative'
-  }],
-  // Social impact
-  socialImpact: {
-    peopleConnected: { type: Number, default: 0 },
-    knowledgeShared: { type: Number, default: 0 },
-    communityBuilding: { type: Number, default: 0 },
-    environmentalImpact: { type: Number, default: 0 }
-  },
-  // Visibility and sharing
-  isPublic: {
-    type: Boolean,
-    default: true
-  },
-  shareCount: {
-    type: Number,
-    default: 0
-  },
-  viewCount: {
-    type: Number,
-    default: 0
-  },
-  // Event reminders
-  reminders: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    reminderTime: {
-      type: Date,
-      required: true
-    },
-    sent: {
-      type: Boolean,
-      default: false
-    }
-  }]
-}, {
-  timestamps: true
-});
-
-// Calculate average rating when feedback is added/updated
-eventSchema.pre('save', function(next) {
-  if (this.feedback && this.feedback.length > 0) {
-    const totalRating = this.feedback.reduce((sum, feedback) => sum + feedback.rating, 0);
-    this.averageRating = totalRating / this.feedback.length;
-    this.totalRatings = this.feedback.length;
-  }
-  
-  // Calculate engagement rate
-  if (this.attendees && this.attendees.length > 0) {
-    this.eventMetrics.engagementRate = (this.likes.length / this.attendees.length) * 100;
-  }
-  
-  next();
-});
-
-// Add feedback method
-eventSchema.methods.addFeedback = function(userId, rating, comment) {
-  // Remove existing feedback from this user
-  this.feedback = this.feedback.filter(f => f.user.toString() !== userId.toString());
-  
-  // Add new feedback
-  this.feedback.push({
-    user: userId,
-    rating,
-    comment
-  });
-  
-  return this.save();
-};
-
-// Add comment method
-eventSchema.methods.addComment = function(userId, content) {
-  this.comments.push({
-    user: userId,
-    content
-  });
-  
-  return this.save();
-};
-
-// Track attendance
-eventSchema.methods.addAttendee = function(userId) {
-  if (!this.attendees.includes(userId)) {
-    this.attendees.push(userId);
-    this.eventMetrics.totalAttendees = this.attendees.length;
-  }
-  return this.save();
-};
-
-// Remove attendee
-eventSchema.methods.removeAttendee = function(userId) {
-  this.attendees = this.attendees.filter(id => id.toString() !== userId.toString());
-  this.eventMetrics.totalAttendees = this.attendees.length;
-  return this.save();
-};
-
-// Calculate social impact score
-eventSchema.methods.calculateSocialImpact = function() {
-  const impact = this.socialImpact;
-  let score = 0;
-  
-  // People connected (max 30 points)
-  score += Math.min(impact.peopleConnected / 10, 30);
-  
-  // Knowledge shared (max 25 points)
-  score += Math.min(impact.knowledgeShared / 5, 25);
-  
-  // Community building (max 25 points)
-  score += Math.min(impact.communityBuilding / 5, 25);
-  
-  // Environmental impact (max 20 points)
-  score += Math.min(impact.environmentalImpact, 20);
-  
-  return Math.round(score);
-};
-
-// Add reminder
-eventSchema.methods.addReminder = function(userId, reminderTime) {
-  this.reminders.push({
-    user: userId,
-    reminderTime
-  });
-  
-  return this.save();
-};
-
-// Index for date-based queries
-eventSchema.index({ date: 1 });
-eventSchema.index({ title: 'text', description: 'text', tags: 'text' });
-
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { pointSchema, syncGeoPoint } = require('../utils/geo');
+const { commentSchema } = require('../utils/comments');
+
+// Hours before the start that attendees are reminded by default (0 disables)
+const DEFAULT_REMINDER_HOURS = process.env.DEFAULT_REMINDER_HOURS !== undefined
+  ? Number(process.env.DEFAULT_REMINDER_HOURS)
+  : 24;
+
+// Events without an end date are treated as lasting one hour
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+// Default social impact weights (max points add up to 100)
+const IMPACT_WEIGHTS = {
+  peopleConnected: { unit: 10, max: 30 },
+  knowledgeShared: { unit: 5, max: 25 },
+  communityBuilding: { unit: 5, max: 25 },
+  environmentalImpact: { unit: 1, max: 20 }
+};
+
+const eventSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: ['Community', 'Education', 'Health', 'Environment', 'Arts', 'Sports', 'Technology', 'Social', 'Fundraiser', 'Workshop', 'Other']
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date
+  },
+  location: {
+    type: String,
+    required: true
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  coordinates: {
+    lat: Number,
+    lng: Number
+  },
+  // GeoJSON copy of coordinates for radius search, kept in sync by syncGeoPoint
+  geo: pointSchema,
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  initiative: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Initiative'
+  },
+  attendees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Per-attendee check-in tickets (codes are never serialized, see toJSON)
+  tickets: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    code: {
+      type: String,
+      required: true
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+    checkedInAt: {
+      type: Date
+    },
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Waitlist for full events, in promotion order
+  waitlist: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  likes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['upcoming', 'ongoing', 'completed', 'cancelled'],
+    default: 'upcoming'
+  },
+  cancellation: {
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  capacity: {
+    type: Number,
+    default: 0 // 0 means unlimited
+  },
+  isFree: {
+    type: Boolean,
+    default: true
+  },
+  ticketPrice: {
+    type: Number,
+    default: 0
+  },
+  ticketUrl: {
+    type: String
+  },
+  ticketCurrency: {
+    type: String,
+    default: 'USD'
+  },
+  // Ticket types for paid events; `sold` includes seats held by pending orders
+  ticketTypes: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    kind: {
+      type: String,
+      enum: ['general', 'concession', 'volunteer'],
+      default: 'general'
+    },
+    price: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    quantity: {
+      type: Number,
+      default: 0 // 0 means unlimited
+    },
+    sold: {
+      type: Number,
+      default: 0
+    }
+  }],
+  contactInfo: {
+    email: String,
+    phone: String
+  },
+  socialMedia: {
+    facebook: String,
+    twitter: String,
+    instagram: String
+  },
+  images: [{
+    type: String
+  }],
+  tags: [{
+    type: String
+  }],
+  // Enhanced event tracking
+  eventMetrics: {
+    totalAttendees: { type: Number, default: 0 },
+    totalLikes: { type: Number, default: 0 },
+    totalShares: { type: Number, default: 0 },
+    totalViews: { type: Number, default: 0 },
+    totalCheckIns: { type: Number, default: 0 },
+    engagementRate: { type: Number, default: 0 }
+  },
+  // Feedback and reviews system
+  feedback: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5,
+      required: true
+    },
+    comment: {
+      type: String,
+      maxlength: 500
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Organizer's public reply to the review
+    reply: {
+      content: {
+        type: String,
+        maxlength: 1000
+      },
+      createdAt: Date
+    }
+  }],
+  averageRating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  totalRatings: {
+    type: Number,
+    default: 0
+  },
+  // Event details
+  agenda: [{
+    startTime: {
+      type: Date,
+      required: true
+    },
+    endTime: {
+      type: Date,
+      required: true
+    },
+    activity: {
+      type: String,
+      required: true
+    },
+    description: String,
+    // IDs of entries in `speakers`
+    speakers: [{
+      type: mongoose.Schema.Types.ObjectId
+    }]
+  }],
+  speakers: [{
+    name: {
+      type: String,
+      required: true
+    },
+    title: String,
+    bio: String,
+    avatar: String,
+    // Linked account for speakers who are community members
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  sponsors: [{
+    name: {
+      type: String,
+      required: true
+    },
+    logo: String,
+    website: String
+  }],
+  // Community engagement
+  comments: [commentSchema],
+  // Recurring series membership
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries'
+  },
+  // Originally scheduled start, identifies the occurrence within its series
+  occurrenceDate: {
+    type: Date
+  },
+  // Set when this occurrence was edited independently of the series
+  isSeriesException: {
+    type: Boolean,
+    default: false
+  },
+  // Past event tracking
+  pastEvents: [{
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event'
+    },
+    date: Date,
+    attendees: Number,
+    feedback: String
+  }],
+  // Initiative connections
+  relatedInitiatives: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Initiative'
+  }],
+  // Social impact
+  socialImpact: {
+    peopleConnected: { type: Number, default: 0 },
+    knowledgeShared: { type: Number, default: 0 },
+    communityBuilding: { type: Number, default: 0 },
+    environmentalImpact: { type: Number, default: 0 }
+  },
+  impactScore: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Visibility and sharing
+  isPublic: {
+    type: Boolean,
+    default: true
+  },
+  shareCount: {
+    type: Number,
+    default: 0
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  // Event reminders
+  reminders: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reminderTime: {
+      type: Date,
+      required: true
+    },
+    sent: {
+      type: Boolean,
+      default: false
+    },
+    sentAt: {
+      type: Date
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.tickets;
+      return ret;
+    }
+  }
+});
+
+syncGeoPoint(eventSchema);
+
+// Calculate average rating when feedback is added/updated
+eventSchema.pre('save', function(next) {
+  // Volunteer tickets are always free
+  this.ticketTypes.forEach(type => {
+    if (type.kind === 'volunteer') type.price = 0;
+  });
+
+  // Status follows the event dates unless the event was cancelled
+  if (this.status !== 'cancelled') {
+    this.status = this.deriveStatus();
+  }
+
+  if (this.feedback && this.feedback.length > 0) {
+    const totalRating = this.feedback.reduce((sum, feedback) => sum + feedback.rating, 0);
+    this.averageRating = totalRating / this.feedback.length;
+    this.totalRatings = this.feedback.length;
+  } else if (this.isModified('feedback')) {
+    // Last review was removed
+    this.averageRating = 0;
+    this.totalRatings = 0;
+  }
+  
+  // Calculate engagement rate
+  if (this.attendees && this.attendees.length > 0) {
+    this.eventMetrics.engagementRate = (this.likes.length / this.attendees.length) * 100;
+  }
+  
+  next();
+});
+
+// Seats left for a ticket type (Infinity when unlimited)
+eventSchema.methods.getTicketsAvailable = function(ticketType) {
+  const typeLeft = ticketType.quantity > 0 ? ticketType.quantity - ticketType.sold : Infinity;
+
+  if (this.capacity > 0) {
+    const totalSold = this.ticketTypes.reduce((sum, type) => sum + type.sold, 0);
+    return Math.max(0, Math.min(typeLeft, this.capacity - totalSold));
+  }
+
+  return Math.max(0, typeLeft);
+};
+
+// Effective end of the event
+eventSchema.methods.getEndDate = function() {
+  return this.endDate || new Date(this.date.getTime() + DEFAULT_DURATION_MS);
+};
+
+// Status implied by the event dates
+eventSchema.methods.deriveStatus = function(now = new Date()) {
+  if (this.date > now) return 'upcoming';
+  return this.getEndDate() > now ? 'ongoing' : 'completed';
+};
+
+// Validate an agenda slot, returns an error message or null
+eventSchema.methods.getAgendaConflict = function(startTime, endTime, ignoreItemId) {
+  if (!(startTime < endTime)) {
+    return 'Agenda item must end after it starts';
+  }
+
+  if (startTime < this.date || endTime > this.getEndDate()) {
+    return 'Agenda item must be within the event start and end time';
+  }
+
+  const overlap = this.agenda.find(item =>
+    (!ignoreItemId || item._id.toString() !== ignoreItemId.toString()) &&
+    item.startTime < endTime && startTime < item.endTime
+  );
+
+  return overlap ? `Agenda item overlaps with "${overlap.activity}"` : null;
+};
+
+// Check every agenda item against the event's current dates, e.g. after a
+// date change; returns an error message for the first conflict or null
+eventSchema.methods.findAgendaConflict = function() {
+  for (const item of this.agenda) {
+    const conflict = this.getAgendaConflict(item.startTime, item.endTime, item._id);
+    if (conflict) return `${conflict} ("${item.activity}")`;
+  }
+  return null;
+};
+
+// Cancel the event, recording who did it and why (caller saves)
+eventSchema.methods.cancel = function(userId, reason) {
+  this.status = 'cancelled';
+  this.cancellation = {
+    reason,
+    cancelledAt: new Date(),
+    cancelledBy: userId
+  };
+};
+
+// Query fragment for ?when=upcoming|ongoing|past, null for unknown values
+eventSchema.statics.whenFilter = function(when, now = new Date()) {
+  const defaultEnd = new Date(now.getTime() - DEFAULT_DURATION_MS);
+
+  switch (when) {
+    case 'upcoming':
+      return { date: { $gt: now }, status: { $ne: 'cancelled' } };
+    case 'ongoing':
+      return {
+        date: { $lte: now },
+        status: { $ne: 'cancelled' },
+        $or: [
+          { endDate: { $gt: now } },
+          { endDate: null, date: { $gt: defaultEnd } }
+        ]
+      };
+    case 'past':
+      return {
+        $or: [
+          { endDate: { $lte: now } },
+          { endDate: null, date: { $lte: defaultEnd } }
+        ]
+      };
+    default:
+      return null;
+  }
+};
+
+// Bring stored statuses in line with event dates, returns the number of events changed
+eventSchema.statics.refreshStatuses = async function(now = new Date()) {
+  const defaultEnd = new Date(now.getTime() - DEFAULT_DURATION_MS);
+
+  const completed = await this.updateMany({
+    status: { $in: ['upcoming', 'ongoing'] },
+    $or: [
+      { endDate: { $lte: now } },
+      { endDate: null, date: { $lte: defaultEnd } }
+    ]
+  }, { $set: { status: 'completed' } });
+
+  const started = await this.updateMany({
+    status: 'upcoming',
+    date: { $lte: now }
+  }, { $set: { status: 'ongoing' } });
+
+  // Events moved back into the future
+  const rescheduled = await this.updateMany({
+    status: { $in: ['ongoing', 'completed'] },
+    date: { $gt: now }
+  }, { $set: { status: 'upcoming' } });
+
+  return completed.modifiedCount + started.modifiedCount + rescheduled.modifiedCount;
+};
+
+// Aggregation condition for an event with a free seat (capacity 0 is unlimited)
+const HAS_ROOM = {
+  $or: [
+    { $lte: [{ $ifNull: ['$capacity', 0] }, 0] },
+    { $lt: [{ $size: '$attendees' }, '$capacity'] }
+  ]
+};
+
+// Atomically add a user who is neither attending nor waitlisted: to the
+// attendees while there is room, otherwise to the end of the waitlist. Returns
+// 'attending' or 'waitlisted', or null when the event changed meanwhile. The
+// caller still admits attendees to issue their ticket and reminder.
+eventSchema.statics.claimSpot = async function(eventId, userId) {
+  const newcomer = { _id: eventId, attendees: { $ne: userId }, 'waitlist.user': { $ne: userId } };
+
+  const seat = await this.updateOne(
+    { ...newcomer, $expr: HAS_ROOM },
+    { $addToSet: { attendees: userId } }
+  );
+  if (seat.modifiedCount === 1) return 'attending';
+
+  const queued = await this.updateOne(
+    { ...newcomer, $expr: { $not: [HAS_ROOM] } },
+    { $push: { waitlist: { user: userId } } }
+  );
+  return queued.modifiedCount === 1 ? 'waitlisted' : null;
+};
+
+// Atomically move waitlisted users into free seats, one at a time, returns the
+// promoted user IDs. The caller still admits them to issue tickets and reminders.
+eventSchema.statics.promoteWaitlisted = async function(eventId) {
+  const promoted = [];
+
+  for (;;) {
+    const before = await this.findOneAndUpdate(
+      { _id: eventId, 'waitlist.0': { $exists: true }, $expr: HAS_ROOM },
+      [{
+        $set: {
+          attendees: { $concatArrays: ['$attendees', [{ $arrayElemAt: ['$waitlist.user', 0] }]] },
+          waitlist: { $slice: ['$waitlist', 1, { $size: '$waitlist' }] }
+        }
+      }]
+    ).select('waitlist');
+    if (!before) return promoted;
+
+    promoted.push(before.waitlist[0].user);
+  }
+};
+
+eventSchema.statics.IMPACT_WEIGHTS = IMPACT_WEIGHTS;
+
+// Add feedback method
+eventSchema.methods.addFeedback = function(userId, rating, comment) {
+  // Update this user's existing review in place so it keeps its id and the
+  // organizer's reply
+  const existing = this.feedback.find(f => f.user.toString() === userId.toString());
+  if (existing) {
+    existing.rating = rating;
+    existing.comment = comment;
+    return this.save();
+  }
+
+  this.feedback.push({
+    user: userId,
+    rating,
+    comment
+  });
+  
+  return this.save();
+};
+
+// Add comment method
+eventSchema.methods.addComment = function(userId, content, parent = null) {
+  this.comments.push({
+    user: userId,
+    content,
+    parent
+  });
+  
+  return this.save();
+};
+
+// Add user to attendees with their reminder and ticket (caller saves)
+eventSchema.methods.admitAttendee = function(userId) {
+  if (!this.attendees.some(id => id.toString() === userId.toString())) {
+    this.attendees.push(userId);
+  }
+  this.eventMetrics.totalAttendees = this.attendees.length;
+  this.scheduleDefaultReminder(userId);
+  this.issueTicket(userId);
+};
+
+// Remove user from attendees with their pending reminders and unused ticket (caller saves)
+eventSchema.methods.releaseAttendee = function(userId) {
+  // Leave the array untouched when the user was already pulled atomically
+  if (this.attendees.some(id => id.toString() === userId.toString())) {
+    this.attendees = this.attendees.filter(id => id.toString() !== userId.toString());
+  }
+  this.eventMetrics.totalAttendees = this.attendees.length;
+  this.clearReminders(userId);
+  this.tickets = this.tickets.filter(ticket =>
+    ticket.checkedInAt || ticket.user.toString() !== userId.toString()
+  );
+};
+
+// Track attendance
+eventSchema.methods.addAttendee = function(userId) {
+  this.admitAttendee(userId);
+  return this.save();
+};
+
+// Remove attendee
+eventSchema.methods.removeAttendee = function(userId) {
+  this.releaseAttendee(userId);
+  return this.save();
+};
+
+// Get or create the user's check-in ticket (caller saves)
+eventSchema.methods.issueTicket = function(userId) {
+  const existing = this.tickets.find(ticket => ticket.user.toString() === userId.toString());
+  if (existing) return existing;
+
+  const usedCodes = new Set(this.tickets.map(ticket => ticket.code));
+  let code;
+  do {
+    code = crypto.randomBytes(6).toString('hex').toUpperCase();
+  } while (usedCodes.has(code));
+
+  this.tickets.push({ user: userId, code });
+  return this.tickets[this.tickets.length - 1];
+};
+
+// Find a ticket by its check-in code
+eventSchema.methods.findTicket = function(code) {
+  const normalized = String(code).trim().toUpperCase();
+  return this.tickets.find(ticket => ticket.code === normalized);
+};
+
+// Record a check-in and refresh attendance metrics (caller saves)
+eventSchema.methods.checkIn = function(ticket, scannedBy) {
+  ticket.checkedInAt = new Date();
+  ticket.checkedInBy = scannedBy;
+
+  const checkedIn = this.tickets.filter(t => t.checkedInAt).length;
+  this.eventMetrics.totalCheckIns = checkedIn;
+  this.socialImpact.peopleConnected = checkedIn;
+};
+
+// Check whether the event has reached its capacity
+eventSchema.methods.isFull = function() {
+  return this.capacity > 0 && this.attendees.length >= this.capacity;
+};
+
+// Get a user's 1-based waitlist position (0 if not waitlisted)
+eventSchema.methods.getWaitlistPosition = function(userId) {
+  return this.waitlist.findIndex(entry => entry.user.toString() === userId.toString()) + 1;
+};
+
+// Add user to the end of the waitlist
+eventSchema.methods.addToWaitlist = function(userId) {
+  if (!this.getWaitlistPosition(userId)) {
+    this.waitlist.push({ user: userId });
+  }
+  return this.getWaitlistPosition(userId);
+};
+
+// Remove user from the waitlist
+eventSchema.methods.removeFromWaitlist = function(userId) {
+  this.waitlist = this.waitlist.filter(entry => entry.user.toString() !== userId.toString());
+};
+
+// Move waitlisted users into free seats, returns the promoted user IDs
+eventSchema.methods.promoteFromWaitlist = function() {
+  const promoted = [];
+
+  while (this.waitlist.length > 0 && !this.isFull()) {
+    const next = this.waitlist.shift();
+    this.admitAttendee(next.user);
+    promoted.push(next.user);
+  }
+
+  return promoted;
+};
+
+// Calculate social impact score; each metric earns one point per `unit`,
+// up to `max` points (admins can override the defaults)
+eventSchema.methods.calculateSocialImpact = function(weights = IMPACT_WEIGHTS) {
+  const impact = this.socialImpact;
+  let score = 0;
+
+  Object.entries(weights).forEach(([metric, { unit, max }]) => {
+    score += Math.min((impact[metric] || 0) / unit, max);
+  });
+
+  this.impactScore = Math.min(Math.round(score), 100);
+  return this.impactScore;
+};
+
+// Add reminder
+eventSchema.methods.addReminder = function(userId, reminderTime) {
+  this.reminders.push({
+    user: userId,
+    reminderTime
+  });
+  
+  return this.save();
+};
+
+// Schedule the default reminder for an attendee (caller saves)
+eventSchema.methods.scheduleDefaultReminder = function(userId) {
+  if (!DEFAULT_REMINDER_HOURS) return;
+
+  const reminderTime = new Date(this.date.getTime() - DEFAULT_REMINDER_HOURS * 60 * 60 * 1000);
+  if (reminderTime <= new Date()) return;
+
+  const exists = this.reminders.some(reminder =>
+    reminder.user.toString() === userId.toString() &&
+    reminder.reminderTime.getTime() === reminderTime.getTime()
+  );
+
+  if (!exists) {
+    this.reminders.push({ user: userId, reminderTime });
+  }
+};
+
+// Move unsent reminders, default ones included, along with a changed start
+// date so each stays the same time before the event (caller saves)
+eventSchema.methods.rescheduleReminders = function(previousDate) {
+  const shift = this.date.getTime() - new Date(previousDate).getTime();
+  if (!shift) return;
+
+  this.reminders.forEach(reminder => {
+    if (!reminder.sent) {
+      reminder.reminderTime = new Date(reminder.reminderTime.getTime() + shift);
+    }
+  });
+};
+
+// Remove a user's unsent reminders (caller saves)
+eventSchema.methods.clearReminders = function(userId) {
+  this.reminders = this.reminders.filter(reminder =>
+    reminder.sent || reminder.user.toString() !== userId.toString()
+  );
+};
+
+// Index for date-based queries
+eventSchema.index({ date: 1 });
+eventSchema.index({ geo: '2dsphere' });
+eventSchema.index({ series: 1, occurrenceDate: 1 });
+eventSchema.index({ 'reminders.sent': 1, 'reminders.reminderTime': 1 });
+eventSchema.index({ title: 'text', description: 'text', tags: 'text' });
+
 module.exports = mongoose.model('Event', eventSchema); 
\ No newline at end of file
@@ -0,0 +1,133 @@
+// The schema is loaded against a minimal mongoose stand-in so its methods can
+// be tested without a database
+jest.mock('mongoose', () => {
+  class Schema {
+    constructor(definition) {
+      this.definition = definition;
+      this.statics = {};
+      this.methods = {};
+    }
+
+    pre() {}
+
+    index() {}
+  }
+  Schema.Types = { ObjectId: 'ObjectId' };
+
+  return { Schema, model: (name, schema) => schema };
+}, { virtual: true });
+jest.mock('../utils/geo', () => ({ pointSchema: {}, syncGeoPoint: jest.fn() }), { virtual: true });
+jest.mock('../utils/comments', () => ({ commentSchema: {} }), { virtual: true });
+
+const eventSchema = require('./Event');
+
+const event = (fields) => {
+  const doc = { agenda: [], reminders: [], ...fields };
+  Object.entries(eventSchema.methods).forEach(([name, method]) => {
+    doc[name] = method.bind(doc);
+  });
+  return doc;
+};
+
+const at = time => new Date(`2024-06-01T${time}:00Z`);
+
+const item = (id, activity, start, end) => ({
+  _id: { toString: () => id },
+  activity,
+  startTime: at(start),
+  endTime: at(end)
+});
+
+describe('agenda conflicts', () => {
+  const conference = () => event({
+    date: at('09:00'),
+    endDate: at('17:00'),
+    agenda: [item('a', 'Keynote', '09:00', '10:00'), item('b', 'Lunch', '12:00', '13:00')]
+  });
+
+  it('accepts a slot within the event that overlaps nothing', () => {
+    expect(conference().getAgendaConflict(at('10:00'), at('12:00'))).toBeNull();
+  });
+
+  it('rejects slots that do not end after they start', () => {
+    expect(conference().getAgendaConflict(at('11:00'), at('11:00'))).toBe('Agenda item must end after it starts');
+  });
+
+  it('rejects slots outside the event', () => {
+    expect(conference().getAgendaConflict(at('08:30'), at('09:30')))
+      .toBe('Agenda item must be within the event start and end time');
+    expect(conference().getAgendaConflict(at('16:30'), at('17:30')))
+      .toBe('Agenda item must be within the event start and end time');
+  });
+
+  it('treats events without an end date as lasting an hour', () => {
+    const short = event({ date: at('09:00') });
+    expect(short.getAgendaConflict(at('09:00'), at('10:00'))).toBeNull();
+    expect(short.getAgendaConflict(at('09:30'), at('10:30'))).not.toBeNull();
+  });
+
+  it('rejects overlapping slots but not adjacent ones', () => {
+    expect(conference().getAgendaConflict(at('12:30'), at('14:00'))).toBe('Agenda item overlaps with "Lunch"');
+    expect(conference().getAgendaConflict(at('13:00'), at('14:00'))).toBeNull();
+  });
+
+  it('ignores the item being updated', () => {
+    expect(conference().getAgendaConflict(at('12:30'), at('13:30'), 'b')).toBeNull();
+  });
+
+  it('finds items that no longer fit after a date change', () => {
+    const moved = conference();
+    expect(moved.findAgendaConflict()).toBeNull();
+
+    moved.date = at('11:00');
+    expect(moved.findAgendaConflict())
+      .toBe('Agenda item must be within the event start and end time ("Keynote")');
+  });
+});
+
+describe('issueTicket', () => {
+  const userId = id => ({ toString: () => id });
+
+  it('returns the existing ticket of a user', () => {
+    const ticket = { user: userId('u1'), code: 'ABC123' };
+    const doc = event({ tickets: [ticket] });
+
+    expect(doc.issueTicket(userId('u1'))).toBe(ticket);
+    expect(doc.tickets).toHaveLength(1);
+  });
+
+  it('issues a new code that no other ticket uses', () => {
+    const crypto = require('crypto');
+    const randomBytes = jest.spyOn(crypto, 'randomBytes')
+      .mockReturnValueOnce(Buffer.from('aaaaaaaaaaaa', 'hex'))
+      .mockReturnValueOnce(Buffer.from('bbbbbbbbbbbb', 'hex'));
+    const doc = event({ tickets: [{ user: userId('u1'), code: 'AAAAAAAAAAAA' }] });
+
+    expect(doc.issueTicket(userId('u2')).code).toBe('BBBBBBBBBBBB');
+    expect(randomBytes).toHaveBeenCalledTimes(2);
+    randomBytes.mockRestore();
+  });
+});
+
+describe('addFeedback', () => {
+  const userId = id => ({ toString: () => id });
+
+  it('updates an existing review and keeps the organizer reply', async () => {
+    const reply = { content: 'Thanks for coming!', createdAt: at('18:00') };
+    const review = { _id: 'f1', user: userId('u1'), rating: 3, comment: 'Good', reply };
+    const doc = event({ feedback: [review], save: jest.fn() });
+
+    await doc.addFeedback('u1', 5, 'Great');
+
+    expect(doc.feedback).toEqual([{ _id: 'f1', user: review.user, rating: 5, comment: 'Great', reply }]);
+    expect(doc.save).toHaveBeenCalled();
+  });
+
+  it('adds a review for a new reviewer', async () => {
+    const doc = event({ feedback: [{ user: userId('u1'), rating: 3 }], save: jest.fn() });
+
+    await doc.addFeedback('u2', 4, 'Nice');
+
+    expect(doc.feedback[1]).toEqual({ user: 'u2', rating: 4, comment: 'Nice' });
+  });
+});
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const eventSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  initiative: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Initiative'
+  },
+  // Recurrence rule
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'yearly', 'custom'],
+      required: true
+    },
+    rrule: {
+      type: String,
+      required: true
+    },
+    interval: {
+      type: Number,
+      default: 1
+    },
+    count: Number,
+    until: Date
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  // Occurrence length in minutes, used for generated end dates
+  duration: {
+    type: Number,
+    default: 0
+  },
+  // Occurrence dates that were cancelled
+  excludedDates: [{
+    type: Date
+  }],
+  // Occurrences exist for every rule date up to here; later ones are added
+  // by the series extender job
+  generatedUntil: Date,
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+eventSeriesSchema.index({ organizer: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EventSeries', eventSeriesSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Historical exchange rates: one entry per currency per effective date.
+// `rate` is the value of one unit of `currency` in the base currency.
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: /^[A-Z]{3}$/
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  effectiveDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  source: {
+    type: String,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+exchangeRateSchema.index({ currency: 1, effectiveDate: -1 });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
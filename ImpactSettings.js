@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const Initiative = require('./Initiative');
+const Event = require('./Event');
+
+// One metric's weight: a point per `unit`, capped at `max` points
+const weightFields = (weights) => {
+  const fields = {};
+  Object.entries(weights).forEach(([metric, { unit, max }]) => {
+    fields[metric] = {
+      unit: { type: Number, default: unit, min: 0.0001 },
+      max: { type: Number, default: max, min: 0, max: 100 }
+    };
+  });
+  return fields;
+};
+
+// Admin-configurable impact score weights (a single document)
+const impactSettingsSchema = new mongoose.Schema({
+  initiative: weightFields(Initiative.IMPACT_WEIGHTS),
+  event: weightFields(Event.IMPACT_WEIGHTS),
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Get the settings document, creating it with the defaults on first use
+impactSettingsSchema.statics.getSettings = async function() {
+  const settings = await this.findOne();
+  return settings || this.create({});
+};
+
+// Plain { metric: { unit, max } } weights for a score method
+impactSettingsSchema.methods.getWeights = function(kind) {
+  const defaults = kind === 'event' ? Event.IMPACT_WEIGHTS : Initiative.IMPACT_WEIGHTS;
+  const weights = {};
+  Object.keys(defaults).forEach(metric => {
+    const { unit, max } = this[kind][metric];
+    weights[metric] = { unit, max };
+  });
+  return weights;
+};
+
+module.exports = mongoose.model('ImpactSettings', impactSettingsSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Point-in-time impact score of an initiative, recorded whenever it changes
+const impactSnapshotSchema = new mongoose.Schema({
+  initiative: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Initiative',
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true
+  },
+  metrics: {
+    peopleReached: Number,
+    hoursVolunteered: Number,
+    fundsRaised: Number,
+    environmentalImpact: Number,
+    socialConnections: Number
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient queries
+impactSnapshotSchema.index({ initiative: 1, recordedAt: -1 });
+
+module.exports = mongoose.model('ImpactSnapshot', impactSnapshotSchema);
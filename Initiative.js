@@ -1,245 +1,448 @@
-const mongoose = require('mongoose');
-
-const initiativeSchema = new mongoose.Schema({
-  title: {
-    type: String,
-    required: true,
-    trim: true,
-    maxlength: 100
-  },
-  description: {
-    type: String,
-    required: true,
-    maxlength: 2000
-  },
-  category: {
-    type: String,
-    required: true,
-    enum: ['Environment', 'Education', 'Health', 'Technology', 'Arts', 'Sports', 'Social', 'Community Development', 'Other']
-  },
-  location: {
-    type: String,
-    required: true
-  },
-  creator: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  members: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  status: {
-    type: String,
-    enum: ['planning', 'active', 'completed', 'paused'],
-    default: 'planning'
-  },
-  startDate: {
-    type: Date,
-    required: true
-  },
-  endDate: {
-    type: Date
-  },
-  images: [{
-    type: String
-  }],
-  tags: [{
-    type: String
-  }],
-  // Enhanced social impact tracking
-  impactScore: {
-    type: Number,
-    default: 0,
-    min: 0,
-    max: 100
-  },
-  impactMetrics: {
-    peopleReached: { type: Number, default: 0 },
-    hoursVolunteered: { type: Number, default: 0 },
-    fundsRaised: { type: Number, default: 0 },
-    environmentalImpact: { type: Number, default: 0 },
-    socialConnections: { type: Number, default: 0 }
-  },
-  // Feedback and reviews system
-  feedback: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    rating: {
-      type: Number,
-      min: 1,
-      max: 5,
-      required: true
-    },
-    comment: {
-      type: String,
-      maxlength: 500
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  averageRating: {
-    type: Number,
-    default: 0,
-    min: 0,
-    max: 5
-  },
-  totalRatings: {
-    type: Number,
-    default: 0
-  },
-  // Progress tracking
-  progress: {
-    type: Number,
-    default: 0,
-    min: 0,
-    max: 100
-  },
-  milestones: [{
-    title: String,
-    description: String,
-    targetDate: Date,
-    completed: { type: Boolean, default: false },
-    completedDate: Date
-  }],
-  // Community engagement
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    content: {
-      type: String,
-      required: true,
-      maxlength: 1000
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    },
-    likes: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    }]
-  }],
-  // Past connections tracking
-  pastConnections: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    connectionType: {
-      type: String,
-      enum: ['volunteer', 'donor', 'participant', 'organizer']
-    },
-    date: {
-      type: Date,
-      default: Date.now
-    },
-    impact: String
-  }],
-  // Event connections
-  relatedEvents: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Event'
-  }],
-  // Visibility and sharing
-  isPublic: {
-    type: Boolean,
-    default: true
-  },
-  shareCount: {
-    type: Number,
-    default: 0
-  },
-  viewCount: {
-    type: Number,
-    default: 0
-  }
-}, {
-  timestamps: true
-});
-
-// Calculate average rating when feedback is added/updated
-initiativeSchema.pre('save', function(next) {
-  if (this.feedback && this.feedback.length > 0) {
-    const totalRating = this.feedback.reduce((sum, feedback) => sum + feedback.rating, 0);
-    this.averageRating = totalRating / this.feedback.length;
-    this.totalRatings = this.feedback.length;
-  }
-  next();
-});
-
-// Calculate impact score based on various metrics
-initiativeSchema.methods.calculateImpactScore = function() {
-  const metrics = this.impactMetrics;
-  let score = 0;
-  
-  // People reached (max 25 points)
-  score += Math.min(metrics.peopleReached / 100, 25);
-  
-  // Hours volunteered (max 25 points)
-  score += Math.min(metrics.hoursVolunteered / 100, 25);
-  
-  // Funds raised (max 20 points)
-  score += Math.min(metrics.fundsRaised / 1000, 20);
-  
-  // Environmental impact (max 15 points)
-  score += Math.min(metrics.environmentalImpact, 15);
-  
-  // Social connections (max 15 points)
-  score += Math.min(metrics.socialConnections / 10, 15);
-  
-  this.impactScore = Math.round(score);
-  return this.impactScore;
-};
-
-// Add feedback method
-initiativeSchema.methods.addFeedback = function(userId, rating, comment) {
-  // Remove existing feedback from this user
-  this.feedback = this.feedback.filter(f => f.user.toString() !== userId.toString());
-  
-  // Add new feedback
-  this.feedback.push({
-    user: userId,
-    rating,
-    comment
-  });
-  
-  return this.save();
-};
-
-// Add comment method
-initiativeSchema.methods.addComment = function(userId, content) {
-  this.comments.push({
-    user: userId,
-    content
-  });
-  
-  return this.save();
-};
-
-// Track past connection
-initiativeSchema.methods.addPastConnection = function(userId, connectionType, impact) {
-  this.pastConnections.push({
-    user: userId,
-    connectionType,
-    impact
-  });
-  
-  return this.save();
-};
-
-// Index for search functionality
-initiativeSchema.index({ title: 'text', description: 'text', tags: 'text' });
-
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { pointSchema, syncGeoPoint } = require('../utils/geo');
+const { commentSchema } = require('../utils/comments');
+
+// Member roles, most privileged first
+const MEMBER_ROLES = ['owner', 'coordinator', 'volunteer', 'member'];
+
+// How non-members become members
+const JOIN_POLICIES = ['open', 'request', 'invite'];
+
+// Days an invitation stays valid unless set otherwise
+const INVITATION_DAYS = 7;
+
+// Default impact score weights (max points add up to 100)
+const IMPACT_WEIGHTS = {
+  peopleReached: { unit: 100, max: 25 },
+  hoursVolunteered: { unit: 100, max: 25 },
+  fundsRaised: { unit: 1000, max: 20 },
+  environmentalImpact: { unit: 1, max: 15 },
+  socialConnections: { unit: 10, max: 15 }
+};
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const initiativeSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: ['Environment', 'Education', 'Health', 'Technology', 'Arts', 'Sports', 'Social', 'Community Development', 'Other']
+  },
+  location: {
+    type: String,
+    required: true
+  },
+  coordinates: {
+    lat: Number,
+    lng: Number
+  },
+  // GeoJSON copy of coordinates for radius search, kept in sync by syncGeoPoint
+  geo: pointSchema,
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [memberSchema],
+  likes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['planning', 'active', 'completed', 'paused'],
+    default: 'planning'
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date
+  },
+  images: [{
+    type: String
+  }],
+  tags: [{
+    type: String
+  }],
+  // Enhanced social impact tracking
+  impactScore: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  impactMetrics: {
+    peopleReached: { type: Number, default: 0 },
+    hoursVolunteered: { type: Number, default: 0 },
+    fundsRaised: { type: Number, default: 0 },
+    environmentalImpact: { type: Number, default: 0 },
+    socialConnections: { type: Number, default: 0 }
+  },
+  // Feedback and reviews system
+  feedback: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5,
+      required: true
+    },
+    comment: {
+      type: String,
+      maxlength: 500
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  averageRating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  totalRatings: {
+    type: Number,
+    default: 0
+  },
+  // Progress tracking
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  milestones: [{
+    title: String,
+    description: String,
+    targetDate: Date,
+    completed: { type: Boolean, default: false },
+    completedDate: Date,
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Relative share of overall progress
+    weight: { type: Number, default: 1, min: 0 }
+  }],
+  // Community engagement
+  comments: [commentSchema],
+  // Past connections tracking
+  pastConnections: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    connectionType: {
+      type: String,
+      enum: ['volunteer', 'donor', 'participant', 'organizer']
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    impact: String
+  }],
+  // Event connections
+  relatedEvents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  }],
+  // Visibility and sharing
+  isPublic: {
+    type: Boolean,
+    default: true
+  },
+  joinPolicy: {
+    type: String,
+    enum: JOIN_POLICIES,
+    default: 'open'
+  },
+  // Requests to join under the `request` policy (never serialized, see toJSON)
+  joinRequests: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    message: {
+      type: String,
+      maxlength: 500
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined'],
+      default: 'pending'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  }],
+  // Invitation links; only a hash of the token is stored (never serialized, see toJSON)
+  invitations: [{
+    tokenHash: {
+      type: String,
+      required: true
+    },
+    // Restricts the invitation to one email address when set
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    role: {
+      type: String,
+      enum: ['coordinator', 'volunteer', 'member'],
+      default: 'member'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    maxUses: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    uses: {
+      type: Number,
+      default: 0
+    },
+    revokedAt: Date
+  }],
+  shareCount: {
+    type: Number,
+    default: 0
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.joinRequests;
+      delete ret.invitations;
+      return ret;
+    }
+  }
+});
+
+syncGeoPoint(initiativeSchema);
+
+// Calculate average rating when feedback is added/updated
+initiativeSchema.pre('save', function(next) {
+  if (this.feedback && this.feedback.length > 0) {
+    const totalRating = this.feedback.reduce((sum, feedback) => sum + feedback.rating, 0);
+    this.averageRating = totalRating / this.feedback.length;
+    this.totalRatings = this.feedback.length;
+  }
+
+  if (this.isModified('milestones')) {
+    this.calculateProgress();
+  }
+  next();
+});
+
+// Calculate progress from completed milestones, weighted by milestone weight
+// (no milestones left means no progress)
+initiativeSchema.methods.calculateProgress = function() {
+  if (this.milestones.length === 0) {
+    this.progress = 0;
+    return this.progress;
+  }
+
+  let total = this.milestones.reduce((sum, milestone) => sum + milestone.weight, 0);
+  let done = this.milestones
+    .filter(milestone => milestone.completed)
+    .reduce((sum, milestone) => sum + milestone.weight, 0);
+
+  // All weights zero: count milestones equally
+  if (total === 0) {
+    total = this.milestones.length;
+    done = this.milestones.filter(milestone => milestone.completed).length;
+  }
+
+  this.progress = Math.round((done / total) * 100);
+  return this.progress;
+};
+
+// Calculate impact score based on various metrics; each metric earns one
+// point per `unit`, up to `max` points (admins can override the defaults)
+initiativeSchema.methods.calculateImpactScore = function(weights = IMPACT_WEIGHTS) {
+  const metrics = this.impactMetrics;
+  let score = 0;
+
+  Object.entries(weights).forEach(([metric, { unit, max }]) => {
+    score += Math.min((metrics[metric] || 0) / unit, max);
+  });
+
+  this.impactScore = Math.min(Math.round(score), 100);
+  return this.impactScore;
+};
+
+// Get a user's membership entry
+initiativeSchema.methods.getMember = function(userId) {
+  // Works whether or not members.user is populated
+  return this.members.find(member =>
+    (member.user._id || member.user).toString() === userId.toString()
+  );
+};
+
+// Check if a user holds one of the given roles
+initiativeSchema.methods.hasRole = function(userId, roles) {
+  const member = this.getMember(userId);
+  return Boolean(member && roles.includes(member.role));
+};
+
+// Owners, coordinators and admins can manage the initiative
+initiativeSchema.methods.canManage = function(user) {
+  return user.role === 'admin' || this.hasRole(user.id, ['owner', 'coordinator']);
+};
+
+// Private initiatives are only visible to members and admins
+initiativeSchema.methods.canView = function(user) {
+  if (this.isPublic) return true;
+  return Boolean(user && (user.role === 'admin' || this.getMember(user.id)));
+};
+
+// Private initiatives never accept open joins
+initiativeSchema.methods.getJoinPolicy = function() {
+  return !this.isPublic && this.joinPolicy === 'open' ? 'request' : this.joinPolicy;
+};
+
+// Get a user's pending join request
+initiativeSchema.methods.getPendingRequest = function(userId) {
+  return this.joinRequests.find(request =>
+    request.status === 'pending' && request.user.toString() === userId.toString()
+  );
+};
+
+// Create an invitation and return its token (caller saves)
+initiativeSchema.methods.createInvitation = function({ email, role, days = INVITATION_DAYS, maxUses, createdBy }) {
+  const token = crypto.randomBytes(24).toString('hex');
+
+  this.invitations.push({
+    tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    email,
+    role,
+    createdBy,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    maxUses
+  });
+
+  return { token, invitation: this.invitations[this.invitations.length - 1] };
+};
+
+// Find a usable invitation by token
+initiativeSchema.methods.findInvitation = function(token, now = new Date()) {
+  const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+
+  return this.invitations.find(invitation =>
+    invitation.tokenHash === tokenHash &&
+    !invitation.revokedAt &&
+    invitation.expiresAt > now &&
+    invitation.uses < invitation.maxUses
+  );
+};
+
+// Add feedback method
+initiativeSchema.methods.addFeedback = function(userId, rating, comment) {
+  // Update this user's existing review in place so it keeps its id
+  const existing = this.feedback.find(f => f.user.toString() === userId.toString());
+  if (existing) {
+    existing.rating = rating;
+    existing.comment = comment;
+    return this.save();
+  }
+
+  this.feedback.push({
+    user: userId,
+    rating,
+    comment
+  });
+  
+  return this.save();
+};
+
+// Add comment method
+initiativeSchema.methods.addComment = function(userId, content, parent = null) {
+  this.comments.push({
+    user: userId,
+    content,
+    parent
+  });
+  
+  return this.save();
+};
+
+// Track past connection
+initiativeSchema.methods.addPastConnection = function(userId, connectionType, impact) {
+  this.pastConnections.push({
+    user: userId,
+    connectionType,
+    impact
+  });
+  
+  return this.save();
+};
+
+// Index for search functionality
+initiativeSchema.index({ title: 'text', description: 'text', tags: 'text' });
+initiativeSchema.index({ geo: '2dsphere' });
+initiativeSchema.index({ 'members.user': 1 });
+initiativeSchema.index({ 'milestones.completed': 1, 'milestones.targetDate': 1 });
+
+initiativeSchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+initiativeSchema.statics.JOIN_POLICIES = JOIN_POLICIES;
+initiativeSchema.statics.IMPACT_WEIGHTS = IMPACT_WEIGHTS;
+
 module.exports = mongoose.model('Initiative', initiativeSchema); 
\ No newline at end of file
@@ -0,0 +1,84 @@
+// The schema is loaded against a minimal mongoose stand-in so its methods can
+// be tested without a database
+jest.mock('mongoose', () => {
+  class Schema {
+    constructor(definition) {
+      this.definition = definition;
+      this.statics = {};
+      this.methods = {};
+      this.hooks = {};
+    }
+
+    pre(name, hook) {
+      this.hooks[name] = hook;
+    }
+
+    index() {}
+  }
+  Schema.Types = { ObjectId: 'ObjectId' };
+
+  return { Schema, model: (name, schema) => schema };
+}, { virtual: true });
+jest.mock('../utils/geo', () => ({ pointSchema: {}, syncGeoPoint: jest.fn() }), { virtual: true });
+jest.mock('../utils/comments', () => ({ commentSchema: {} }), { virtual: true });
+
+const initiativeSchema = require('./Initiative');
+
+const initiative = (fields) => {
+  const doc = { milestones: [], feedback: [], isModified: () => false, ...fields };
+  Object.entries(initiativeSchema.methods).forEach(([name, method]) => {
+    doc[name] = method.bind(doc);
+  });
+  return doc;
+};
+
+const milestone = (weight, completed) => ({ weight, completed });
+
+describe('calculateProgress', () => {
+  it('is zero without milestones', () => {
+    const doc = initiative({ progress: 40 });
+    expect(doc.calculateProgress()).toBe(0);
+    expect(doc.progress).toBe(0);
+  });
+
+  it('weights completed milestones by their weight', () => {
+    const doc = initiative({ milestones: [milestone(3, true), milestone(1, false)] });
+    expect(doc.calculateProgress()).toBe(75);
+  });
+
+  it('rounds to whole percent', () => {
+    const doc = initiative({ milestones: [milestone(1, true), milestone(1, false), milestone(1, false)] });
+    expect(doc.calculateProgress()).toBe(33);
+  });
+
+  it('ignores milestones with zero weight', () => {
+    const doc = initiative({ milestones: [milestone(2, true), milestone(0, false)] });
+    expect(doc.calculateProgress()).toBe(100);
+  });
+
+  it('counts milestones equally when all weights are zero', () => {
+    const doc = initiative({ milestones: [milestone(0, true), milestone(0, false)] });
+    expect(doc.calculateProgress()).toBe(50);
+  });
+
+  it('is recalculated on save when milestones changed', () => {
+    const doc = initiative({
+      milestones: [milestone(1, true), milestone(1, false)],
+      isModified: path => path === 'milestones'
+    });
+    const next = jest.fn();
+
+    initiativeSchema.hooks.save.call(doc, next);
+
+    expect(doc.progress).toBe(50);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('is left alone on save when milestones did not change', () => {
+    const doc = initiative({ progress: 20, milestones: [milestone(1, true)] });
+
+    initiativeSchema.hooks.save.call(doc, jest.fn());
+
+    expect(doc.progress).toBe(20);
+  });
+});
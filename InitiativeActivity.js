@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Append-only log of what happened on an initiative
+const initiativeActivitySchema = new mongoose.Schema({
+  initiative: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Initiative',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: [
+      'initiative_created',
+      'initiative_updated',
+      'field_reverted',
+      'member_joined',
+      'member_left',
+      'member_removed',
+      'member_role_changed',
+      'ownership_transferred',
+      'milestone_added',
+      'milestone_updated',
+      'milestone_completed',
+      'milestone_reopened',
+      'milestone_removed',
+      'donation_received',
+      'event_linked',
+      'event_unlinked',
+      'comment_added'
+    ],
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Field diffs for updates and reverts
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  data: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    milestone: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    donation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donation'
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event'
+    },
+    comment: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // Activity entry a revert restored a value from
+    revertOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InitiativeActivity'
+    }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Entries are never changed once written
+initiativeActivitySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Initiative activity is append-only'));
+});
+
+initiativeActivitySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Initiative activity is append-only'));
+  }
+  next();
+});
+
+// Index for efficient queries
+initiativeActivitySchema.index({ initiative: 1, createdAt: -1 });
+
+module.exports = mongoose.model('InitiativeActivity', initiativeActivitySchema);
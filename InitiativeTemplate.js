@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Reusable initiative plan; dates are stored as day offsets from the start date
+const initiativeTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Initiative the template was saved from, if any
+  sourceInitiative: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Initiative'
+  },
+  // Public templates can be used by anyone
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: ['Environment', 'Education', 'Health', 'Technology', 'Arts', 'Sports', 'Social', 'Community Development', 'Other']
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  tags: [{
+    type: String
+  }],
+  // Days from start to end (unset for open-ended initiatives)
+  durationDays: {
+    type: Number,
+    min: 0
+  },
+  milestones: [{
+    _id: false,
+    title: {
+      type: String,
+      required: true
+    },
+    description: String,
+    offsetDays: {
+      type: Number,
+      min: 0
+    },
+    weight: { type: Number, default: 1, min: 0 }
+  }],
+  // Default events, created alongside the initiative
+  events: [{
+    _id: false,
+    title: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      required: true
+    },
+    category: {
+      type: String,
+      required: true,
+      enum: ['Community', 'Education', 'Health', 'Environment', 'Arts', 'Sports', 'Technology', 'Social', 'Fundraiser', 'Workshop', 'Other']
+    },
+    // Hours after the initiative start
+    offsetHours: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    durationHours: {
+      type: Number,
+      min: 0
+    },
+    capacity: {
+      type: Number,
+      default: 0
+    },
+    tags: [{
+      type: String
+    }]
+  }],
+  usageCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+initiativeTemplateSchema.index({ isPublic: 1, category: 1 });
+initiativeTemplateSchema.index({ createdBy: 1 });
+
+module.exports = mongoose.model('InitiativeTemplate', initiativeTemplateSchema);
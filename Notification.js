@@ -1,82 +1,96 @@
-const mongoose = require('mongoose');
-
-const notificationSchema = new mongoose.Schema({
-  recipient: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  sender: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  },
-  type: {
-    type: String,
-    enum: [
-      'initiative_created',
-      'initiative_updated',
-      'initiative_joined',
-      'event_created',
-      'event_updated',
-      'event_reminder',
-      'event_attending',
-      'donation_received',
-      'message_received',
-      'comment_added',
-      'like_received',
-      'system_announcement'
-    ],
-    required: true
-  },
-  title: {
-    type: String,
-    required: true
-  },
-  message: {
-    type: String,
-    required: true
-  },
-  data: {
-    initiative: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Initiative'
-    },
-    event: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Event'
-    },
-    donation: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Donation'
-    },
-    message: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Message'
-    }
-  },
-  isRead: {
-    type: Boolean,
-    default: false
-  },
-  readAt: {
-    type: Date
-  },
-  priority: {
-    type: String,
-    enum: ['low', 'normal', 'high', 'urgent'],
-    default: 'normal'
-  },
-  expiresAt: {
-    type: Date
-  }
-}, {
-  timestamps: true
-});
-
-// Index for efficient queries
-notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
-notificationSchema.index({ recipient: 1, createdAt: -1 });
-notificationSchema.index({ type: 1 });
-notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
-
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: [
+      'initiative_created',
+      'initiative_updated',
+      'initiative_joined',
+      'initiative_join_request',
+      'initiative_invitation',
+      'milestone_reached',
+      'volunteer_hours_reviewed',
+      'event_created',
+      'event_updated',
+      'event_reminder',
+      'event_cancelled',
+      'event_attending',
+      'donation_received',
+      'donation_receipt',
+      'donation_refund_reviewed',
+      'campaign_goal_reached',
+      'recurring_donation_failed',
+      'pledge_fulfilled',
+      'message_received',
+      'comment_added',
+      'like_received',
+      'system_announcement'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  data: {
+    initiative: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Initiative'
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event'
+    },
+    donation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donation'
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    // Embedded comment on the initiative or event
+    comment: mongoose.Schema.Types.ObjectId,
+    // Link the client opens for the notification
+    url: String
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high', 'urgent'],
+    default: 'normal'
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ type: 1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 module.exports = mongoose.model('Notification', notificationSchema); 
\ No newline at end of file
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  payer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ticketOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TicketOrder'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['credit_card', 'paypal', 'bank_transfer', 'cash', 'other'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'refunded'],
+    default: 'pending'
+  },
+  transactionId: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  },
+  refundedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+paymentSchema.index({ payer: 1, createdAt: -1 });
+paymentSchema.index({ ticketOrder: 1 });
+paymentSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
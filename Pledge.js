@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Promise to give an amount by a due date, fulfilled by linked donations
+const pledgeSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  initiative: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Initiative',
+    required: true
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'fulfilled', 'cancelled'],
+    default: 'open'
+  },
+  fulfilledAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Open pledges past their due date
+pledgeSchema.methods.isOverdue = function(now = new Date()) {
+  return this.status === 'open' && this.dueDate < now;
+};
+
+// Index for efficient queries
+pledgeSchema.index({ donor: 1, createdAt: -1 });
+pledgeSchema.index({ initiative: 1, status: 1 });
+
+module.exports = mongoose.model('Pledge', pledgeSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Standing order that creates a Donation installment every interval
+const recurringDonationSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  initiative: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Initiative',
+    required: true
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  // Installments are charged through the payment provider
+  paymentMethod: {
+    type: String,
+    enum: ['credit_card', 'paypal', 'other'],
+    required: true
+  },
+  interval: {
+    type: String,
+    enum: ['monthly', 'quarterly', 'yearly'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled'],
+    default: 'active'
+  },
+  // First installment; later ones fall on the same day of the month
+  startDate: {
+    type: Date,
+    required: true
+  },
+  // Due date of the next installment
+  nextChargeAt: {
+    type: Date,
+    required: true
+  },
+  // Failed installments are retried at retryAt until the attempts run out
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  retryAt: {
+    type: Date
+  },
+  // Due date of the installment being retried
+  retryDueAt: {
+    type: Date
+  },
+  installmentsPaid: {
+    type: Number,
+    default: 0
+  },
+  lastPaidAt: {
+    type: Date
+  },
+  pausedAt: {
+    type: Date
+  },
+  pauseReason: {
+    type: String,
+    enum: ['donor', 'payment_failed']
+  },
+  cancelledAt: {
+    type: Date
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+recurringDonationSchema.index({ status: 1, nextChargeAt: 1 });
+recurringDonationSchema.index({ status: 1, retryAt: 1 });
+recurringDonationSchema.index({ donor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RecurringDonation', recurringDonationSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const ticketOrderSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Snapshot of the ticket types at purchase time
+  items: [{
+    ticketType: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    name: String,
+    kind: {
+      type: String,
+      enum: ['general', 'concession', 'volunteer']
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'cancelled', 'refunded'],
+    default: 'pending'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Seats of a pending order are released after this time
+  holdExpiresAt: {
+    type: Date
+  },
+  confirmedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  refund: {
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    refundedAt: Date,
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Total number of tickets in the order
+ticketOrderSchema.methods.getTicketCount = function() {
+  return this.items.reduce((sum, item) => sum + item.quantity, 0);
+};
+
+// Index for efficient queries
+ticketOrderSchema.index({ event: 1, status: 1 });
+ticketOrderSchema.index({ buyer: 1, createdAt: -1 });
+ticketOrderSchema.index({ status: 1, holdExpiresAt: 1 });
+
+module.exports = mongoose.model('TicketOrder', ticketOrderSchema);
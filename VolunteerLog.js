@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const volunteerLogSchema = new mongoose.Schema({
+  volunteer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  initiative: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Initiative',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  hours: {
+    type: Number,
+    required: true,
+    min: 0.25,
+    max: 24
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  // Only approved entries count towards initiative and user totals
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+volunteerLogSchema.index({ initiative: 1, status: 1, date: -1 });
+volunteerLogSchema.index({ volunteer: 1, date: -1 });
+
+module.exports = mongoose.model('VolunteerLog', volunteerLogSchema);
@@ -0,0 +1,59 @@
+// Initiative activity log helpers: recording entries and diffing field changes.
+
+const InitiativeActivity = require('../models/InitiativeActivity');
+
+// Initiative fields whose changes are logged with diffs and can be reverted
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'location',
+  'coordinates',
+  'status',
+  'startDate',
+  'endDate',
+  'images',
+  'tags',
+  'isPublic',
+  'joinPolicy',
+  'impactMetrics.environmentalImpact'
+];
+
+// JSON-safe copy of a document value so it can be stored and compared
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Snapshot the tracked fields of an initiative
+const snapshotFields = (initiative) => {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    snapshot[field] = toPlain(initiative.get(field));
+  });
+  return snapshot;
+};
+
+// List the tracked fields that differ between two snapshots
+const diffFields = (before, after) => TRACKED_FIELDS
+  .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+  .map(field => ({ field, from: before[field], to: after[field] }));
+
+// Append an entry to an initiative's activity log
+const recordActivity = ({ initiative, actor, type, message, changes, data }) =>
+  InitiativeActivity.create({
+    initiative: initiative._id || initiative,
+    actor,
+    type,
+    message,
+    changes,
+    data
+  });
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotFields,
+  diffFields,
+  recordActivity
+};
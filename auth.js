@@ -1,61 +1,77 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
-
-const auth = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    console.log('Auth middleware - Token received:', token ? 'Yes' : 'No');
-    
-    if (!token) {
-      console.log('Auth middleware - No token provided');
-      return res.status(401).json({ message: 'No token, authorization denied' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log('Auth middleware - Token decoded:', decoded);
-    
-    const user = await User.findById(decoded.userId).select('-password');
-    console.log('Auth middleware - User found:', user ? 'Yes' : 'No');
-    
-    if (!user) {
-      console.log('Auth middleware - User not found');
-      return res.status(401).json({ message: 'Token is not valid' });
-    }
-
-    req.user = user;
-    console.log('Auth middleware - User set in request:', user.id);
-    next();
-  } catch (error) {
-    console.error('Auth middleware - Error:', error.message);
-    res.status(401).json({ message: 'Token is not valid' });
-  }
-};
-
-const adminAuth = async (req, res, next) => {
-  try {
-    await auth(req, res, () => {
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'Access denied. Admin only.' });
-      }
-      next();
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
-  }
-};
-
-const moderatorAuth = async (req, res, next) => {
-  try {
-    await auth(req, res, () => {
-      if (req.user.role !== 'admin' && req.user.role !== 'moderator') {
-        return res.status(403).json({ message: 'Access denied. Moderator or admin only.' });
-      }
-      next();
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
-  }
-};
-
-module.exports = { auth, adminAuth, moderatorAuth }; 
\ No newline at end of file
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const auth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    
+    console.log('Auth middleware - Token received:', token ? 'Yes' : 'No');
+    
+    if (!token) {
+      console.log('Auth middleware - No token provided');
+      return res.status(401).json({ message: 'No token, authorization denied' });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    console.log('Auth middleware - Token decoded:', decoded);
+    
+    const user = await User.findById(decoded.userId).select('-password');
+    console.log('Auth middleware - User found:', user ? 'Yes' : 'No');
+    
+    if (!user) {
+      console.log('Auth middleware - User not found');
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+
+    req.user = user;
+    console.log('Auth middleware - User set in request:', user.id);
+    next();
+  } catch (error) {
+    console.error('Auth middleware - Error:', error.message);
+    res.status(401).json({ message: 'Token is not valid' });
+  }
+};
+
+// Sets req.user when a valid token is sent, otherwise continues anonymously
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.userId).select('-password');
+      if (user) req.user = user;
+    }
+  } catch (error) {
+    console.error('Optional auth middleware - Error:', error.message);
+  }
+  next();
+};
+
+const adminAuth = async (req, res, next) => {
+  try {
+    await auth(req, res, () => {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Access denied. Admin only.' });
+      }
+      next();
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const moderatorAuth = async (req, res, next) => {
+  try {
+    await auth(req, res, () => {
+      if (req.user.role !== 'admin' && req.user.role !== 'moderator') {
+        return res.status(403).json({ message: 'Access denied. Moderator or admin only.' });
+      }
+      next();
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = { auth, optionalAuth, adminAuth, moderatorAuth }; 
\ No newline at end of file
@@ -0,0 +1,215 @@
+const express = require('express');
+const router = express.Router();
+const { auth, optionalAuth } = require('../middleware/auth');
+const Campaign = require('../models/Campaign');
+const Initiative = require('../models/Initiative');
+const { toProgress, withProgress, getRaisedTotals, updateGoalStatus } = require('../utils/fundraising');
+const { BASE_CURRENCY, isCurrency } = require('../utils/currency');
+const { body, validationResult } = require('express-validator');
+
+// Campaigns of private initiatives are only visible to their members
+const canViewCampaign = async (campaign, user) => {
+  const initiative = await Initiative.findById(campaign.initiative._id || campaign.initiative);
+  return Boolean(initiative && initiative.canView(user));
+};
+
+// @route   GET /api/campaigns/initiative/:id
+// @desc    Get an initiative's fundraising campaigns with progress
+// @access  Public (private initiatives: members)
+router.get('/initiative/:id', optionalAuth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+    if (!initiative || !initiative.canView(req.user)) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    const query = { initiative: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const campaigns = await Campaign.find(query)
+      .populate('createdBy', 'name avatar')
+      .sort({ deadline: -1 });
+
+    res.json(await withProgress(campaigns));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/campaigns/:id
+// @desc    Get a campaign with raised/goal/percentage/donor count
+// @access  Public (private initiatives: members)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id)
+      .populate('initiative', 'title')
+      .populate('createdBy', 'name avatar');
+
+    if (!campaign || !(await canViewCampaign(campaign, req.user))) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const [result] = await withProgress([campaign]);
+    res.json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/campaigns/:id/progress
+// @desc    Get campaign progress only
+// @access  Public (private initiatives: members)
+router.get('/:id/progress', optionalAuth, async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign || !(await canViewCampaign(campaign, req.user))) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const totals = await getRaisedTotals([campaign._id]);
+    res.json(toProgress(campaign, totals[campaign._id.toString()]));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/campaigns
+// @desc    Create a fundraising campaign for an initiative
+// @access  Private (owner, coordinator or admin)
+router.post('/', [
+  auth,
+  [
+    body('initiative').isMongoId().withMessage('Valid initiative ID is required'),
+    body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title is required (max 200 characters)'),
+    body('description').optional().isLength({ max: 2000 }).withMessage('Description too long'),
+    body('goalAmount').isFloat({ min: 1 }).withMessage('Goal amount must be at least 1'),
+    body('currency').optional().toUpperCase().custom(isCurrency)
+      .withMessage('Currency must be an ISO 4217 code'),
+    body('deadline').isISO8601().withMessage('Valid deadline is required')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { initiative: initiativeId, title, description, goalAmount, currency, deadline } = req.body;
+
+    if (new Date(deadline) <= new Date()) {
+      return res.status(400).json({ message: 'Deadline must be in the future' });
+    }
+
+    const initiative = await Initiative.findById(initiativeId);
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const campaign = new Campaign({
+      initiative: initiative._id,
+      createdBy: req.user.id,
+      title,
+      description,
+      goalAmount,
+      currency: currency || BASE_CURRENCY,
+      deadline
+    });
+
+    await campaign.save();
+
+    res.json({ ...campaign.toObject(), progress: toProgress(campaign) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/campaigns/:id
+// @desc    Update a campaign's title, description, goal or deadline
+// @access  Private (owner, coordinator or admin)
+router.put('/:id', [
+  auth,
+  [
+    body('title').optional().trim().isLength({ min: 1, max: 200 })
+      .withMessage('Title is required (max 200 characters)'),
+    body('description').optional().isLength({ max: 2000 }).withMessage('Description too long'),
+    body('goalAmount').optional().isFloat({ min: 1 }).withMessage('Goal amount must be at least 1'),
+    body('deadline').optional().isISO8601().withMessage('Valid deadline is required')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const initiative = await Initiative.findById(campaign.initiative);
+    if (!initiative || !initiative.canManage(req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (campaign.status === 'cancelled') {
+      return res.status(400).json({ message: 'Campaign is cancelled' });
+    }
+
+    // Currency is fixed once donations may have been made in it
+    ['title', 'description', 'goalAmount', 'deadline'].forEach(field => {
+      if (req.body[field] !== undefined) campaign[field] = req.body[field];
+    });
+
+    await campaign.save();
+
+    // A new goal may have been reached or left behind
+    const progress = await updateGoalStatus(campaign._id);
+    const updated = await Campaign.findById(campaign._id);
+
+    res.json({ ...updated.toObject(), progress });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/campaigns/:id/cancel
+// @desc    Cancel a campaign (it stops accepting donations)
+// @access  Private (owner, coordinator or admin)
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const initiative = await Initiative.findById(campaign.initiative);
+    if (!initiative || !initiative.canManage(req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (campaign.status === 'cancelled') {
+      return res.status(400).json({ message: 'Campaign is already cancelled' });
+    }
+
+    campaign.status = 'cancelled';
+    await campaign.save();
+
+    res.json(campaign);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,335 @@
+// Threaded comments shared by initiatives and events: the embedded comment
+// schema and the route handlers both routers mount.
+
+const mongoose = require('mongoose');
+const { check, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+
+const commentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  // Comment this one replies to (null for top-level comments)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  editedAt: {
+    type: Date
+  },
+  likes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Deleted comments that still have replies keep their place in the thread
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderationReason: {
+    type: String,
+    maxlength: 500
+  }
+});
+
+const DELETED_CONTENT = '[deleted]';
+
+const validateContent = [
+  check('content', 'Content is required (max 1000 chars)').isLength({ min: 1, max: 1000 })
+];
+
+// Nest replies under their parents and paginate the top-level comments (newest first)
+const buildThreads = (comments, page, limit) => {
+  const nodes = {};
+  comments.forEach(comment => {
+    nodes[comment._id.toString()] = { ...comment.toObject(), replies: [] };
+  });
+
+  const roots = [];
+  comments.forEach(comment => {
+    const node = nodes[comment._id.toString()];
+    const parent = comment.parent && nodes[comment.parent.toString()];
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  // Replies read oldest first
+  Object.values(nodes).forEach(node => node.replies.sort((a, b) => a.createdAt - b.createdAt));
+  roots.sort((a, b) => b.createdAt - a.createdAt);
+
+  const start = (page - 1) * limit;
+  return {
+    comments: roots.slice(start, start + limit),
+    totalPages: Math.ceil(roots.length / limit),
+    currentPage: page,
+    total: roots.length
+  };
+};
+
+const hasReplies = (doc, comment) =>
+  doc.comments.some(c => c.parent && c.parent.toString() === comment._id.toString());
+
+// Remove a comment, or blank it out when replies hang off it (caller saves).
+// Deleted ancestors left without replies are removed along with it.
+const deleteComment = (doc, comment, userId, reason) => {
+  if (!hasReplies(doc, comment)) {
+    let parent = comment.parent && doc.comments.id(comment.parent);
+    comment.remove();
+
+    while (parent && parent.deletedAt && !hasReplies(doc, parent)) {
+      const next = parent.parent && doc.comments.id(parent.parent);
+      parent.remove();
+      parent = next;
+    }
+    return;
+  }
+
+  comment.content = DELETED_CONTENT;
+  comment.likes = [];
+  comment.deletedAt = new Date();
+  comment.deletedBy = userId;
+  if (reason) comment.moderationReason = reason;
+};
+
+// Route handlers for a model with an embedded `comments: [commentSchema]` array.
+//   label       - name used in "<label> not found" messages
+//   getOwner    - user ID who owns the commented content
+//   canView     - whether a (possibly anonymous) user may read and comment
+//   canManage   - whether a user may delete others' comments on the content
+//   notifyData  - Notification `data` pointing at the content
+//   onCreate    - optional hook run after a comment is saved
+const createCommentHandlers = ({ Model, label, getOwner, canView, canManage, notifyData, onCreate }) => {
+  const notFound = res => res.status(404).json({ message: `${label} not found` });
+
+  const handleError = (error, res) => {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return notFound(res);
+    }
+    res.status(500).send('Server error');
+  };
+
+  const notify = (recipient, sender, type, title, message, doc, comment) => {
+    if (!recipient || recipient.toString() === sender.toString()) return null;
+    return Notification.create({
+      recipient,
+      sender,
+      type,
+      title,
+      message,
+      data: { ...notifyData(doc), comment: comment._id }
+    });
+  };
+
+  const list = async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+      const doc = await Model.findById(req.params.id).populate('comments.user', 'name avatar');
+
+      if (!doc || !canView(doc, req.user)) {
+        return notFound(res);
+      }
+
+      res.json(buildThreads(doc.comments, page, limit));
+    } catch (error) {
+      handleError(error, res);
+    }
+  };
+
+  const create = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const doc = await Model.findById(req.params.id);
+
+      if (!doc || !canView(doc, req.user)) {
+        return notFound(res);
+      }
+
+      let parent = null;
+      if (req.body.parent) {
+        parent = doc.comments.id(req.body.parent);
+        if (!parent || parent.deletedAt) {
+          return res.status(400).json({ message: 'Comment being replied to not found' });
+        }
+      }
+
+      await doc.addComment(req.user.id, req.body.content, parent && parent._id);
+      const comment = doc.comments[doc.comments.length - 1];
+
+      await notify(getOwner(doc), req.user.id, 'comment_added',
+        `New comment on "${doc.title}"`,
+        `${req.user.name} commented on "${doc.title}".`, doc, comment);
+
+      if (parent && parent.user && parent.user.toString() !== getOwner(doc).toString()) {
+        await notify(parent.user, req.user.id, 'comment_added',
+          `New reply on "${doc.title}"`,
+          `${req.user.name} replied to your comment on "${doc.title}".`, doc, comment);
+      }
+
+      if (onCreate) await onCreate(doc, comment, req);
+
+      await doc.populate('comments.user', 'name avatar');
+      res.json(doc.comments.id(comment._id));
+    } catch (error) {
+      handleError(error, res);
+    }
+  };
+
+  const update = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const doc = await Model.findById(req.params.id);
+
+      if (!doc) {
+        return notFound(res);
+      }
+
+      const comment = doc.comments.id(req.params.commentId);
+
+      if (!comment || comment.deletedAt) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+
+      if (!comment.user || comment.user.toString() !== req.user.id) {
+        return res.status(401).json({ message: 'Not authorized' });
+      }
+
+      comment.content = req.body.content;
+      comment.editedAt = new Date();
+      await doc.save();
+
+      res.json(comment);
+    } catch (error) {
+      handleError(error, res);
+    }
+  };
+
+  const remove = async (req, res) => {
+    try {
+      const doc = await Model.findById(req.params.id);
+
+      if (!doc) {
+        return notFound(res);
+      }
+
+      const comment = doc.comments.id(req.params.commentId);
+
+      if (!comment || comment.deletedAt) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+
+      const isAuthor = comment.user && comment.user.toString() === req.user.id;
+      if (!isAuthor && !canManage(doc, req.user)) {
+        return res.status(401).json({ message: 'Not authorized' });
+      }
+
+      deleteComment(doc, comment, req.user.id);
+      await doc.save();
+
+      res.json({ message: 'Comment removed' });
+    } catch (error) {
+      handleError(error, res);
+    }
+  };
+
+  // Mounted behind moderatorAuth
+  const moderate = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const doc = await Model.findById(req.params.id);
+
+      if (!doc) {
+        return notFound(res);
+      }
+
+      const comment = doc.comments.id(req.params.commentId);
+
+      if (!comment || comment.deletedAt) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+
+      deleteComment(doc, comment, req.user.id, req.body.reason);
+      await doc.save();
+
+      res.json({ message: 'Comment removed by moderator' });
+    } catch (error) {
+      handleError(error, res);
+    }
+  };
+
+  const like = async (req, res) => {
+    try {
+      const doc = await Model.findById(req.params.id);
+
+      if (!doc || !canView(doc, req.user)) {
+        return notFound(res);
+      }
+
+      const comment = doc.comments.id(req.params.commentId);
+
+      if (!comment || comment.deletedAt) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+
+      const likeIndex = comment.likes.findIndex(
+        like => like.toString() === req.user.id
+      );
+
+      if (likeIndex > -1) {
+        comment.likes.splice(likeIndex, 1);
+      } else {
+        comment.likes.push(req.user.id);
+      }
+
+      await doc.save();
+
+      if (likeIndex === -1) {
+        await notify(comment.user, req.user.id, 'like_received',
+          'Your comment was liked',
+          `${req.user.name} liked your comment on "${doc.title}".`, doc, comment);
+      }
+
+      res.json(comment);
+    } catch (error) {
+      handleError(error, res);
+    }
+  };
+
+  return { list, create, update, remove, moderate, like };
+};
+
+module.exports = {
+  commentSchema,
+  validateContent,
+  createCommentHandlers
+};
@@ -0,0 +1,65 @@
+// ISO 4217 currency codes and conversion through the exchange-rate table.
+// Rates are stored as the value of one unit of a currency in BASE_CURRENCY.
+
+const ExchangeRate = require('../models/ExchangeRate');
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// Active ISO 4217 codes
+const CURRENCIES = [
+  'AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN',
+  'BAM', 'BBD', 'BDT', 'BGN', 'BHD', 'BIF', 'BMD', 'BND', 'BOB', 'BRL',
+  'BSD', 'BTN', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHF', 'CLP', 'CNY',
+  'COP', 'CRC', 'CUP', 'CVE', 'CZK', 'DJF', 'DKK', 'DOP', 'DZD', 'EGP',
+  'ERN', 'ETB', 'EUR', 'FJD', 'FKP', 'GBP', 'GEL', 'GHS', 'GIP', 'GMD',
+  'GNF', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG', 'HUF', 'IDR', 'ILS', 'INR',
+  'IQD', 'IRR', 'ISK', 'JMD', 'JOD', 'JPY', 'KES', 'KGS', 'KHR', 'KMF',
+  'KPW', 'KRW', 'KWD', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL',
+  'LYD', 'MAD', 'MDL', 'MGA', 'MKD', 'MMK', 'MNT', 'MOP', 'MRU', 'MUR',
+  'MVR', 'MWK', 'MXN', 'MYR', 'MZN', 'NAD', 'NGN', 'NIO', 'NOK', 'NPR',
+  'NZD', 'OMR', 'PAB', 'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'PYG', 'QAR',
+  'RON', 'RSD', 'RUB', 'RWF', 'SAR', 'SBD', 'SCR', 'SDG', 'SEK', 'SGD',
+  'SHP', 'SLE', 'SOS', 'SRD', 'SSP', 'STN', 'SVC', 'SYP', 'SZL', 'THB',
+  'TJS', 'TMT', 'TND', 'TOP', 'TRY', 'TTD', 'TWD', 'TZS', 'UAH', 'UGX',
+  'USD', 'UYU', 'UZS', 'VES', 'VND', 'VUV', 'WST', 'XAF', 'XCD', 'XOF',
+  'XPF', 'YER', 'ZAR', 'ZMW', 'ZWL'
+];
+
+const isCurrency = (code) => typeof code === 'string' && CURRENCIES.includes(code.toUpperCase());
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Value of one unit of `currency` in the base currency on `date`, or null when
+// no rate was in effect
+const getRate = async (currency, date = new Date()) => {
+  if (currency === BASE_CURRENCY) return 1;
+
+  const rate = await ExchangeRate.findOne({ currency, effectiveDate: { $lte: date } })
+    .sort({ effectiveDate: -1, createdAt: -1 });
+
+  return rate ? rate.rate : null;
+};
+
+// Convert an amount to the base currency at the rate in effect on `date`
+const toBase = async (amount, currency, date = new Date()) => {
+  const rate = await getRate(currency, date);
+  if (rate === null) return null;
+  return { baseAmount: round(amount * rate), baseCurrency: BASE_CURRENCY, exchangeRate: rate };
+};
+
+// Converter from base-currency amounts to the reporting currency, or null
+// when there is no rate for it
+const reportingConverter = async (currency = BASE_CURRENCY, date = new Date()) => {
+  const rate = await getRate(currency, date);
+  if (rate === null) return null;
+  return (baseAmount) => round(baseAmount / rate);
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCIES,
+  isCurrency,
+  getRate,
+  toBase,
+  reportingConverter
+};
@@ -0,0 +1,94 @@
+const mockFindOne = jest.fn();
+jest.mock('../models/ExchangeRate', () => ({ findOne: (...args) => mockFindOne(...args) }), { virtual: true });
+
+const { BASE_CURRENCY, isCurrency, getRate, toBase, reportingConverter } = require('./currency');
+
+// ExchangeRate.findOne(...).sort(...) resolving to the given rate (or none)
+const rateOf = (rate) => {
+  mockFindOne.mockReturnValue({ sort: () => Promise.resolve(rate === null ? null : { rate }) });
+};
+
+beforeEach(() => {
+  mockFindOne.mockReset();
+});
+
+describe('isCurrency', () => {
+  it('accepts ISO 4217 codes in any case', () => {
+    expect(isCurrency('EUR')).toBe(true);
+    expect(isCurrency('jpy')).toBe(true);
+  });
+
+  it('rejects unknown codes and non-strings', () => {
+    expect(isCurrency('ABC')).toBe(false);
+    expect(isCurrency('EURO')).toBe(false);
+    expect(isCurrency(undefined)).toBe(false);
+  });
+});
+
+describe('getRate', () => {
+  it('is 1 for the base currency without a lookup', async () => {
+    await expect(getRate(BASE_CURRENCY)).resolves.toBe(1);
+    expect(mockFindOne).not.toHaveBeenCalled();
+  });
+
+  it('uses the latest rate in effect on the date', async () => {
+    rateOf(1.1);
+    const date = new Date('2024-03-01');
+    await expect(getRate('EUR', date)).resolves.toBe(1.1);
+    expect(mockFindOne).toHaveBeenCalledWith({ currency: 'EUR', effectiveDate: { $lte: date } });
+  });
+
+  it('is null when no rate was in effect', async () => {
+    rateOf(null);
+    await expect(getRate('EUR')).resolves.toBeNull();
+  });
+});
+
+describe('toBase', () => {
+  it('converts at the rate and rounds to cents', async () => {
+    rateOf(1.08567);
+    await expect(toBase(100, 'EUR')).resolves.toEqual({
+      baseAmount: 108.57,
+      baseCurrency: BASE_CURRENCY,
+      exchangeRate: 1.08567
+    });
+  });
+
+  it('keeps base-currency amounts unchanged', async () => {
+    await expect(toBase(12.34, BASE_CURRENCY)).resolves.toEqual({
+      baseAmount: 12.34,
+      baseCurrency: BASE_CURRENCY,
+      exchangeRate: 1
+    });
+  });
+
+  it('is null without a rate', async () => {
+    rateOf(null);
+    await expect(toBase(100, 'EUR')).resolves.toBeNull();
+  });
+});
+
+describe('reportingConverter', () => {
+  it('converts base amounts into the reporting currency', async () => {
+    rateOf(0.0067);
+    const convert = await reportingConverter('JPY');
+    expect(convert(100)).toBe(14925.37);
+  });
+
+  it('is the identity (rounded) for the base currency', async () => {
+    const convert = await reportingConverter();
+    expect(convert(10.126)).toBe(10.13);
+  });
+
+  it('round-trips an amount converted with toBase at the same rate', async () => {
+    rateOf(1.25);
+    const { baseAmount } = await toBase(80, 'GBP');
+    const convert = await reportingConverter('GBP');
+    expect(convert(baseAmount)).toBe(80);
+  });
+
+  it('is null without a rate', async () => {
+    rateOf(null);
+    await expect(reportingConverter('EUR')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const RecurringDonation = require('../models/RecurringDonation');
+const Donation = require('../models/Donation');
+const Initiative = require('../models/Initiative');
+const Campaign = require('../models/Campaign');
+const { nextDueDate } = require('../utils/recurringDonations');
+const { BASE_CURRENCY, isCurrency, getRate } = require('../utils/currency');
+const { getProvider } = require('../utils/paymentProviders');
+const { body, validationResult } = require('express-validator');
+
+// Plans are managed by their donor; admins can view and cancel them
+const findOwnPlan = async (req, res) => {
+  const plan = await RecurringDonation.findById(req.params.id);
+  if (!plan || (plan.donor.toString() !== req.user.id && req.user.role !== 'admin')) {
+    res.status(404).json({ message: 'Recurring donation not found' });
+    return null;
+  }
+  return plan;
+};
+
+// @route   GET /api/donation-plans/my-plans
+// @desc    Get current user's recurring donations
+// @access  Private
+router.get('/my-plans', auth, async (req, res) => {
+  try {
+    const plans = await RecurringDonation.find({ donor: req.user.id })
+      .populate('initiative', 'title images')
+      .populate('campaign', 'title')
+      .sort({ createdAt: -1 });
+
+    res.json(plans);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/donation-plans/:id
+// @desc    Get a recurring donation with its installments
+// @access  Private (donor or admin)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const plan = await findOwnPlan(req, res);
+    if (!plan) return;
+
+    await plan.populate('initiative', 'title images');
+    await plan.populate('campaign', 'title');
+
+    const installments = await Donation.find({ recurringPlan: plan._id })
+      .select('amount currency status installmentDueAt transactionId createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({ ...plan.toObject(), installments });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/donation-plans
+// @desc    Start a monthly, quarterly or yearly donation
+// @access  Private
+router.post('/', [
+  auth,
+  [
+    body('initiative').isMongoId().withMessage('Valid initiative ID is required'),
+    body('campaign').optional().isMongoId().withMessage('Valid campaign ID is required'),
+    body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+    body('currency').optional().toUpperCase().custom(isCurrency)
+      .withMessage('Currency must be an ISO 4217 code'),
+    body('interval').isIn(['monthly', 'quarterly', 'yearly'])
+      .withMessage('Interval must be monthly, quarterly or yearly'),
+    body('paymentMethod').isIn(['credit_card', 'paypal', 'other'])
+      .withMessage('Recurring donations need an online payment method'),
+    body('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+    body('message').optional().isLength({ max: 500 }).withMessage('Message too long'),
+    body('isAnonymous').optional().isBoolean().withMessage('isAnonymous must be boolean')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { initiative, campaign: campaignId, amount, interval, paymentMethod, message, isAnonymous } = req.body;
+    let { currency } = req.body;
+
+    const initiativeExists = await Initiative.findById(initiative);
+    if (!initiativeExists) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (campaignId) {
+      const campaign = await Campaign.findById(campaignId);
+      if (!campaign || campaign.initiative.toString() !== initiative) {
+        return res.status(404).json({ message: 'Campaign not found' });
+      }
+
+      if (!campaign.isOpen()) {
+        return res.status(400).json({ message: 'Campaign is no longer accepting donations' });
+      }
+
+      if (currency && currency !== campaign.currency) {
+        return res.status(400).json({ message: `Campaign accepts ${campaign.currency} donations only` });
+      }
+      currency = campaign.currency;
+    }
+
+    if (!getProvider()) {
+      return res.status(503).json({ message: 'Online payments are not available' });
+    }
+
+    currency = currency || BASE_CURRENCY;
+
+    // Each installment is converted at its own charge date; refuse currencies
+    // that cannot be converted at all
+    if (await getRate(currency) === null) {
+      return res.status(400).json({ message: `Donations in ${currency} are not accepted yet (no exchange rate)` });
+    }
+
+    const startDate = req.body.startDate ? new Date(req.body.startDate) : new Date();
+    if (startDate < new Date(Date.now() - 24 * 60 * 60 * 1000)) {
+      return res.status(400).json({ message: 'Start date cannot be in the past' });
+    }
+
+    // The first installment is charged by the scheduler once startDate arrives
+    const plan = new RecurringDonation({
+      donor: req.user.id,
+      initiative,
+      campaign: campaignId,
+      amount,
+      currency,
+      paymentMethod,
+      interval,
+      startDate,
+      nextChargeAt: startDate,
+      message,
+      isAnonymous: isAnonymous || false
+    });
+
+    await plan.save();
+    await plan.populate('initiative', 'title');
+
+    res.json(plan);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/donation-plans/:id/pause
+// @desc    Pause a recurring donation
+// @access  Private (donor)
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const plan = await findOwnPlan(req, res);
+    if (!plan) return;
+
+    if (plan.status !== 'active') {
+      return res.status(400).json({ message: 'Only active recurring donations can be paused' });
+    }
+
+    plan.status = 'paused';
+    plan.pauseReason = 'donor';
+    plan.pausedAt = new Date();
+    await plan.save();
+
+    res.json(plan);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/donation-plans/:id/resume
+// @desc    Resume a paused recurring donation from its next due date
+//          (installments missed while paused are not charged)
+// @access  Private (donor)
+router.post('/:id/resume', auth, async (req, res) => {
+  try {
+    const plan = await findOwnPlan(req, res);
+    if (!plan) return;
+
+    if (plan.status !== 'paused') {
+      return res.status(400).json({ message: 'Only paused recurring donations can be resumed' });
+    }
+
+    const now = new Date();
+    while (plan.nextChargeAt < now) {
+      plan.nextChargeAt = nextDueDate(plan, plan.nextChargeAt);
+    }
+
+    plan.status = 'active';
+    plan.pauseReason = undefined;
+    plan.pausedAt = undefined;
+    plan.failedAttempts = 0;
+    plan.retryAt = undefined;
+    plan.retryDueAt = undefined;
+    await plan.save();
+
+    res.json(plan);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/donation-plans/:id/cancel
+// @desc    Cancel a recurring donation (completed installments are kept)
+// @access  Private (donor or admin)
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const plan = await findOwnPlan(req, res);
+    if (!plan) return;
+
+    if (plan.status === 'cancelled') {
+      return res.status(400).json({ message: 'Recurring donation is already cancelled' });
+    }
+
+    plan.status = 'cancelled';
+    plan.cancelledAt = new Date();
+    plan.retryAt = undefined;
+    plan.retryDueAt = undefined;
+    await plan.save();
+
+    res.json(plan);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,215 +1,852 @@
-const express = require('express');
-const router = express.Router();
-const { auth } = require('../middleware/auth');
-const Donation = require('../models/Donation');
-const Initiative = require('../models/Initiative');
-const { body, validationResult } = require('express-validator');
-
-// @route   GET /api/donations
-// @desc    Get all donations (admin only)
-// @access  Private
-router.get('/', auth, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
-    const donations = await Donation.find()
-      .populate('initiative', 'title')
-      .populate('donor', 'name email')
-      .sort({ createdAt: -1 });
-
-    res.json(donations);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-// @route   GET /api/donations/initiative/:id
-// @desc    Get donations for a specific initiative
-// @access  Public
-router.get('/initiative/:id', async (req, res) => {
-  try {
-    const donations = await Donation.find({ 
-      initiative: req.params.id,
-      status: 'completed'
-    })
-      .populate('donor', 'name avatar')
-      .sort({ createdAt: -1 });
-
-    // Calculate total amount
-    const totalAmount = donations.reduce((sum, donation) => sum + donation.amount, 0);
-
-    res.json({
-      donations,
-      totalAmount,
-      totalDonations: donations.length
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-// @route   GET /api/donations/my-donations
-// @desc    Get current user's donations
-// @access  Private
-router.get('/my-donations', auth, async (req, res) => {
-  try {
-    const donations = await Donation.find({ donor: req.user.id })
-      .populate('initiative', 'title description images')
-      .sort({ createdAt: -1 });
-
-    res.json(donations);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-// @route   POST /api/donations
-// @desc    Create a new donation
-// @access  Private
-router.post('/', [
-  auth,
-  [
-    body('initiative').isMongoId().withMessage('Valid initiative ID is required'),
-    body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
-    body('paymentMethod').isIn(['credit_card', 'paypal', 'bank_transfer', 'cash', 'other'])
-      .withMessage('Valid payment method is required'),
-    body('message').optional().isLength({ max: 500 }).withMessage('Message too long'),
-    body('isAnonymous').optional().isBoolean().withMessage('isAnonymous must be boolean')
-  ]
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  try {
-    const { initiative, amount, currency, paymentMethod, message, isAnonymous } = req.body;
-
-    // Check if initiative exists
-    const initiativeExists = await Initiative.findById(initiative);
-    if (!initiativeExists) {
-      return res.status(404).json({ message: 'Initiative not found' });
-    }
-
-    // Create donation
-    const donation = new Donation({
-      initiative,
-      donor: req.user.id,
-      amount,
-      currency: currency || 'USD',
-      paymentMethod,
-      message,
-      isAnonymous: isAnonymous || false,
-      status: 'pending'
-    });
-
-    await donation.save();
-
-    // Populate references for response
-    await donation.populate('initiative', 'title');
-    await donation.populate('donor', 'name email');
-
-    res.json(donation);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-// @route   PUT /api/donations/:id/status
-// @desc    Update donation status (admin only)
-// @access  Private
-router.put('/:id/status', [
-  auth,
-  [
-    body('status').isIn(['pending', 'completed', 'failed', 'refunded'])
-      .withMessage('Valid status is required'),
-    body('transactionId').optional().isString().withMessage('Transaction ID must be string')
-  ]
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
-    const { status, transactionId } = req.body;
-
-    const donation = await Donation.findById(req.params.id);
-    if (!donation) {
-      return res.status(404).json({ message: 'Donation not found' });
-    }
-
-    donation.status = status;
-    if (transactionId) {
-      donation.transactionId = transactionId;
-    }
-
-    await donation.save();
-
-    await donation.populate('initiative', 'title');
-    await donation.populate('donor', 'name email');
-
-    res.json(donation);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-// @route   GET /api/donations/stats
-// @desc    Get donation statistics
-// @access  Private (admin only)
-router.get('/stats', auth, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
-    const stats = await Donation.aggregate([
-      {
-        $group: {
-          _id: null,
-          totalDonations: { $sum: 1 },
-          totalAmount: { $sum: '$amount' },
-          avgAmount: { $avg: '$amount' }
-        }
-      }
-    ]);
-
-    const monthlyStats = await Donation.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: new Date(new Date().getFullYear(), 0, 1) }
-        }
-      },
-      {
-        $group: {
-          _id: { $month: '$createdAt' },
-          count: { $sum: 1 },
-          amount: { $sum: '$amount' }
-        }
-      },
-      { $sort: { _id: 1 } }
-    ]);
-
-    res.json({
-      overall: stats[0] || { totalDonations: 0, totalAmount: 0, avgAmount: 0 },
-      monthly: monthlyStats
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-module.exports = router;
+const express = require('express');
+const router = express.Router();
+const { auth, optionalAuth } = require('../middleware/auth');
+const Donation = require('../models/Donation');
+const Initiative = require('../models/Initiative');
+const Campaign = require('../models/Campaign');
+const Pledge = require('../models/Pledge');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const DonationLedgerEntry = require('../models/DonationLedgerEntry');
+const {
+  MANUAL_METHODS,
+  isManualMethod,
+  startDonationPayment,
+  settleDonation,
+  resumeSettlement,
+  refundDonation,
+  resumeRefunds
+} = require('../utils/payments');
+const { getProvider } = require('../utils/paymentProviders');
+const {
+  receiptUrl,
+  issueReceipt,
+  deliverReceipt,
+  donationReceiptPdf,
+  findYearDonations,
+  annualSummaryPdf
+} = require('../utils/receipts');
+const { BASE_CURRENCY, isCurrency, toBase, reportingConverter } = require('../utils/currency');
+const { body, validationResult } = require('express-validator');
+
+// Donation fields anyone who can see the initiative may read; payment
+// references, reconciliation and refund details stay with donors and admins
+const PUBLIC_DONATION_FIELDS = [
+  'initiative', 'campaign', 'donor', 'amount', 'currency', 'baseAmount', 'baseCurrency', 'exchangeRate',
+  'refundedAmount', 'status', 'message', 'isAnonymous', 'completedAt', 'createdAt'
+].join(' ');
+
+// @route   GET /api/donations
+// @desc    Get all donations (admin only)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const donations = await Donation.find()
+      .populate('initiative', 'title')
+      .populate('donor', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(donations);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/donations/initiative/:id
+// @desc    Get donations for a specific initiative with totals in ?currency= (default base)
+// @access  Public (private initiatives: members)
+router.get('/initiative/:id', optionalAuth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+    if (!initiative || !initiative.canView(req.user)) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    const currency = (req.query.currency || BASE_CURRENCY).toUpperCase();
+    if (!isCurrency(currency)) {
+      return res.status(400).json({ message: 'Currency must be an ISO 4217 code' });
+    }
+
+    const convert = await reportingConverter(currency);
+    if (!convert) {
+      return res.status(400).json({ message: `No exchange rate for ${currency}` });
+    }
+
+    const donations = await Donation.find({ 
+      initiative: req.params.id,
+      status: 'completed'
+    })
+      .select(PUBLIC_DONATION_FIELDS)
+      .populate('donor', 'name avatar')
+      .sort({ createdAt: -1 });
+
+    // Totals are net of partial refunds (fully refunded donations are not listed),
+    // converted from base amounts fixed on the day of each gift
+    let totalBase = 0;
+    let refundedBase = 0;
+    const byCurrency = {};
+    donations.forEach(donation => {
+      const netBase = donation.getNetBaseAmount();
+      const base = donation.baseAmount !== undefined ? donation.baseAmount : donation.amount;
+      totalBase += netBase;
+      refundedBase += base - netBase;
+
+      const original = byCurrency[donation.currency] || { amount: 0, count: 0 };
+      original.amount = Math.round((original.amount + donation.getNetAmount()) * 100) / 100;
+      original.count += 1;
+      byCurrency[donation.currency] = original;
+    });
+
+    res.json({
+      // Anonymous gifts are listed without their donor
+      donations: donations.map(donation => (
+        donation.isAnonymous ? { ...donation.toObject(), donor: null } : donation
+      )),
+      currency,
+      totalAmount: convert(totalBase),
+      totalRefunded: convert(refundedBase),
+      totalDonations: donations.length,
+      byCurrency
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/donations/my-donations
+// @desc    Get current user's donations
+// @access  Private
+router.get('/my-donations', auth, async (req, res) => {
+  try {
+    const donations = await Donation.find({ donor: req.user.id })
+      .populate('initiative', 'title description images')
+      .sort({ createdAt: -1 });
+
+    res.json(donations.map(donation => ({
+      ...donation.toObject(),
+      receiptUrl: donation.status === 'completed' ? receiptUrl(donation) : null
+    })));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/donations/my-donations/summary/:year
+// @desc    Download an annual summary receipt (PDF) of completed donations
+//          (admins can pass ?donor= for any donor)
+// @access  Private
+router.get('/my-donations/summary/:year', auth, async (req, res) => {
+  try {
+    const year = parseInt(req.params.year, 10);
+    if (!year || year < 2000 || year > new Date().getUTCFullYear()) {
+      return res.status(400).json({ message: 'Valid year is required' });
+    }
+
+    const donorId = req.user.role === 'admin' && req.query.donor ? req.query.donor : req.user.id;
+    const donor = await User.findById(donorId).select('name email');
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    const donations = await findYearDonations(donor._id, year);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="donations-${year}.pdf"`);
+    res.send(annualSummaryPdf(donor, year, donations));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/donations/my-donations/:id/receipt
+// @desc    Download the PDF receipt of a completed donation
+// @access  Private (donor or admin)
+router.get('/my-donations/:id/receipt', auth, async (req, res) => {
+  try {
+    const donation = await Donation.findById(req.params.id)
+      .populate('donor', 'name email')
+      .populate('initiative', 'title')
+      .populate('campaign', 'title');
+
+    if (!donation || (donation.donor._id.toString() !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    if (donation.status !== 'completed') {
+      return res.status(400).json({ message: 'Receipts are issued for completed donations only' });
+    }
+
+    // Donations completed before receipts existed get their number now
+    await issueReceipt(donation);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="receipt-${donation.receipt.number}.pdf"`);
+    res.send(donationReceiptPdf(donation));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/donations
+// @desc    Create a new donation
+// @access  Private
+router.post('/', [
+  auth,
+  [
+    body('initiative').isMongoId().withMessage('Valid initiative ID is required'),
+    body('campaign').optional().isMongoId().withMessage('Valid campaign ID is required'),
+    body('pledge').optional().isMongoId().withMessage('Valid pledge ID is required'),
+    body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+    body('currency').optional().toUpperCase().custom(isCurrency)
+      .withMessage('Currency must be an ISO 4217 code'),
+    body('paymentMethod').isIn(['credit_card', 'paypal', 'bank_transfer', 'cash', 'other'])
+      .withMessage('Valid payment method is required'),
+    body('message').optional().isLength({ max: 500 }).withMessage('Message too long'),
+    body('isAnonymous').optional().isBoolean().withMessage('isAnonymous must be boolean')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { initiative, pledge: pledgeId, amount, paymentMethod, message, isAnonymous } = req.body;
+    let { campaign: campaignId, currency } = req.body;
+
+    // Check if initiative exists; private initiatives only take donations from those who can see them
+    const initiativeExists = await Initiative.findById(initiative);
+    if (!initiativeExists || !initiativeExists.canView(req.user)) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    // Paying towards a pledge: the gift follows the pledge's campaign and currency
+    if (pledgeId) {
+      const pledge = await Pledge.findById(pledgeId);
+      if (!pledge || pledge.donor.toString() !== req.user.id || pledge.initiative.toString() !== initiative) {
+        return res.status(404).json({ message: 'Pledge not found' });
+      }
+
+      if (pledge.status !== 'open') {
+        return res.status(400).json({ message: 'Pledge is no longer open' });
+      }
+
+      if (currency && currency !== pledge.currency) {
+        return res.status(400).json({ message: `Pledge was made in ${pledge.currency}` });
+      }
+      currency = pledge.currency;
+      campaignId = campaignId || (pledge.campaign && pledge.campaign.toString());
+    }
+
+    if (campaignId) {
+      const campaign = await Campaign.findById(campaignId);
+      if (!campaign || campaign.initiative.toString() !== initiative) {
+        return res.status(404).json({ message: 'Campaign not found' });
+      }
+
+      if (!campaign.isOpen()) {
+        return res.status(400).json({ message: 'Campaign is no longer accepting donations' });
+      }
+
+      if (currency && currency !== campaign.currency) {
+        return res.status(400).json({ message: `Campaign accepts ${campaign.currency} donations only` });
+      }
+      currency = campaign.currency;
+    }
+
+    if (!isManualMethod(paymentMethod) && !getProvider()) {
+      return res.status(503).json({ message: 'Online payments are not available' });
+    }
+
+    currency = currency || BASE_CURRENCY;
+
+    // Fix the base-currency value at today's rate
+    const conversion = await toBase(Number(amount), currency);
+    if (!conversion) {
+      return res.status(400).json({ message: `Donations in ${currency} are not accepted yet (no exchange rate)` });
+    }
+
+    // Create donation
+    const donation = new Donation({
+      initiative,
+      campaign: campaignId,
+      pledge: pledgeId,
+      donor: req.user.id,
+      amount,
+      currency,
+      ...conversion,
+      paymentMethod,
+      message,
+      isAnonymous: isAnonymous || false,
+      status: 'pending'
+    });
+
+    await donation.save();
+
+    // Online payments are confirmed by the provider webhook; cash and bank
+    // transfers wait for an admin to reconcile them
+    let payment = null;
+    if (!isManualMethod(paymentMethod)) {
+      try {
+        payment = await startDonationPayment(donation);
+      } catch (paymentError) {
+        // Leave no pending donation behind that can never be paid
+        console.error(paymentError);
+        await settleDonation(donation, 'failed', { reason: paymentError.message });
+        return res.status(502).json({ message: 'Payment could not be started, please try again' });
+      }
+    }
+
+    // Populate references for response
+    await donation.populate('initiative', 'title');
+    await donation.populate('donor', 'name email');
+
+    res.json({ ...donation.toObject(), payment });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/donations/reconciliation
+// @desc    Get pending cash and bank transfer donations awaiting reconciliation
+// @access  Private (admin only)
+router.get('/reconciliation', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const donations = await Donation.find({
+      status: 'pending',
+      paymentMethod: { $in: MANUAL_METHODS }
+    })
+      .populate('initiative', 'title')
+      .populate('donor', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json(donations);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/donations/:id/reconcile
+// @desc    Confirm (`completed`) or reject (`failed`) a cash or bank transfer donation
+// @access  Private (admin only)
+router.put('/:id/reconcile', [
+  auth,
+  [
+    body('status').isIn(['completed', 'failed']).withMessage('Status must be completed or failed'),
+    body('reference').optional().isString().isLength({ max: 100 })
+      .withMessage('Reference must be 100 characters or less'),
+    body('note').optional().isLength({ max: 500 }).withMessage('Note too long')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const donation = await Donation.findById(req.params.id);
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    if (!isManualMethod(donation.paymentMethod)) {
+      return res.status(400).json({ message: 'Only cash and bank transfer donations are reconciled' });
+    }
+
+    // Finish a reconciliation that was interrupted by an error
+    if (donation.settlement && donation.settlement.startedAt) {
+      const resumed = await resumeSettlement(donation);
+      await resumed.populate('initiative', 'title');
+      await resumed.populate('donor', 'name email');
+      return res.json(resumed);
+    }
+
+    if (donation.status !== 'pending') {
+      return res.status(400).json({ message: 'Donation has already been settled' });
+    }
+
+    const { status, reference, note } = req.body;
+
+    donation.reconciliation = {
+      reconciledBy: req.user.id,
+      reconciledAt: new Date(),
+      reference,
+      note
+    };
+
+    // The bank or cash book reference doubles as the transaction ID
+    const settled = await settleDonation(donation, status, { transactionId: reference, actor: req.user.id, reason: note });
+    if (!settled) {
+      return res.status(409).json({ message: 'Donation was settled by another request' });
+    }
+
+    await donation.populate('initiative', 'title');
+    await donation.populate('donor', 'name email');
+
+    res.json(donation);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/donations/refund-requests
+// @desc    Get refund requests awaiting review (?status=requested|approved|rejected)
+// @access  Private (admin only)
+router.get('/refund-requests', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const status = req.query.status || 'requested';
+
+    const donations = await Donation.find({ 'refundRequests.status': status })
+      .populate('initiative', 'title')
+      .populate('donor', 'name email')
+      .sort({ updatedAt: 1 });
+
+    const requests = [];
+    donations.forEach(donation => {
+      donation.refundRequests
+        .filter(request => request.status === status)
+        .forEach(request => requests.push({
+          ...request.toObject(),
+          donation: {
+            _id: donation._id,
+            initiative: donation.initiative,
+            donor: donation.donor,
+            amount: donation.amount,
+            refundedAmount: donation.refundedAmount,
+            currency: donation.currency,
+            paymentMethod: donation.paymentMethod
+          }
+        }));
+    });
+
+    res.json(requests);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/donations/:id/refund-requests
+// @desc    Ask for a full or partial refund of a completed donation
+// @access  Private (donor)
+router.post('/:id/refund-requests', [
+  auth,
+  [
+    body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+    body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required (max 500 characters)')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const donation = await Donation.findById(req.params.id);
+    if (!donation || donation.donor.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    if (donation.status !== 'completed') {
+      return res.status(400).json({ message: 'Only completed donations can be refunded' });
+    }
+
+    if (donation.refundRequests.some(request => request.status === 'requested')) {
+      return res.status(400).json({ message: 'A refund request is already awaiting review' });
+    }
+
+    const remaining = donation.getNetAmount();
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : remaining;
+    if (amount > remaining) {
+      return res.status(400).json({ message: `At most ${remaining} ${donation.currency} can be refunded` });
+    }
+
+    donation.refundRequests.push({ amount, reason: req.body.reason });
+    await donation.save();
+
+    res.json(donation.refundRequests[donation.refundRequests.length - 1]);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/donations/:id/refund-requests/:requestId
+// @desc    Approve (refunding the requested or a lower `amount`) or reject a refund request
+// @access  Private (admin only)
+router.put('/:id/refund-requests/:requestId', [
+  auth,
+  [
+    body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+    body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+    body('note').optional().isLength({ max: 500 }).withMessage('Note too long')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const found = await Donation.findById(req.params.id);
+    if (!found) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    // Finish refunds that were interrupted by an error before taking on new ones
+    const donation = await resumeRefunds(found);
+
+    const request = donation.refundRequests.id(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({ message: 'Refund request not found' });
+    }
+
+    if (request.status !== 'requested') {
+      return res.status(400).json({ message: 'Refund request has already been reviewed' });
+    }
+
+    const { status, note } = req.body;
+
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : request.amount;
+    if (status === 'approved' && (amount > request.amount || amount > donation.getNetAmount())) {
+      return res.status(400).json({
+        message: `At most ${Math.min(request.amount, donation.getNetAmount())} ${donation.currency} can be refunded`
+      });
+    }
+
+    // Claim the review so a request is never approved (and refunded) twice
+    const review = {
+      'refundRequests.$.status': status,
+      'refundRequests.$.reviewedBy': req.user.id,
+      'refundRequests.$.reviewedAt': new Date(),
+      'refundRequests.$.reviewNote': note
+    };
+    if (status === 'approved') review['refundRequests.$.amount'] = amount;
+
+    const claim = await Donation.updateOne(
+      { _id: donation._id, refundRequests: { $elemMatch: { _id: request._id, status: 'requested' } } },
+      { $set: review }
+    );
+    if (claim.modifiedCount !== 1) {
+      return res.status(400).json({ message: 'Refund request has already been reviewed' });
+    }
+
+    // Put the request back up for review when the refund does not go through
+    const reopen = () => Donation.updateOne(
+      { _id: donation._id, 'refundRequests._id': request._id },
+      {
+        $set: { 'refundRequests.$.status': 'requested', 'refundRequests.$.amount': request.amount },
+        $unset: {
+          'refundRequests.$.reviewedBy': 1,
+          'refundRequests.$.reviewedAt': 1,
+          'refundRequests.$.reviewNote': 1
+        }
+      }
+    );
+
+    let updated;
+    if (status === 'approved') {
+      try {
+        updated = await refundDonation(donation, amount, {
+          actor: req.user.id,
+          reason: request.reason,
+          refundRequest: request._id
+        });
+      } catch (error) {
+        await reopen();
+        throw error;
+      }
+
+      if (!updated) {
+        await reopen();
+        return res.status(400).json({ message: 'Refund exceeds what is left of the donation' });
+      }
+    } else {
+      updated = await Donation.findById(donation._id);
+    }
+
+    await Notification.create({
+      recipient: donation.donor,
+      sender: req.user.id,
+      type: 'donation_refund_reviewed',
+      title: status === 'approved' ? 'Refund approved' : 'Refund request declined',
+      message: status === 'approved'
+        ? `${amount} ${donation.currency} of your donation is being refunded.`
+        : `Your refund request was declined${note ? `: ${note}` : '.'}`,
+      data: { donation: donation._id, initiative: donation.initiative }
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/donations/:id/refunds
+// @desc    Refund part or all of a completed donation without a request
+// @access  Private (admin only)
+router.post('/:id/refunds', [
+  auth,
+  [
+    body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+    body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required (max 500 characters)')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const found = await Donation.findById(req.params.id);
+    if (!found) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    // Finish refunds that were interrupted by an error before taking on new ones
+    const donation = await resumeRefunds(found);
+
+    if (donation.status !== 'completed') {
+      return res.status(400).json({ message: 'Only completed donations can be refunded' });
+    }
+
+    const remaining = donation.getNetAmount();
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : remaining;
+    if (amount > remaining) {
+      return res.status(400).json({ message: `At most ${remaining} ${donation.currency} can be refunded` });
+    }
+
+    const updated = await refundDonation(donation, amount, { actor: req.user.id, reason: req.body.reason });
+    if (!updated) {
+      return res.status(400).json({ message: 'Refund exceeds what is left of the donation' });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/donations/:id/ledger
+// @desc    Get every charge, refund and adjustment of a donation with its net amount
+// @access  Private (donor or admin)
+router.get('/:id/ledger', auth, async (req, res) => {
+  try {
+    const donation = await Donation.findById(req.params.id);
+    if (!donation || (donation.donor.toString() !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    const entries = await DonationLedgerEntry.find({ donation: donation._id })
+      .populate('actor', 'name')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      entries,
+      net: donation.getNetAmount(),
+      refunded: donation.refundedAmount,
+      currency: donation.currency
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/donations/:id/status
+// @desc    Complete or fail a pending or failed donation (admin only); refunds
+//          go through the refund endpoints
+// @access  Private
+router.put('/:id/status', [
+  auth,
+  [
+    body('status').isIn(['completed', 'failed'])
+      .withMessage('Status must be completed or failed'),
+    body('transactionId').optional().isString().withMessage('Transaction ID must be string')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { status, transactionId } = req.body;
+
+    const donation = await Donation.findById(req.params.id);
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    if (!['pending', 'failed'].includes(donation.status)) {
+      return res.status(400).json({ message: 'Settled donations cannot change status; refund them instead' });
+    }
+
+    if (status === donation.status) {
+      return res.status(400).json({ message: `Donation is already ${status}` });
+    }
+
+    if (status === 'completed' && donation.status === 'pending' && isManualMethod(donation.paymentMethod)) {
+      return res.status(400).json({ message: 'Cash and bank transfer donations are completed through reconciliation' });
+    }
+
+    const settled = await settleDonation(donation, status, { transactionId, actor: req.user.id, reason: 'Status changed by admin' });
+    if (!settled) {
+      return res.status(409).json({ message: 'Donation was changed by another request' });
+    }
+
+    await donation.populate('initiative', 'title');
+    await donation.populate('donor', 'name email');
+
+    res.json(donation);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/donations/:id/receipt/resend
+// @desc    Re-send a completed donation's receipt to the donor
+// @access  Private (admin only)
+router.post('/:id/receipt/resend', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const donation = await Donation.findById(req.params.id);
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    if (donation.status !== 'completed') {
+      return res.status(400).json({ message: 'Receipts are issued for completed donations only' });
+    }
+
+    await deliverReceipt(donation);
+
+    res.json({ message: 'Receipt sent', receipt: donation.receipt });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/donations/stats
+// @desc    Get completed donation statistics (net of refunds) in ?currency= (default base)
+// @access  Private (admin only)
+router.get('/stats', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const currency = (req.query.currency || BASE_CURRENCY).toUpperCase();
+    if (!isCurrency(currency)) {
+      return res.status(400).json({ message: 'Currency must be an ISO 4217 code' });
+    }
+
+    const convert = await reportingConverter(currency);
+    if (!convert) {
+      return res.status(400).json({ message: `No exchange rate for ${currency}` });
+    }
+
+    const stats = await Donation.aggregate([
+      { $match: { status: 'completed' } },
+      {
+        $group: {
+          _id: null,
+          totalDonations: { $sum: 1 },
+          totalAmount: { $sum: Donation.NET_BASE_AMOUNT },
+          avgAmount: { $avg: Donation.NET_BASE_AMOUNT }
+        }
+      }
+    ]);
+
+    const monthlyStats = await Donation.aggregate([
+      {
+        $match: {
+          status: 'completed',
+          createdAt: { $gte: new Date(new Date().getFullYear(), 0, 1) }
+        }
+      },
+      {
+        $group: {
+          _id: { $month: '$createdAt' },
+          count: { $sum: 1 },
+          amount: { $sum: Donation.NET_BASE_AMOUNT }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    // Unconverted totals per original currency
+    const currencyStats = await Donation.aggregate([
+      { $match: { status: 'completed' } },
+      {
+        $group: {
+          _id: '$currency',
+          count: { $sum: 1 },
+          amount: { $sum: Donation.NET_AMOUNT }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const overall = stats[0] || { totalDonations: 0, totalAmount: 0, avgAmount: 0 };
+
+    res.json({
+      currency,
+      overall: {
+        totalDonations: overall.totalDonations,
+        totalAmount: convert(overall.totalAmount),
+        avgAmount: convert(overall.avgAmount)
+      },
+      monthly: monthlyStats.map(month => ({ ...month, amount: convert(month.amount) })),
+      byCurrency: currencyStats
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+// Keeps Event.initiative/relatedInitiatives and Initiative.relatedEvents in sync.
+
+const Initiative = require('../models/Initiative');
+const Event = require('../models/Event');
+
+// IDs of the initiatives an event is linked to, host initiative first
+const linkedInitiativeIds = (event) => {
+  const ids = [event.initiative, ...(event.relatedInitiatives || [])]
+    .filter(Boolean)
+    .map(id => (id._id || id).toString());
+  return [...new Set(ids)];
+};
+
+// Add the events to the relatedEvents of every initiative they are linked to
+const syncEventLinks = async (events) => {
+  const byInitiative = {};
+  events.forEach(event => {
+    linkedInitiativeIds(event).forEach(initiativeId => {
+      byInitiative[initiativeId] = byInitiative[initiativeId] || [];
+      byInitiative[initiativeId].push(event._id);
+    });
+  });
+
+  await Promise.all(Object.entries(byInitiative).map(([initiativeId, eventIds]) =>
+    Initiative.updateOne({ _id: initiativeId }, { $addToSet: { relatedEvents: { $each: eventIds } } })
+  ));
+};
+
+// Link an event to an initiative, as its host (`primary`) or as a related initiative
+const linkEvent = async (event, initiativeId, { primary = false } = {}) => {
+  const previousHost = event.initiative ? event.initiative.toString() : null;
+
+  if (primary) {
+    event.initiative = initiativeId;
+    event.relatedInitiatives = event.relatedInitiatives.filter(id => id.toString() !== initiativeId.toString());
+  } else if (previousHost !== initiativeId.toString()) {
+    event.relatedInitiatives.addToSet(initiativeId);
+  }
+
+  await event.save();
+  await Initiative.updateOne({ _id: initiativeId }, { $addToSet: { relatedEvents: event._id } });
+
+  // A replaced host stays linked as a related initiative
+  if (primary && previousHost && previousHost !== initiativeId.toString()) {
+    await linkEvent(event, previousHost);
+  }
+};
+
+// Remove every link between an event and an initiative
+const unlinkEvent = async (event, initiativeId) => {
+  if (event.initiative && event.initiative.toString() === initiativeId.toString()) {
+    event.initiative = undefined;
+  }
+  event.relatedInitiatives = event.relatedInitiatives.filter(id => id.toString() !== initiativeId.toString());
+
+  await event.save();
+  await Initiative.updateOne({ _id: initiativeId }, { $pull: { relatedEvents: event._id } });
+};
+
+// Drop deleted events from every initiative
+const removeEventLinks = (eventIds) => Initiative.updateMany(
+  { relatedEvents: { $in: eventIds } },
+  { $pull: { relatedEvents: { $in: eventIds } } }
+);
+
+// Drop a deleted initiative from every event
+const removeInitiativeLinks = async (initiativeId) => {
+  await Event.updateMany({ initiative: initiativeId }, { $unset: { initiative: 1 } });
+  await Event.updateMany({ relatedInitiatives: initiativeId }, { $pull: { relatedInitiatives: initiativeId } });
+};
+
+module.exports = {
+  linkedInitiativeIds,
+  syncEventLinks,
+  linkEvent,
+  unlinkEvent,
+  removeEventLinks,
+  removeInitiativeLinks
+};
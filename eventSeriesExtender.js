@@ -0,0 +1,122 @@
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const { MAX_OCCURRENCES, parseRRule, generateOccurrences } = require('../utils/recurrence');
+const { syncEventLinks } = require('../utils/eventLinks');
+
+const DEFAULT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Fields new occurrences copy from the latest occurrence that was not edited on its own
+const TEMPLATE_FIELDS = [
+  'title', 'description', 'category', 'location', 'address', 'coordinates',
+  'initiative', 'capacity', 'isFree', 'ticketPrice', 'ticketUrl',
+  'contactInfo', 'socialMedia', 'images', 'tags', 'isPublic'
+];
+
+// How far ahead occurrences are generated
+const horizonFrom = (date) => {
+  const horizon = new Date(date);
+  horizon.setFullYear(horizon.getFullYear() + 1);
+  return horizon;
+};
+
+// Where generation stops for a batch of dates: the last date when the batch
+// hit the cap (more may follow), otherwise the horizon
+const generatedUntilFor = (dates, horizon) => (
+  dates.length >= MAX_OCCURRENCES ? dates[dates.length - 1] : horizon
+);
+
+// Add the occurrences of one series that fall before the horizon
+const extendOne = async (series, horizon) => {
+  const latest = await Event.findOne({ series: series._id }).sort({ occurrenceDate: -1 });
+  if (!latest) return 0;
+
+  const after = series.generatedUntil || latest.occurrenceDate;
+  const dates = generateOccurrences(series.startDate, parseRRule(series.recurrence.rrule), {
+    after,
+    horizon,
+    excludeDates: series.excludedDates
+  });
+
+  // Claim the range so overlapping runs do not add the same occurrences
+  const claim = await EventSeries.updateOne(
+    { _id: series._id, generatedUntil: series.generatedUntil || null },
+    { $set: { generatedUntil: generatedUntilFor(dates, horizon) } }
+  );
+  if (claim.modifiedCount !== 1 || dates.length === 0) return 0;
+
+  const template = await Event.findOne({ series: series._id, isSeriesException: { $ne: true } })
+    .sort({ occurrenceDate: -1 }) || latest;
+
+  const fields = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (template[field] !== undefined) fields[field] = template[field];
+  });
+
+  const occurrences = await Event.insertMany(dates.map(occurrenceDate => {
+    const occurrence = new Event({
+      ...fields,
+      date: occurrenceDate,
+      endDate: series.duration ? new Date(occurrenceDate.getTime() + series.duration * 60000) : undefined,
+      organizer: series.organizer,
+      series: series._id,
+      occurrenceDate
+    });
+    // Organizer attends every occurrence
+    occurrence.admitAttendee(series.organizer);
+    return occurrence;
+  }));
+
+  if (fields.initiative) {
+    await syncEventLinks(occurrences);
+  }
+
+  return occurrences.length;
+};
+
+// Generate occurrences of active series up to a year ahead
+const extendSeries = async (now = new Date()) => {
+  const horizon = horizonFrom(now);
+  const due = await EventSeries.find({
+    status: 'active',
+    $or: [{ generatedUntil: null }, { generatedUntil: { $lt: horizon } }]
+  });
+
+  let added = 0;
+  for (const series of due) {
+    try {
+      added += await extendOne(series, horizon);
+    } catch (error) {
+      console.error(`Event series extender - Series ${series._id}:`, error.message);
+    }
+  }
+
+  return added;
+};
+
+// Run extendSeries on an interval, returns a function that stops it
+const startEventSeriesExtender = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const added = await extendSeries();
+      if (added > 0) {
+        console.log(`Event series extender - Added ${added} occurrences`);
+      }
+    } catch (error) {
+      console.error('Event series extender - Error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = { extendSeries, startEventSeriesExtender };
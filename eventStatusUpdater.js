@@ -0,0 +1,31 @@
+const Event = require('../models/Event');
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+// Run Event.refreshStatuses on an interval, returns a function that stops it
+const startEventStatusUpdater = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const changed = await Event.refreshStatuses();
+      if (changed > 0) {
+        console.log(`Event status updater - Updated ${changed} events`);
+      }
+    } catch (error) {
+      console.error('Event status updater - Error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = { startEventStatusUpdater };
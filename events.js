@@ -1,309 +1,2189 @@
-const express = require('express');
-const { check, validationResult } = require('express-validator');
-const Event = require('../models/Event');
-const { auth } = require('../middleware/auth');
-
-const router = express.Router();
-
-// @route   GET api/events
-// @desc    Get all events
-// @access  Public
-router.get('/', async (req, res) => {
-  try {
-    const { category, location, date, search, page = 1, limit = 10 } = req.query;
-    
-    const query = { isPublic: true };
-    
-    if (category) query.category = category;
-    if (location) query.location = { $regex: location, $options: 'i' };
-    if (date) {
-      const startDate = new Date(date);
-      const endDate = new Date(date);
-      endDate.setDate(endDate.getDate() + 1);
-      query.date = { $gte: startDate, $lt: endDate };
-    }
-    if (search) {
-      query.$text = { $search: search };
-    }
-
-    const events = await Event.find(query)
-      .populate('organizer', 'name avatar')
-      .populate('initiative', 'title')
-      .populate('attendees', 'name avatar')
-      .sort({ date: 1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
-
-    const total = await Event.countDocuments(query);
-
-    res.json({
-      events,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
-  } catch (error) {
-    console.error(error.message);
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   GET api/events/:id
-// @desc    Get event by ID
-// @access  Public
-router.get('/:id', async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.id)
-      .populate('organizer', 'name avatar bio')
-      .populate('initiative', 'title description')
-      .populate('attendees', 'name avatar');
-
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
-
-    res.json(event);
-  } catch (error) {
-    console.error(error.message);
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({ message: 'Event not found' });
-    }
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   POST api/events
-// @desc    Create a new event
-// @access  Private
-router.post('/', [
-  auth,
-  [
-    check('title', 'Title is required').not().isEmpty(),
-    check('description', 'Description is required').not().isEmpty(),
-    check('date', 'Date is required').not().isEmpty(),
-    check('location', 'Location is required').not().isEmpty(),
-    check('category', 'Category is required').not().isEmpty()
-  ]
-], async (req, res) => {
-  console.log('Event creation request received:', req.body);
-  console.log('User:', req.user);
-  
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    console.log('Validation errors:', errors.array());
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  try {
-    const {
-      title,
-      description,
-      date,
-      endDate,
-      location,
-      address,
-      coordinates,
-      initiative,
-      category,
-      maxAttendees,
-      images,
-      tags,
-      isFree,
-      ticketPrice,
-      ticketUrl,
-      contactInfo,
-      socialMedia
-    } = req.body;
-
-    console.log('Creating event with data:', {
-      title,
-      description,
-      date,
-      location,
-      category,
-      organizer: req.user.id
-    });
-
-    const newEvent = new Event({
-      title,
-      description,
-      date,
-      endDate,
-      location,
-      address,
-      coordinates,
-      organizer: req.user.id,
-      initiative,
-      category,
-      maxAttendees,
-      images: images || [],
-      tags: tags || [],
-      isFree,
-      ticketPrice,
-      ticketUrl,
-      contactInfo,
-      socialMedia
-    });
-
-    console.log('Event object created, saving...');
-    const event = await newEvent.save();
-    console.log('Event saved successfully:', event._id);
-
-    // Add organizer as first attendee
-    event.attendees.push(req.user.id);
-
-    await event.save();
-    console.log('Organizer added as attendee');
-
-    await event.populate('organizer', 'name avatar');
-    await event.populate('initiative', 'title');
-    await event.populate('attendees', 'name avatar');
-
-    console.log('Event populated and ready to send');
-    res.json(event);
-  } catch (error) {
-    console.error('Error creating event:', error.message);
-    console.error('Full error:', error);
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   PUT api/events/:id
-// @desc    Update event
-// @access  Private
-router.put('/:id', auth, async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.id);
-
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
-
-    // Check if user is organizer or admin
-    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(401).json({ message: 'Not authorized' });
-    }
-
-    const updatedEvent = await Event.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
-      { new: true }
-    )
-    .populate('organizer', 'name avatar')
-    .populate('initiative', 'title')
-    .populate('attendees', 'name avatar');
-
-    res.json(updatedEvent);
-  } catch (error) {
-    console.error(error.message);
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({ message: 'Event not found' });
-    }
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   DELETE api/events/:id
-// @desc    Delete event
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.id);
-
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
-
-    // Check if user is organizer or admin
-    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(401).json({ message: 'Not authorized' });
-    }
-
-    await event.remove();
-
-    res.json({ message: 'Event removed' });
-  } catch (error) {
-    console.error(error.message);
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({ message: 'Event not found' });
-    }
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   POST api/events/:id/attend
-// @desc    Attend an event
-// @access  Private
-router.post('/:id/attend', auth, async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.id);
-
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
-
-    // Check if user is already attending
-    const attendeeIndex = event.attendees.findIndex(
-      attendee => attendee.toString() === req.user.id
-    );
-
-    if (attendeeIndex > -1) {
-      // User is already attending
-      return res.status(400).json({ message: 'Already attending this event' });
-    } else {
-      // Check if event is full
-      if (event.maxAttendees && event.attendees.length >= event.maxAttendees) {
-        return res.status(400).json({ message: 'Event is full' });
-      }
-
-      event.attendees.push(req.user.id);
-    }
-
-    await event.save();
-
-    await event.populate('organizer', 'name avatar');
-    await event.populate('initiative', 'title');
-    await event.populate('attendees', 'name avatar');
-
-    res.json(event);
-  } catch (error) {
-    console.error(error.message);
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   DELETE api/events/:id/attend
-// @desc    Remove attendance from event
-// @access  Private
-router.delete('/:id/attend', auth, async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.id);
-
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
-
-    const attendeeIndex = event.attendees.findIndex(
-      attendee => attendee.toString() === req.user.id
-    );
-
-    if (attendeeIndex === -1) {
-      return res.status(400).json({ message: 'Not attending this event' });
-    }
-
-    event.attendees.splice(attendeeIndex, 1);
-    await event.save();
-
-    await event.populate('organizer', 'name avatar');
-    await event.populate('initiative', 'title');
-    await event.populate('attendees', 'name avatar');
-
-    res.json(event);
-  } catch (error) {
-    console.error(error.message);
-    res.status(500).send('Server error');
-  }
-});
-
+const express = require('express');
+const { check, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const EventSeries = require('../models/EventSeries');
+const Initiative = require('../models/Initiative');
+const Notification = require('../models/Notification');
+const { auth, moderatorAuth } = require('../middleware/auth');
+const {
+  MAX_OCCURRENCES,
+  buildRule,
+  parseRRule,
+  toRRule,
+  generateOccurrences,
+  splitRule,
+  shiftRule
+} = require('../utils/recurrence');
+const { sendCalendar } = require('../utils/ical');
+const { validateCoordinates, parseNear, findNear } = require('../utils/geo');
+const { refreshImpact } = require('../utils/impactMetrics');
+const { recordActivity } = require('../utils/activity');
+const { syncEventLinks, removeEventLinks } = require('../utils/eventLinks');
+const { validateContent, createCommentHandlers } = require('../utils/comments');
+
+const router = express.Router();
+
+// Fields that series edits must never overwrite
+const SERIES_PROTECTED_FIELDS = [
+  'series', 'occurrenceDate', 'isSeriesException', 'organizer',
+  'attendees', 'waitlist', 'feedback', 'comments', 'scope',
+  'status', 'cancellation', 'tickets', 'ticketTypes',
+  'initiative', 'relatedInitiatives', 'agenda', 'speakers', 'sponsors'
+];
+
+// Only initiative owners, coordinators and admins can attach events to an initiative
+const canAttachTo = async (initiativeId, user) => {
+  const initiative = await Initiative.findById(initiativeId);
+  return Boolean(initiative && initiative.canManage(user));
+};
+
+// Notify attendees and waitlisted users (except the organizer) that an event was cancelled
+const notifyCancellation = (event) => {
+  const recipients = [
+    ...event.attendees,
+    ...event.waitlist.map(entry => entry.user)
+  ].filter(userId => userId.toString() !== event.organizer.toString());
+
+  if (recipients.length === 0) return Promise.resolve([]);
+
+  const { reason, cancelledBy } = event.cancellation;
+
+  return Notification.insertMany(recipients.map(userId => ({
+    recipient: userId,
+    sender: cancelledBy,
+    type: 'event_cancelled',
+    title: `Event cancelled: ${event.title}`,
+    message: reason
+      ? `"${event.title}" has been cancelled: ${reason}`
+      : `"${event.title}" has been cancelled.`,
+    data: { event: event._id },
+    priority: 'high'
+  })));
+};
+
+// @route   GET api/events
+// @desc    Get all events (?near=lat,lng&radiusKm= sorts by distance)
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { category, location, date, search, near, radiusKm, when, page = 1, limit = 10 } = req.query;
+    
+    const query = { isPublic: true };
+    
+    if (when) {
+      const whenFilter = Event.whenFilter(when);
+      if (!whenFilter) {
+        return res.status(400).json({ message: 'when must be upcoming, ongoing or past' });
+      }
+      query.$and = [whenFilter];
+    }
+    
+    if (category) query.category = category;
+    if (location) query.location = { $regex: location, $options: 'i' };
+    if (date) {
+      const startDate = new Date(date);
+      const endDate = new Date(date);
+      endDate.setDate(endDate.getDate() + 1);
+      query.date = { $gte: startDate, $lt: endDate };
+    }
+    if (search) {
+      query.$text = { $search: search };
+    }
+
+    if (near) {
+      const origin = parseNear(near);
+      if (!origin) {
+        return res.status(400).json({ message: 'near must be in the form lat,lng' });
+      }
+      if (search) {
+        return res.status(400).json({ message: 'near cannot be combined with search' });
+      }
+
+      const { results, total, radiusKm: radius } = await findNear(Event, query, origin, {
+        radiusKm,
+        page,
+        limit,
+        projection: { tickets: 0 }
+      });
+
+      const events = await Event.populate(results, [
+        { path: 'organizer', select: 'name avatar' },
+        { path: 'initiative', select: 'title' },
+        { path: 'attendees', select: 'name avatar' }
+      ]);
+
+      return res.json({
+        events,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total,
+        radiusKm: radius
+      });
+    }
+
+    const events = await Event.find(query)
+      .populate('organizer', 'name avatar')
+      .populate('initiative', 'title')
+      .populate('attendees', 'name avatar')
+      .sort({ date: when === 'past' ? -1 : 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Event.countDocuments(query);
+
+    res.json({
+      events,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/events/series
+// @desc    Create a recurring event series and generate its occurrences
+// @access  Private
+router.post('/series', [
+  auth,
+  [
+    check('title', 'Title is required').not().isEmpty(),
+    check('description', 'Description is required').not().isEmpty(),
+    check('date', 'Date is required').isISO8601(),
+    check('location', 'Location is required').not().isEmpty(),
+    check('category', 'Category is required').not().isEmpty(),
+    check('recurrence.frequency', 'Valid recurrence frequency is required')
+      .isIn(['daily', 'weekly', 'monthly', 'yearly', 'custom'])
+  ],
+  validateCoordinates
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const {
+      title,
+      description,
+      date,
+      endDate,
+      location,
+      address,
+      coordinates,
+      initiative,
+      category,
+      capacity,
+      images,
+      tags,
+      isFree,
+      ticketPrice,
+      ticketUrl,
+      contactInfo,
+      socialMedia,
+      recurrence
+    } = req.body;
+
+    if (initiative && !(await canAttachTo(initiative, req.user))) {
+      return res.status(401).json({ message: 'Not authorized to add events to this initiative' });
+    }
+
+    const startDate = new Date(date);
+
+    let rule;
+    try {
+      rule = buildRule(recurrence);
+    } catch (ruleError) {
+      return res.status(400).json({ message: ruleError.message });
+    }
+
+    // Occurrences are generated one year ahead; the series extender job adds
+    // later ones as time passes
+    const horizon = new Date(startDate);
+    horizon.setFullYear(horizon.getFullYear() + 1);
+
+    const dates = generateOccurrences(startDate, rule, { horizon });
+    if (dates.length === 0) {
+      return res.status(400).json({ message: 'Recurrence rule produces no occurrences' });
+    }
+
+    const duration = endDate ? Math.max(0, (new Date(endDate) - startDate) / 60000) : 0;
+
+    const series = await new EventSeries({
+      title,
+      organizer: req.user.id,
+      initiative,
+      recurrence: {
+        frequency: recurrence.frequency,
+        rrule: toRRule(rule),
+        interval: rule.interval,
+        count: rule.count,
+        until: rule.until
+      },
+      startDate,
+      duration,
+      generatedUntil: dates.length >= MAX_OCCURRENCES ? dates[dates.length - 1] : horizon
+    }).save();
+
+    const occurrences = await Event.insertMany(dates.map(occurrenceDate => {
+      const occurrence = new Event({
+        title,
+        description,
+        date: occurrenceDate,
+        endDate: duration ? new Date(occurrenceDate.getTime() + duration * 60000) : undefined,
+        location,
+        address,
+        coordinates,
+        organizer: req.user.id,
+        initiative,
+        category,
+        capacity,
+        images: images || [],
+        tags: tags || [],
+        isFree,
+        ticketPrice,
+        ticketUrl,
+        contactInfo,
+        socialMedia,
+        series: series._id,
+        occurrenceDate
+      });
+      // Organizer attends every occurrence
+      occurrence.admitAttendee(req.user.id);
+      return occurrence;
+    }));
+
+    if (initiative) {
+      await syncEventLinks(occurrences);
+      await recordActivity({
+        initiative,
+        actor: req.user.id,
+        type: 'event_linked',
+        message: `Linked event series "${title}" (${occurrences.length} occurrences)`,
+        data: { event: occurrences[0]._id }
+      });
+    }
+
+    res.json({ series, occurrences });
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/events/series/:seriesId
+// @desc    Get a series with its occurrences
+// @access  Public
+router.get('/series/:seriesId', async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.seriesId)
+      .populate('organizer', 'name avatar')
+      .populate('initiative', 'title');
+
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    const occurrences = await Event.find({ series: series._id })
+      .select('title date endDate location status capacity attendees isSeriesException occurrenceDate')
+      .sort({ occurrenceDate: 1 });
+
+    res.json({ series, occurrences });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/events/:id
+// @desc    Get event by ID
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate('organizer', 'name avatar bio')
+      .populate('initiative', 'title description')
+      .populate('attendees', 'name avatar')
+      .populate('speakers.user', 'name avatar');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.json({
+      ...event.toJSON(),
+      attendance: {
+        rsvps: event.attendees.length,
+        checkedIn: event.eventMetrics.totalCheckIns
+      }
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/events/:id/ics
+// @desc    Download event as an iCalendar (.ics) file
+// @access  Public
+router.get('/:id/ics', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    sendCalendar(res, [event], { name: event.title, filename: `event-${event._id}.ics` });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/events
+// @desc    Create a new event
+// @access  Private
+router.post('/', [
+  auth,
+  [
+    check('title', 'Title is required').not().isEmpty(),
+    check('description', 'Description is required').not().isEmpty(),
+    check('date', 'Date is required').not().isEmpty(),
+    check('location', 'Location is required').not().isEmpty(),
+    check('category', 'Category is required').not().isEmpty()
+  ],
+  validateCoordinates
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const {
+      title,
+      description,
+      date,
+      endDate,
+      location,
+      address,
+      coordinates,
+      initiative,
+      category,
+      capacity,
+      images,
+      tags,
+      isFree,
+      ticketPrice,
+      ticketUrl,
+      ticketCurrency,
+      ticketTypes,
+      contactInfo,
+      socialMedia
+    } = req.body;
+
+    if (initiative && !(await canAttachTo(initiative, req.user))) {
+      return res.status(401).json({ message: 'Not authorized to add events to this initiative' });
+    }
+
+    const newEvent = new Event({
+      title,
+      description,
+      date,
+      endDate,
+      location,
+      address,
+      coordinates,
+      organizer: req.user.id,
+      initiative,
+      category,
+      capacity,
+      images: images || [],
+      tags: tags || [],
+      isFree,
+      ticketPrice,
+      ticketUrl,
+      ticketCurrency,
+      ticketTypes: ticketTypes || [],
+      contactInfo,
+      socialMedia
+    });
+
+    const event = await newEvent.save();
+
+    // Add organizer as first attendee
+    event.admitAttendee(req.user.id);
+
+    await event.save();
+
+    if (event.initiative) {
+      await syncEventLinks([event]);
+      await recordActivity({
+        initiative: event.initiative,
+        actor: req.user.id,
+        type: 'event_linked',
+        message: `Linked event "${event.title}"`,
+        data: { event: event._id }
+      });
+    }
+
+    await event.populate('organizer', 'name avatar');
+    await event.populate('initiative', 'title');
+    await event.populate('attendees', 'name avatar');
+
+    res.json(event);
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/events/:id
+// @desc    Update event
+// @access  Private
+router.put('/:id', [auth, validateCoordinates], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is organizer or admin
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    // Status is derived from dates and cancelling has its own endpoint;
+    // agenda, speakers, sponsors, tickets and initiative links are managed by their own routes
+    const {
+      status,
+      cancellation,
+      agenda,
+      speakers,
+      sponsors,
+      ticketTypes,
+      tickets,
+      initiative,
+      relatedInitiatives,
+      ...updates
+    } = req.body;
+
+    // The agenda has to fit the new dates
+    const previousDate = event.date;
+    if (updates.date !== undefined) event.date = updates.date;
+    if (updates.endDate !== undefined) event.endDate = updates.endDate;
+    const agendaConflict = event.findAgendaConflict();
+    if (agendaConflict) {
+      return res.status(400).json({ message: agendaConflict });
+    }
+
+    const updatedEvent = await Event.findByIdAndUpdate(
+      req.params.id,
+      { $set: updates },
+      { new: true }
+    )
+    .populate('organizer', 'name avatar')
+    .populate('initiative', 'title')
+    .populate('attendees', 'name avatar');
+
+    const dateChanged = updatedEvent.date.getTime() !== previousDate.getTime();
+    if (dateChanged) {
+      updatedEvent.rescheduleReminders(previousDate);
+    }
+
+    if (dateChanged ||
+      (updatedEvent.status !== 'cancelled' && updatedEvent.status !== updatedEvent.deriveStatus())) {
+      await updatedEvent.save();
+    }
+
+    res.json(updatedEvent);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/events/:id
+// @desc    Delete event
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is organizer or admin
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    await event.remove();
+
+    await removeEventLinks([event._id]);
+
+    res.json({ message: 'Event removed' });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/events/:id/cancel
+// @desc    Cancel an event and notify its attendees
+// @access  Private (organizer or admin)
+router.post('/:id/cancel', [
+  auth,
+  [check('reason', 'Reason must be 500 characters or less').optional().isLength({ max: 500 })]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is organizer or admin
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    if (event.status === 'cancelled') {
+      return res.status(400).json({ message: 'Event is already cancelled' });
+    }
+
+    if (event.status === 'completed') {
+      return res.status(400).json({ message: 'Completed events cannot be cancelled' });
+    }
+
+    event.cancel(req.user.id, req.body.reason);
+    await event.save();
+
+    const notifications = await notifyCancellation(event);
+
+    res.json({
+      message: 'Event cancelled',
+      notified: notifications.length,
+      event
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/events/:id/occurrence
+// @desc    Edit a series occurrence ("this" occurrence or "following")
+// @access  Private
+router.put('/:id/occurrence', [
+  auth,
+  [check('scope', 'Scope must be this or following').isIn(['this', 'following'])],
+  validateCoordinates
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!event.series) {
+      return res.status(400).json({ message: 'Event is not part of a series' });
+    }
+
+    // Check if user is organizer or admin
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const updates = { ...req.body };
+    SERIES_PROTECTED_FIELDS.forEach(field => delete updates[field]);
+
+    if (req.body.scope === 'this') {
+      const previousDate = event.date;
+      if (updates.date !== undefined) event.date = updates.date;
+      if (updates.endDate !== undefined) event.endDate = updates.endDate;
+      const agendaConflict = event.findAgendaConflict();
+      if (agendaConflict) {
+        return res.status(400).json({ message: agendaConflict });
+      }
+
+      const updatedEvent = await Event.findByIdAndUpdate(
+        event._id,
+        { $set: { ...updates, isSeriesException: true } },
+        { new: true }
+      )
+      .populate('organizer', 'name avatar')
+      .populate('initiative', 'title')
+      .populate('attendees', 'name avatar');
+
+      if (updatedEvent.date.getTime() !== previousDate.getTime()) {
+        updatedEvent.rescheduleReminders(previousDate);
+        await updatedEvent.save();
+      }
+
+      return res.json({ occurrences: [updatedEvent] });
+    }
+
+    // "following": date changes shift every later occurrence by the same offset
+    const { date, endDate, ...fields } = updates;
+    const shift = date ? new Date(date) - event.date : 0;
+    const duration = endDate ? new Date(endDate) - new Date(date || event.date) : null;
+    const shiftDate = value => new Date(new Date(value).getTime() + shift);
+
+    const series = await EventSeries.findById(event.series);
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+    let seriesId = series._id;
+
+    const following = await Event.find({
+      series: event.series,
+      occurrenceDate: { $gte: event.occurrenceDate }
+    });
+
+    // Occurrences edited on their own keep their changes, unless this is the
+    // occurrence being edited. Nothing is saved until every agenda still fits.
+    for (const occurrence of following) {
+      if (occurrence.isSeriesException && !occurrence._id.equals(event._id)) continue;
+
+      const previousDate = occurrence.date;
+      occurrence.set(fields);
+      occurrence.date = shiftDate(occurrence.date);
+      occurrence.rescheduleReminders(previousDate);
+      if (duration !== null) {
+        occurrence.endDate = new Date(occurrence.date.getTime() + duration);
+      } else if (occurrence.endDate) {
+        occurrence.endDate = shiftDate(occurrence.endDate);
+      }
+
+      const agendaConflict = occurrence.findAgendaConflict();
+      if (agendaConflict) {
+        return res.status(400).json({
+          message: `Occurrence on ${occurrence.date.toISOString().slice(0, 10)}: ${agendaConflict}`
+        });
+      }
+    }
+
+    if (shift !== 0) {
+      // The rule moves with the occurrences. Earlier occurrences keep theirs:
+      // the series ends before this occurrence and a new one continues from it.
+      const { before, after } = splitRule(series.startDate, parseRRule(series.recurrence.rrule), event.occurrenceDate);
+      let moved;
+      try {
+        moved = shiftRule(after, event.occurrenceDate, shift);
+      } catch (ruleError) {
+        return res.status(400).json({ message: ruleError.message });
+      }
+
+      const movedSeries = {
+        recurrence: {
+          frequency: series.recurrence.frequency,
+          rrule: toRRule(moved),
+          interval: moved.interval,
+          count: moved.count,
+          until: moved.until
+        },
+        startDate: shiftDate(event.occurrenceDate),
+        excludedDates: series.excludedDates
+          .filter(excluded => excluded >= event.occurrenceDate)
+          .map(shiftDate),
+        generatedUntil: series.generatedUntil ? shiftDate(series.generatedUntil) : undefined
+      };
+
+      if (event.occurrenceDate > series.startDate) {
+        const continued = await new EventSeries({
+          title: series.title,
+          organizer: series.organizer,
+          initiative: series.initiative,
+          duration: series.duration,
+          ...movedSeries
+        }).save();
+        seriesId = continued._id;
+
+        await EventSeries.findByIdAndUpdate(series._id, {
+          $set: {
+            'recurrence.rrule': toRRule(before),
+            'recurrence.until': before.until,
+            excludedDates: series.excludedDates.filter(excluded => excluded < event.occurrenceDate)
+          },
+          $unset: { 'recurrence.count': 1 }
+        });
+      } else {
+        await EventSeries.findByIdAndUpdate(series._id, { $set: movedSeries });
+      }
+    }
+
+    await Promise.all(following.map(occurrence => {
+      occurrence.series = seriesId;
+      occurrence.occurrenceDate = shiftDate(occurrence.occurrenceDate);
+      return occurrence.save();
+    }));
+
+    const seriesUpdates = {};
+    if (fields.title) seriesUpdates.title = fields.title;
+    if (duration !== null) seriesUpdates.duration = Math.max(0, duration / 60000);
+    if (Object.keys(seriesUpdates).length > 0) {
+      await EventSeries.findByIdAndUpdate(seriesId, { $set: seriesUpdates });
+    }
+
+    const occurrences = await Event.find({ _id: { $in: following.map(o => o._id) } })
+      .sort({ occurrenceDate: 1 });
+
+    res.json({ occurrences });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/events/:id/occurrence
+// @desc    Cancel a single occurrence of a series (optional reason)
+// @access  Private
+router.delete('/:id/occurrence', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!event.series) {
+      return res.status(400).json({ message: 'Event is not part of a series' });
+    }
+
+    // Check if user is organizer or admin
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    if (event.status === 'cancelled') {
+      return res.status(400).json({ message: 'Occurrence is already cancelled' });
+    }
+
+    // Occurrence is kept so its attendance history survives
+    event.cancel(req.user.id, req.body.reason);
+    event.isSeriesException = true;
+    await event.save();
+
+    await EventSeries.findByIdAndUpdate(event.series, {
+      $addToSet: { excludedDates: event.occurrenceDate }
+    });
+
+    await notifyCancellation(event);
+
+    res.json({ message: 'Occurrence cancelled', event });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/events/:id/attend
+// @desc    Attend an event (joins the waitlist if the event is full)
+// @access  Private
+router.post('/:id/attend', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if user is already attending
+    const attendeeIndex = event.attendees.findIndex(
+      attendee => attendee.toString() === req.user.id
+    );
+
+    if (attendeeIndex > -1) {
+      // User is already attending
+      return res.status(400).json({ message: 'Already attending this event' });
+    }
+
+    if (event.getWaitlistPosition(req.user.id)) {
+      return res.status(400).json({ message: 'Already on the waitlist for this event' });
+    }
+
+    // Paid events are attended through ticket orders
+    if (!event.isFree) {
+      return res.status(400).json({
+        message: 'This event requires a ticket',
+        ticketUrl: event.ticketUrl
+      });
+    }
+
+    // Take a seat, or join the waitlist queue when the event is full, in one
+    // conditional update so concurrent requests cannot overfill the event
+    const spot = await Event.claimSpot(event._id, req.user.id);
+    if (!spot) {
+      return res.status(409).json({ message: 'Event changed, please try again' });
+    }
+
+    const updatedEvent = await Event.findById(event._id);
+
+    if (spot === 'waitlisted') {
+      return res.status(202).json({
+        message: 'Event is full, added to waitlist',
+        waitlisted: true,
+        position: updatedEvent.getWaitlistPosition(req.user.id)
+      });
+    }
+
+    updatedEvent.admitAttendee(req.user.id);
+
+    await updatedEvent.save();
+
+    await updatedEvent.populate('organizer', 'name avatar');
+    await updatedEvent.populate('initiative', 'title');
+    await updatedEvent.populate('attendees', 'name avatar');
+
+    res.json(updatedEvent);
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/events/:id/attend
+// @desc    Remove attendance from event (or leave its waitlist)
+// @access  Private
+router.delete('/:id/attend', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Seats and waitlist places change in conditional updates so a concurrent
+    // attend or leave is never lost
+    const left = (await Event.updateOne(
+      { _id: event._id, attendees: req.user.id },
+      { $pull: { attendees: req.user.id } }
+    )).modifiedCount === 1;
+
+    const unqueued = !left && (await Event.updateOne(
+      { _id: event._id, 'waitlist.user': req.user.id },
+      { $pull: { waitlist: { user: req.user.id } } }
+    )).modifiedCount === 1;
+
+    if (!left && !unqueued) {
+      return res.status(400).json({ message: 'Not attending this event' });
+    }
+
+    const promoted = left ? await Event.promoteWaitlisted(event._id) : [];
+
+    const updatedEvent = await Event.findById(event._id);
+    if (left) {
+      updatedEvent.releaseAttendee(req.user.id);
+    }
+    promoted.forEach(userId => updatedEvent.admitAttendee(userId));
+    await updatedEvent.save();
+
+    // Let promoted users know they got a seat
+    if (promoted.length > 0) {
+      await Notification.insertMany(promoted.map(userId => ({
+        recipient: userId,
+        type: 'event_attending',
+        title: 'You are off the waitlist',
+        message: `A spot opened up and you are now attending "${updatedEvent.title}".`,
+        data: { event: updatedEvent._id }
+      })));
+    }
+
+    await updatedEvent.populate('organizer', 'name avatar');
+    await updatedEvent.populate('initiative', 'title');
+    await updatedEvent.populate('attendees', 'name avatar');
+
+    res.json(updatedEvent);
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/events/:id/waitlist
+// @desc    Get event waitlist in promotion order
+// @access  Private (organizer or admin)
+router.get('/:id/waitlist', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate('waitlist.user', 'name avatar email');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    res.json({
+      waitlist: event.waitlist.map((entry, index) => ({
+        position: index + 1,
+        user: entry.user,
+        joinedAt: entry.joinedAt
+      })),
+      total: event.waitlist.length
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/events/:id/waitlist
+// @desc    Reorder the waitlist
+// @access  Private (organizer or admin)
+router.put('/:id/waitlist', [
+  auth,
+  [
+    check('users', 'Users must be an array of user IDs').isArray(),
+    check('users.*', 'Valid user ID is required').isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const { users } = req.body;
+    const current = event.waitlist.map(entry => entry.user.toString());
+
+    // The new order must contain exactly the users currently waitlisted
+    if (users.length !== current.length ||
+        new Set(users).size !== users.length ||
+        !users.every(userId => current.includes(userId))) {
+      return res.status(400).json({ message: 'Users must match the current waitlist' });
+    }
+
+    event.waitlist = users.map(userId => {
+      const entry = event.waitlist.find(item => item.user.toString() === userId);
+      return { user: entry.user, joinedAt: entry.joinedAt };
+    });
+
+    await event.save();
+    await event.populate('waitlist.user', 'name avatar email');
+
+    res.json({
+      waitlist: event.waitlist.map((entry, index) => ({
+        position: index + 1,
+        user: entry.user,
+        joinedAt: entry.joinedAt
+      })),
+      total: event.waitlist.length
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/events/:id/reminders
+// @desc    Get current user's reminders for an event
+// @access  Private
+router.get('/:id/reminders', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('title date reminders');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const reminders = event.reminders
+      .filter(reminder => reminder.user.toString() === req.user.id)
+      .sort((a, b) => a.reminderTime - b.reminderTime);
+
+    res.json(reminders);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/events/:id/reminders
+// @desc    Set a reminder for an event (reminderTime or minutesBefore)
+// @access  Private
+router.post('/:id/reminders', [
+  auth,
+  [
+    check('reminderTime', 'Reminder time must be a valid date').optional().isISO8601(),
+    check('minutesBefore', 'Minutes before must be a positive number').optional().isInt({ min: 1 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { reminderTime, minutesBefore } = req.body;
+
+    if (!reminderTime && !minutesBefore) {
+      return res.status(400).json({ message: 'Either reminderTime or minutesBefore is required' });
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const isAttending = event.attendees.some(attendee => attendee.toString() === req.user.id);
+    if (!isAttending && event.organizer.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Only attendees can set reminders' });
+    }
+
+    const time = reminderTime
+      ? new Date(reminderTime)
+      : new Date(event.date.getTime() - minutesBefore * 60 * 1000);
+
+    if (time <= new Date() || time >= event.date) {
+      return res.status(400).json({ message: 'Reminder must be in the future and before the event starts' });
+    }
+
+    event.reminders.push({ user: req.user.id, reminderTime: time });
+    await event.save();
+
+    res.json(event.reminders[event.reminders.length - 1]);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/events/:id/reminders
+// @desc    Clear all of current user's unsent reminders for an event
+// @access  Private
+router.delete('/:id/reminders', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    event.clearReminders(req.user.id);
+    await event.save();
+
+    res.json({ message: 'Reminders cleared' });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/events/:id/reminders/:reminderId
+// @desc    Delete one of current user's reminders
+// @access  Private
+router.delete('/:id/reminders/:reminderId', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const reminder = event.reminders.id(req.params.reminderId);
+
+    if (!reminder || reminder.user.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'Reminder not found' });
+    }
+
+    if (reminder.sent) {
+      return res.status(400).json({ message: 'Reminder has already been sent' });
+    }
+
+    reminder.remove();
+    await event.save();
+
+    res.json({ message: 'Reminder removed' });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/events/:id/ticket
+// @desc    Get current user's check-in ticket (code for QR rendering)
+// @access  Private
+router.get('/:id/ticket', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const isAttending = event.attendees.some(attendee => attendee.toString() === req.user.id);
+    if (!isAttending) {
+      return res.status(403).json({ message: 'Not attending this event' });
+    }
+
+    // RSVPs made before tickets existed get theirs on first request
+    const isNew = !event.tickets.some(ticket => ticket.user.toString() === req.user.id);
+    const ticket = event.issueTicket(req.user.id);
+    if (isNew) {
+      await event.save();
+    }
+
+    res.json({
+      event: event._id,
+      code: ticket.code,
+      qrPayload: `${event._id}:${ticket.code}`,
+      issuedAt: ticket.issuedAt,
+      checkedInAt: ticket.checkedInAt
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/events/:id/check-in
+// @desc    Check in an attendee by ticket code or QR payload
+// @access  Private (organizer or admin)
+router.post('/:id/check-in', [
+  auth,
+  [check('code', 'Ticket code is required').not().isEmpty()]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    // QR payloads are "<eventId>:<code>"
+    let code = String(req.body.code);
+    if (code.includes(':')) {
+      const [eventId, ticketCode] = code.split(':');
+      if (eventId !== event._id.toString()) {
+        return res.status(400).json({ message: 'Ticket is for a different event' });
+      }
+      code = ticketCode;
+    }
+
+    const ticket = event.findTicket(code);
+
+    if (!ticket) {
+      return res.status(404).json({ message: 'Invalid ticket code' });
+    }
+
+    if (ticket.checkedInAt) {
+      return res.status(400).json({
+        message: 'Ticket already checked in',
+        checkedInAt: ticket.checkedInAt
+      });
+    }
+
+    event.checkIn(ticket, req.user.id);
+    await event.save();
+
+    refreshImpact(event.initiative).catch(error => console.error(error.message));
+
+    await event.populate('tickets.user', 'name avatar');
+
+    res.json({
+      user: ticket.user,
+      checkedInAt: ticket.checkedInAt,
+      attendance: {
+        rsvps: event.attendees.length,
+        checkedIn: event.eventMetrics.totalCheckIns
+      }
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/events/:id/check-ins
+// @desc    Get check-ins and actual vs RSVP counts
+// @access  Private (organizer or admin)
+router.get('/:id/check-ins', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate('tickets.user', 'name avatar')
+      .populate('tickets.checkedInBy', 'name');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const checkIns = event.tickets
+      .filter(ticket => ticket.checkedInAt)
+      .sort((a, b) => a.checkedInAt - b.checkedInAt)
+      .map(ticket => ({
+        user: ticket.user,
+        checkedInAt: ticket.checkedInAt,
+        checkedInBy: ticket.checkedInBy
+      }));
+
+    res.json({
+      attendance: {
+        rsvps: event.attendees.length,
+        checkedIn: checkIns.length
+      },
+      checkIns
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/events/:id/feedback
+// @desc    Get event reviews (paginated, newest first)
+// @access  Public
+router.get('/:id/feedback', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const event = await Event.findById(req.params.id)
+      .select('feedback averageRating totalRatings')
+      .populate('feedback.user', 'name avatar');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const feedback = [...event.feedback].sort((a, b) => b.createdAt - a.createdAt);
+    const start = (page - 1) * limit;
+
+    res.json({
+      feedback: feedback.slice(start, start + limit * 1),
+      averageRating: event.averageRating,
+      totalRatings: event.totalRatings,
+      totalPages: Math.ceil(feedback.length / limit),
+      currentPage: page,
+      total: feedback.length
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/events/:id/feedback
+// @desc    Rate and review a completed event (replaces an earlier review)
+// @access  Private (attendees only)
+router.post('/:id/feedback', [
+  auth,
+  [
+    check('rating', 'Rating must be between 1 and 5').isInt({ min: 1, max: 5 }),
+    check('comment', 'Comment must be 500 characters or less').optional().isLength({ max: 500 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.status !== 'completed') {
+      return res.status(400).json({ message: 'Event can only be reviewed once it is completed' });
+    }
+
+    if (event.organizer.toString() === req.user.id) {
+      return res.status(400).json({ message: 'Organizers cannot review their own event' });
+    }
+
+    const isAttendee = event.attendees.some(attendee => attendee.toString() === req.user.id);
+    if (!isAttendee) {
+      return res.status(403).json({ message: 'Only attendees can review this event' });
+    }
+
+    await event.addFeedback(req.user.id, parseInt(req.body.rating, 10), req.body.comment);
+
+    await event.populate('feedback.user', 'name avatar');
+
+    res.json({
+      feedback: event.feedback.find(f => f.user._id.toString() === req.user.id),
+      averageRating: event.averageRating,
+      totalRatings: event.totalRatings
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/events/:id/feedback
+// @desc    Remove current user's review
+// @access  Private
+router.delete('/:id/feedback', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const count = event.feedback.length;
+    event.feedback = event.feedback.filter(f => f.user.toString() !== req.user.id);
+
+    if (event.feedback.length === count) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    await event.save();
+
+    res.json({
+      message: 'Review removed',
+      averageRating: event.averageRating,
+      totalRatings: event.totalRatings
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/events/:id/feedback/:feedbackId/reply
+// @desc    Publicly reply to a review
+// @access  Private (organizer only)
+router.put('/:id/feedback/:feedbackId/reply', [
+  auth,
+  [check('content', 'Reply is required (max 1000 chars)').isLength({ min: 1, max: 1000 })]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const feedback = event.feedback.id(req.params.feedbackId);
+
+    if (!feedback) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    feedback.reply = {
+      content: req.body.content,
+      createdAt: new Date()
+    };
+
+    await event.save();
+
+    res.json(feedback);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+const commentHandlers = createCommentHandlers({
+  Model: Event,
+  label: 'Event',
+  getOwner: event => event.organizer,
+  canView: () => true,
+  canManage: (event, user) => event.organizer.toString() === user.id || user.role === 'admin',
+  notifyData: event => ({ event: event._id })
+});
+
+// @route   GET api/events/:id/comments
+// @desc    Get event comments as threads (top-level comments paginated, newest first)
+// @access  Public
+router.get('/:id/comments', commentHandlers.list);
+
+// @route   POST api/events/:id/comments
+// @desc    Comment on an event, or reply to a comment with `parent`
+// @access  Private
+router.post('/:id/comments', [auth, validateContent], commentHandlers.create);
+
+// @route   PUT api/events/:id/comments/:commentId
+// @desc    Edit own comment
+// @access  Private
+router.put('/:id/comments/:commentId', [auth, validateContent], commentHandlers.update);
+
+// @route   DELETE api/events/:id/comments/:commentId
+// @desc    Delete a comment (author, organizer or admin)
+// @access  Private
+router.delete('/:id/comments/:commentId', auth, commentHandlers.remove);
+
+// @route   DELETE api/events/:id/comments/:commentId/moderate
+// @desc    Remove a comment with an optional moderation reason
+// @access  Private (moderator or admin)
+router.delete('/:id/comments/:commentId/moderate', [
+  moderatorAuth,
+  [check('reason', 'Reason must be 500 characters or less').optional().isLength({ max: 500 })]
+], commentHandlers.moderate);
+
+// @route   POST api/events/:id/comments/:commentId/like
+// @desc    Like/unlike a comment
+// @access  Private
+router.post('/:id/comments/:commentId/like', auth, commentHandlers.like);
+
+// @route   GET api/events/:id/ticket-types
+// @desc    Get ticket types with remaining availability
+// @access  Public
+router.get('/:id/ticket-types', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.json({
+      currency: event.ticketCurrency,
+      ticketTypes: event.ticketTypes.map(type => {
+        const available = event.getTicketsAvailable(type);
+        return {
+          _id: type._id,
+          name: type.name,
+          kind: type.kind,
+          price: type.price,
+          quantity: type.quantity,
+          available: available === Infinity ? null : available
+        };
+      })
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/events/:id/ticket-types
+// @desc    Add a ticket type (general, concession or volunteer)
+// @access  Private (organizer or admin)
+router.post('/:id/ticket-types', [
+  auth,
+  [
+    check('name', 'Name is required').not().isEmpty(),
+    check('kind', 'Kind must be general, concession or volunteer').optional()
+      .isIn(['general', 'concession', 'volunteer']),
+    check('price', 'Price must be 0 or more').optional().isFloat({ min: 0 }),
+    check('quantity', 'Quantity must be 0 (unlimited) or more').optional().isInt({ min: 0 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const { name, kind, price, quantity } = req.body;
+
+    event.ticketTypes.push({ name, kind, price, quantity });
+    event.isFree = false;
+    await event.save();
+
+    res.json(event.ticketTypes[event.ticketTypes.length - 1]);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/events/:id/ticket-types/:typeId
+// @desc    Update a ticket type
+// @access  Private (organizer or admin)
+router.put('/:id/ticket-types/:typeId', [
+  auth,
+  [
+    check('name', 'Name cannot be empty').optional().not().isEmpty(),
+    check('kind', 'Kind must be general, concession or volunteer').optional()
+      .isIn(['general', 'concession', 'volunteer']),
+    check('price', 'Price must be 0 or more').optional().isFloat({ min: 0 }),
+    check('quantity', 'Quantity must be 0 (unlimited) or more').optional().isInt({ min: 0 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const type = event.ticketTypes.id(req.params.typeId);
+
+    if (!type) {
+      return res.status(404).json({ message: 'Ticket type not found' });
+    }
+
+    const { name, kind, price, quantity } = req.body;
+
+    if (quantity !== undefined && quantity > 0 && quantity < type.sold) {
+      return res.status(400).json({ message: `Quantity cannot be below the ${type.sold} tickets already sold` });
+    }
+
+    // Existing orders keep the price they were placed at
+    if (name !== undefined) type.name = name;
+    if (kind !== undefined) type.kind = kind;
+    if (price !== undefined) type.price = price;
+    if (quantity !== undefined) type.quantity = quantity;
+
+    await event.save();
+
+    res.json(type);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/events/:id/ticket-types/:typeId
+// @desc    Remove a ticket type that has no sales
+// @access  Private (organizer or admin)
+router.delete('/:id/ticket-types/:typeId', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const type = event.ticketTypes.id(req.params.typeId);
+
+    if (!type) {
+      return res.status(404).json({ message: 'Ticket type not found' });
+    }
+
+    if (type.sold > 0) {
+      return res.status(400).json({ message: 'Ticket types with sales cannot be removed' });
+    }
+
+    type.remove();
+    await event.save();
+
+    res.json({ message: 'Ticket type removed' });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/events/:id/agenda
+// @desc    Get event agenda in time order with speakers resolved
+// @access  Public
+router.get('/:id/agenda', async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .select('agenda speakers')
+      .populate('speakers.user', 'name avatar');
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const agenda = [...event.agenda]
+      .sort((a, b) => a.startTime - b.startTime)
+      .map(item => ({
+        ...item.toObject(),
+        speakers: item.speakers
+          .map(speakerId => event.speakers.id(speakerId))
+          .filter(Boolean)
+      }));
+
+    res.json(agenda);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/events/:id/agenda
+// @desc    Add an agenda item
+// @access  Private (organizer or admin)
+router.post('/:id/agenda', [
+  auth,
+  [
+    check('activity', 'Activity is required').not().isEmpty(),
+    check('startTime', 'Start time must be a valid date').isISO8601(),
+    check('endTime', 'End time must be a valid date').isISO8601(),
+    check('speakers', 'Speakers must be an array of speaker IDs').optional().isArray(),
+    check('speakers.*', 'Valid speaker ID is required').optional().isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const { activity, description, speakers = [] } = req.body;
+    const startTime = new Date(req.body.startTime);
+    const endTime = new Date(req.body.endTime);
+
+    const conflict = event.getAgendaConflict(startTime, endTime);
+    if (conflict) {
+      return res.status(400).json({ message: conflict });
+    }
+
+    if (!speakers.every(speakerId => event.speakers.id(speakerId))) {
+      return res.status(400).json({ message: 'Speaker not found on this event' });
+    }
+
+    event.agenda.push({ startTime, endTime, activity, description, speakers });
+    await event.save();
+
+    res.json(event.agenda[event.agenda.length - 1]);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/events/:id/agenda/:itemId
+// @desc    Update an agenda item
+// @access  Private (organizer or admin)
+router.put('/:id/agenda/:itemId', [
+  auth,
+  [
+    check('activity', 'Activity cannot be empty').optional().not().isEmpty(),
+    check('startTime', 'Start time must be a valid date').optional().isISO8601(),
+    check('endTime', 'End time must be a valid date').optional().isISO8601(),
+    check('speakers', 'Speakers must be an array of speaker IDs').optional().isArray(),
+    check('speakers.*', 'Valid speaker ID is required').optional().isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const item = event.agenda.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Agenda item not found' });
+    }
+
+    const { activity, description, speakers } = req.body;
+    const startTime = req.body.startTime ? new Date(req.body.startTime) : item.startTime;
+    const endTime = req.body.endTime ? new Date(req.body.endTime) : item.endTime;
+
+    const conflict = event.getAgendaConflict(startTime, endTime, item._id);
+    if (conflict) {
+      return res.status(400).json({ message: conflict });
+    }
+
+    if (speakers && !speakers.every(speakerId => event.speakers.id(speakerId))) {
+      return res.status(400).json({ message: 'Speaker not found on this event' });
+    }
+
+    item.startTime = startTime;
+    item.endTime = endTime;
+    if (activity !== undefined) item.activity = activity;
+    if (description !== undefined) item.description = description;
+    if (speakers !== undefined) item.speakers = speakers;
+
+    await event.save();
+
+    res.json(item);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/events/:id/agenda/:itemId
+// @desc    Remove an agenda item
+// @access  Private (organizer or admin)
+router.delete('/:id/agenda/:itemId', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const item = event.agenda.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Agenda item not found' });
+    }
+
+    item.remove();
+    await event.save();
+
+    res.json({ message: 'Agenda item removed' });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/events/:id/speakers
+// @desc    Add a speaker, optionally linked to a user account
+// @access  Private (organizer or admin)
+router.post('/:id/speakers', [
+  auth,
+  [
+    check('user', 'Valid user ID is required').optional().isMongoId(),
+    check('name', 'Name is required unless a user is linked').if((value, { req }) => !req.body.user)
+      .not().isEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const { name, title, bio, avatar } = req.body;
+    const speaker = { name, title, bio, avatar };
+
+    // Linked speakers default to their profile details
+    if (req.body.user) {
+      const user = await User.findById(req.body.user).select('name bio avatar');
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (event.speakers.some(s => s.user && s.user.toString() === user.id)) {
+        return res.status(400).json({ message: 'User is already a speaker' });
+      }
+      speaker.user = user._id;
+      speaker.name = name || user.name;
+      speaker.bio = bio || user.bio;
+      speaker.avatar = avatar || user.avatar;
+    }
+
+    event.speakers.push(speaker);
+    await event.save();
+
+    await event.populate('speakers.user', 'name avatar');
+    res.json(event.speakers[event.speakers.length - 1]);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/events/:id/speakers/:speakerId
+// @desc    Update a speaker
+// @access  Private (organizer or admin)
+router.put('/:id/speakers/:speakerId', [
+  auth,
+  [
+    check('user', 'Valid user ID is required').optional({ nullable: true }).isMongoId(),
+    check('name', 'Name cannot be empty').optional().not().isEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const speaker = event.speakers.id(req.params.speakerId);
+
+    if (!speaker) {
+      return res.status(404).json({ message: 'Speaker not found' });
+    }
+
+    const { name, title, bio, avatar, user } = req.body;
+
+    if (user) {
+      const exists = await User.exists({ _id: user });
+      if (!exists) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+    }
+
+    if (name !== undefined) speaker.name = name;
+    if (title !== undefined) speaker.title = title;
+    if (bio !== undefined) speaker.bio = bio;
+    if (avatar !== undefined) speaker.avatar = avatar;
+    // null unlinks the account
+    if (user !== undefined) speaker.user = user || undefined;
+
+    await event.save();
+
+    await event.populate('speakers.user', 'name avatar');
+    res.json(speaker);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/events/:id/speakers/:speakerId
+// @desc    Remove a speaker (also from agenda items)
+// @access  Private (organizer or admin)
+router.delete('/:id/speakers/:speakerId', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const speaker = event.speakers.id(req.params.speakerId);
+
+    if (!speaker) {
+      return res.status(404).json({ message: 'Speaker not found' });
+    }
+
+    event.agenda.forEach(item => {
+      item.speakers = item.speakers.filter(id => id.toString() !== speaker._id.toString());
+    });
+    speaker.remove();
+    await event.save();
+
+    res.json({ message: 'Speaker removed' });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/events/:id/sponsors
+// @desc    Add a sponsor
+// @access  Private (organizer or admin)
+router.post('/:id/sponsors', [
+  auth,
+  [
+    check('name', 'Name is required').not().isEmpty(),
+    check('website', 'Website must be a valid URL').optional().isURL(),
+    check('logo', 'Logo must be a valid URL').optional().isURL()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const { name, logo, website } = req.body;
+
+    event.sponsors.push({ name, logo, website });
+    await event.save();
+
+    res.json(event.sponsors[event.sponsors.length - 1]);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/events/:id/sponsors/:sponsorId
+// @desc    Update a sponsor
+// @access  Private (organizer or admin)
+router.put('/:id/sponsors/:sponsorId', [
+  auth,
+  [
+    check('name', 'Name cannot be empty').optional().not().isEmpty(),
+    check('website', 'Website must be a valid URL').optional().isURL(),
+    check('logo', 'Logo must be a valid URL').optional().isURL()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const sponsor = event.sponsors.id(req.params.sponsorId);
+
+    if (!sponsor) {
+      return res.status(404).json({ message: 'Sponsor not found' });
+    }
+
+    const { name, logo, website } = req.body;
+    if (name !== undefined) sponsor.name = name;
+    if (logo !== undefined) sponsor.logo = logo;
+    if (website !== undefined) sponsor.website = website;
+
+    await event.save();
+
+    res.json(sponsor);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/events/:id/sponsors/:sponsorId
+// @desc    Remove a sponsor
+// @access  Private (organizer or admin)
+router.delete('/:id/sponsors/:sponsorId', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const sponsor = event.sponsors.id(req.params.sponsorId);
+
+    if (!sponsor) {
+      return res.status(404).json({ message: 'Sponsor not found' });
+    }
+
+    sponsor.remove();
+    await event.save();
+
+    res.json({ message: 'Sponsor removed' });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
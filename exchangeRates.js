@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const ExchangeRate = require('../models/ExchangeRate');
+const { BASE_CURRENCY, isCurrency } = require('../utils/currency');
+const { body, validationResult } = require('express-validator');
+
+// @route   GET /api/exchange-rates
+// @desc    Get the current rate of every currency against the base currency
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const rates = await ExchangeRate.aggregate([
+      { $match: { effectiveDate: { $lte: new Date() } } },
+      { $sort: { effectiveDate: -1, createdAt: -1 } },
+      {
+        $group: {
+          _id: '$currency',
+          rate: { $first: '$rate' },
+          effectiveDate: { $first: '$effectiveDate' },
+          source: { $first: '$source' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({
+      baseCurrency: BASE_CURRENCY,
+      rates: rates.map(({ _id, ...rate }) => ({ currency: _id, ...rate }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/exchange-rates/:currency
+// @desc    Get a currency's rate history (?from=&to=)
+// @access  Public
+router.get('/:currency', async (req, res) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+    if (!isCurrency(currency)) {
+      return res.status(400).json({ message: 'Currency must be an ISO 4217 code' });
+    }
+
+    const query = { currency };
+    if (req.query.from || req.query.to) {
+      query.effectiveDate = {};
+      if (req.query.from) query.effectiveDate.$gte = new Date(req.query.from);
+      if (req.query.to) query.effectiveDate.$lte = new Date(req.query.to);
+    }
+
+    const rates = await ExchangeRate.find(query)
+      .populate('createdBy', 'name')
+      .sort({ effectiveDate: -1 });
+
+    res.json({ baseCurrency: BASE_CURRENCY, currency, rates });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/exchange-rates
+// @desc    Add a rate (value of one unit of `currency` in the base currency)
+//          taking effect on `effectiveDate` (default now)
+// @access  Private (admin only)
+router.post('/', [
+  auth,
+  [
+    body('currency').toUpperCase().custom(isCurrency).withMessage('Currency must be an ISO 4217 code'),
+    body('rate').isFloat({ gt: 0 }).withMessage('Rate must be greater than 0'),
+    body('effectiveDate').optional().isISO8601().withMessage('Valid effective date is required'),
+    body('source').optional().isLength({ max: 100 }).withMessage('Source too long')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { currency, rate, effectiveDate, source } = req.body;
+
+    if (currency === BASE_CURRENCY) {
+      return res.status(400).json({ message: `${BASE_CURRENCY} is the base currency` });
+    }
+
+    const exchangeRate = new ExchangeRate({
+      currency,
+      rate,
+      effectiveDate: effectiveDate || new Date(),
+      source,
+      createdBy: req.user.id
+    });
+
+    await exchangeRate.save();
+
+    res.json(exchangeRate);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Remove a mistaken rate (donations keep the rate they were converted at)
+// @access  Private (admin only)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const exchangeRate = await ExchangeRate.findById(req.params.id);
+    if (!exchangeRate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    await exchangeRate.remove();
+
+    res.json({ message: 'Exchange rate removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+// Campaign progress and pledge fulfilment from completed donations.
+
+const Campaign = require('../models/Campaign');
+const Donation = require('../models/Donation');
+const Initiative = require('../models/Initiative');
+const Notification = require('../models/Notification');
+const Pledge = require('../models/Pledge');
+
+// Raised amount (net of refunds) and donor count per campaign, keyed by campaign ID
+const getRaisedTotals = async (campaignIds) => {
+  const totals = await Donation.aggregate([
+    { $match: { campaign: { $in: campaignIds }, status: 'completed' } },
+    {
+      $group: {
+        _id: '$campaign',
+        raised: { $sum: Donation.NET_AMOUNT },
+        donors: { $addToSet: '$donor' }
+      }
+    }
+  ]);
+
+  const byCampaign = {};
+  totals.forEach(total => {
+    byCampaign[total._id.toString()] = { raised: total.raised, donorCount: total.donors.length };
+  });
+  return byCampaign;
+};
+
+// Progress summary for a campaign from its raised total
+const toProgress = (campaign, total = { raised: 0, donorCount: 0 }, now = new Date()) => ({
+  raised: total.raised,
+  goal: campaign.goalAmount,
+  currency: campaign.currency,
+  percentage: Math.round((total.raised / campaign.goalAmount) * 1000) / 10,
+  donorCount: total.donorCount,
+  goalReached: total.raised >= campaign.goalAmount,
+  isOpen: campaign.isOpen(now),
+  daysLeft: Math.max(0, Math.ceil((campaign.deadline - now) / (24 * 60 * 60 * 1000)))
+});
+
+// Attach progress to each campaign
+const withProgress = async (campaigns) => {
+  const totals = await getRaisedTotals(campaigns.map(campaign => campaign._id));
+  return campaigns.map(campaign => ({
+    ...campaign.toObject(),
+    progress: toProgress(campaign, totals[campaign._id.toString()])
+  }));
+};
+
+// Re-check a campaign against its goal after a donation changes status;
+// notifies the initiative creator the first time the goal is reached
+const updateGoalStatus = async (campaignId) => {
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign) return null;
+
+  const totals = await getRaisedTotals([campaign._id]);
+  const progress = toProgress(campaign, totals[campaign._id.toString()]);
+
+  if (progress.goalReached && !campaign.goalReachedAt) {
+    campaign.goalReachedAt = new Date();
+    await campaign.save();
+
+    const initiative = await Initiative.findById(campaign.initiative).select('title creator');
+    if (initiative) {
+      await Notification.create({
+        recipient: initiative.creator,
+        type: 'campaign_goal_reached',
+        title: `Fundraising goal reached: ${campaign.title}`,
+        message: `"${campaign.title}" for "${initiative.title}" raised ${progress.raised} ${campaign.currency} of its ${campaign.goalAmount} ${campaign.currency} goal.`,
+        data: { initiative: initiative._id },
+        priority: 'high'
+      });
+    }
+  } else if (!progress.goalReached && campaign.goalReachedAt) {
+    // Refunds took the campaign back under its goal
+    campaign.goalReachedAt = undefined;
+    await campaign.save();
+  }
+
+  return progress;
+};
+
+// Completed amount (net of refunds) given towards a pledge
+const getPledgePaid = async (pledgeId) => {
+  const [total] = await Donation.aggregate([
+    { $match: { pledge: pledgeId, status: 'completed' } },
+    { $group: { _id: null, paid: { $sum: Donation.NET_AMOUNT } } }
+  ]);
+  return total ? total.paid : 0;
+};
+
+// Mark a pledge fulfilled once its donations cover it (or reopen it after a
+// refund); the donor is notified the first time it is fulfilled
+const updatePledgeStatus = async (pledgeId) => {
+  const pledge = await Pledge.findById(pledgeId);
+  if (!pledge || pledge.status === 'cancelled') return pledge;
+
+  const paid = await getPledgePaid(pledge._id);
+
+  if (paid >= pledge.amount && pledge.status === 'open') {
+    pledge.status = 'fulfilled';
+    pledge.fulfilledAt = new Date();
+    await pledge.save();
+
+    await Notification.create({
+      recipient: pledge.donor,
+      type: 'pledge_fulfilled',
+      title: 'Pledge fulfilled',
+      message: `Thank you! Your pledge of ${pledge.amount} ${pledge.currency} has been fulfilled.`,
+      data: { initiative: pledge.initiative }
+    });
+  } else if (paid < pledge.amount && pledge.status === 'fulfilled') {
+    pledge.status = 'open';
+    pledge.fulfilledAt = undefined;
+    await pledge.save();
+  }
+
+  return pledge;
+};
+
+module.exports = {
+  toProgress,
+  withProgress,
+  getRaisedTotals,
+  updateGoalStatus,
+  getPledgePaid,
+  updatePledgeStatus
+};
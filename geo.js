@@ -0,0 +1,123 @@
+// GeoJSON helpers for "near me" searches on events and initiatives.
+
+const { check } = require('express-validator');
+
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+// Schema definition for an optional GeoJSON point ([lng, lat])
+const pointSchema = {
+  type: {
+    type: String,
+    enum: ['Point']
+  },
+  coordinates: {
+    type: [Number],
+    default: undefined
+  }
+};
+
+const isLatLng = (lat, lng) => isFinite(lat) && isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+// Request checks for an optional `coordinates` { lat, lng } body field
+const validateCoordinates = [
+  check('coordinates.lat', 'Latitude must be between -90 and 90').optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 }),
+  check('coordinates.lng', 'Longitude must be between -180 and 180').optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 })
+];
+
+// Build a GeoJSON point from { lat, lng }, undefined when incomplete or out of range
+const toPoint = (coordinates) => {
+  if (!coordinates) return undefined;
+
+  const lat = Number(coordinates.lat);
+  const lng = Number(coordinates.lng);
+  if (coordinates.lat == null || coordinates.lng == null || !isLatLng(lat, lng)) {
+    return undefined;
+  }
+
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+// Parse a "lat,lng" query value into a GeoJSON point, null when invalid
+const parseNear = (near) => {
+  const [lat, lng] = String(near).split(',').map(value => parseFloat(value));
+
+  if (!isLatLng(lat, lng)) {
+    return null;
+  }
+
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+// Keep `geo` in sync with `coordinates` on save and on findOneAndUpdate
+const syncGeoPoint = (schema) => {
+  schema.pre('validate', function(next) {
+    if (this.isNew || this.isModified('coordinates')) {
+      this.geo = toPoint(this.coordinates);
+    }
+    next();
+  });
+
+  schema.pre('findOneAndUpdate', function(next) {
+    const update = this.getUpdate() || {};
+    const set = update.$set || update;
+
+    if (set.coordinates) {
+      const point = toPoint(set.coordinates);
+      if (point) {
+        set.geo = point;
+      } else {
+        delete set.geo;
+        update.$unset = { ...update.$unset, geo: '' };
+      }
+    }
+    next();
+  });
+};
+
+// Paginated distance-sorted query; results carry `distanceKm`
+const findNear = async (Model, query, origin, { radiusKm, page = 1, limit = 10, projection }) => {
+  const radius = Math.min(parseFloat(radiusKm) || DEFAULT_RADIUS_KM, MAX_RADIUS_KM);
+
+  const geoNear = {
+    $geoNear: {
+      near: origin,
+      key: 'geo',
+      distanceField: 'distanceKm',
+      distanceMultiplier: 0.001,
+      maxDistance: radius * 1000,
+      spherical: true,
+      query
+    }
+  };
+
+  const [results, counts] = await Promise.all([
+    Model.aggregate([
+      geoNear,
+      ...(projection ? [{ $project: projection }] : []),
+      { $skip: (page - 1) * limit },
+      { $limit: limit * 1 }
+    ]),
+    Model.aggregate([geoNear, { $count: 'total' }])
+  ]);
+
+  return {
+    results: results.map(result => ({
+      ...result,
+      distanceKm: Math.round(result.distanceKm * 100) / 100
+    })),
+    total: counts[0] ? counts[0].total : 0,
+    radiusKm: radius
+  };
+};
+
+module.exports = {
+  pointSchema,
+  validateCoordinates,
+  toPoint,
+  parseNear,
+  syncGeoPoint,
+  findNear
+};
@@ -0,0 +1,119 @@
+// Only the route checks use express-validator; a chainable stand-in is enough here
+jest.mock('express-validator', () => {
+  const chain = () => new Proxy({}, { get: () => chain });
+  return { check: chain };
+}, { virtual: true });
+
+const { toPoint, parseNear, syncGeoPoint, findNear } = require('./geo');
+
+describe('toPoint', () => {
+  it('builds a GeoJSON point with longitude first', () => {
+    expect(toPoint({ lat: 52.52, lng: 13.405 })).toEqual({ type: 'Point', coordinates: [13.405, 52.52] });
+    expect(toPoint({ lat: '-33.9', lng: '151.2' })).toEqual({ type: 'Point', coordinates: [151.2, -33.9] });
+  });
+
+  it('accepts the edges of the valid range', () => {
+    expect(toPoint({ lat: 90, lng: -180 })).toEqual({ type: 'Point', coordinates: [-180, 90] });
+    expect(toPoint({ lat: 0, lng: 0 })).toEqual({ type: 'Point', coordinates: [0, 0] });
+  });
+
+  it('is undefined for missing or incomplete coordinates', () => {
+    expect(toPoint(undefined)).toBeUndefined();
+    expect(toPoint({ lat: 52.52 })).toBeUndefined();
+    expect(toPoint({ lat: null, lng: 13.405 })).toBeUndefined();
+    expect(toPoint({ lat: 'north', lng: 13.405 })).toBeUndefined();
+  });
+
+  it('is undefined for out-of-range coordinates', () => {
+    expect(toPoint({ lat: 91, lng: 0 })).toBeUndefined();
+    expect(toPoint({ lat: -90.5, lng: 0 })).toBeUndefined();
+    expect(toPoint({ lat: 0, lng: 180.1 })).toBeUndefined();
+    expect(toPoint({ lat: 0, lng: -200 })).toBeUndefined();
+  });
+});
+
+describe('parseNear', () => {
+  it('parses a "lat,lng" value', () => {
+    expect(parseNear('52.52,13.405')).toEqual({ type: 'Point', coordinates: [13.405, 52.52] });
+    expect(parseNear(' -33.9 , 151.2 ')).toEqual({ type: 'Point', coordinates: [151.2, -33.9] });
+  });
+
+  it('is null for malformed or out-of-range values', () => {
+    expect(parseNear('52.52')).toBeNull();
+    expect(parseNear('here')).toBeNull();
+    expect(parseNear(undefined)).toBeNull();
+    expect(parseNear('95,10')).toBeNull();
+    expect(parseNear('10,-181')).toBeNull();
+  });
+});
+
+describe('syncGeoPoint', () => {
+  // Registers the hooks on a stand-in schema and returns them by name
+  const hooks = () => {
+    const registered = {};
+    syncGeoPoint({ pre: (name, hook) => { registered[name] = hook; } });
+    return registered;
+  };
+
+  it('sets geo from coordinates when a document is saved', () => {
+    const doc = { isNew: true, coordinates: { lat: 1, lng: 2 }, isModified: () => true };
+    const next = jest.fn();
+
+    hooks().validate.call(doc, next);
+
+    expect(doc.geo).toEqual({ type: 'Point', coordinates: [2, 1] });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('unsets geo when an update sets unusable coordinates', () => {
+    const update = { $set: { coordinates: { lat: 100, lng: 2 }, geo: { type: 'Point' } } };
+    const query = { getUpdate: () => update };
+
+    hooks().findOneAndUpdate.call(query, jest.fn());
+
+    expect(update.$set.geo).toBeUndefined();
+    expect(update.$unset).toEqual({ geo: '' });
+  });
+});
+
+describe('findNear', () => {
+  const origin = { type: 'Point', coordinates: [13.405, 52.52] };
+  const Model = (results, total) => ({
+    aggregate: jest.fn()
+      .mockResolvedValueOnce(results)
+      .mockResolvedValueOnce(total === undefined ? [] : [{ total }])
+  });
+
+  it('pages distance-sorted results within the radius', async () => {
+    const model = Model([{ title: 'Park cleanup', distanceKm: 1.23456 }], 11);
+
+    const found = await findNear(model, { isPublic: true }, origin, { radiusKm: '5', page: 2, limit: 10 });
+
+    expect(found).toEqual({ results: [{ title: 'Park cleanup', distanceKm: 1.23 }], total: 11, radiusKm: 5 });
+
+    const [pipeline] = model.aggregate.mock.calls[0];
+    expect(pipeline[0].$geoNear).toMatchObject({
+      near: origin,
+      key: 'geo',
+      maxDistance: 5000,
+      query: { isPublic: true }
+    });
+    expect(pipeline.slice(1)).toEqual([{ $skip: 10 }, { $limit: 10 }]);
+    expect(model.aggregate.mock.calls[1][0][1]).toEqual({ $count: 'total' });
+  });
+
+  it('applies the projection before paging', async () => {
+    const model = Model([]);
+
+    await findNear(model, {}, origin, { projection: { title: 1 } });
+
+    expect(model.aggregate.mock.calls[0][0].slice(1)).toEqual([
+      { $project: { title: 1 } }, { $skip: 0 }, { $limit: 10 }
+    ]);
+  });
+
+  it('uses the default radius and caps large ones', async () => {
+    await expect(findNear(Model([]), {}, origin, {})).resolves.toEqual({ results: [], total: 0, radiusKm: 25 });
+    await expect(findNear(Model([]), {}, origin, { radiusKm: 10000 })).resolves.toMatchObject({ radiusKm: 500 });
+  });
+});
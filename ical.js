@@ -0,0 +1,105 @@
+// iCalendar (RFC 5545) builders for event downloads and subscribable feeds.
+
+const PRODID = '-//Community Connect//Events//EN';
+
+// Events without an end date are exported as one hour long
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+// Format a date as a UTC date-time, e.g. 20260105T180000Z
+const formatDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escape text values (backslash, semicolon, comma and newlines)
+const escapeText = (value = '') =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const formatLocation = (event) => {
+  const { street, city, state, zipCode, country } = event.address || {};
+  const address = [street, city, state, zipCode, country].filter(Boolean).join(', ');
+  return [event.location, address].filter(Boolean).join(' - ');
+};
+
+// Build the VEVENT lines for a single event
+const buildEvent = (event, stamp) => {
+  const start = new Date(event.date);
+  const end = event.endDate ? new Date(event.endDate) : new Date(start.getTime() + DEFAULT_DURATION_MS);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event._id}@community-connect`,
+    `DTSTAMP:${formatDate(stamp)}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+
+  const location = formatLocation(event);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+
+  if (event.coordinates && event.coordinates.lat != null && event.coordinates.lng != null) {
+    lines.push(`GEO:${event.coordinates.lat};${event.coordinates.lng}`);
+  }
+
+  if (event.category) lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDate(event.updatedAt)}`);
+  if (process.env.CLIENT_URL) lines.push(`URL:${process.env.CLIENT_URL}/events/${event._id}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Build a complete VCALENDAR document for a list of events
+const buildCalendar = (events, { name } = {}) => {
+  const stamp = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  events.forEach(event => lines.push(...buildEvent(event, stamp)));
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Send a calendar response; `filename` makes it a download instead of a feed
+const sendCalendar = (res, events, { name, filename } = {}) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.send(buildCalendar(events, { name }));
+};
+
+module.exports = { buildCalendar, sendCalendar };
@@ -0,0 +1,126 @@
+const { buildCalendar, sendCalendar } = require('./ical');
+
+const event = (fields) => ({
+  _id: 'event1',
+  title: 'Park cleanup',
+  date: new Date('2026-01-05T18:00:00Z'),
+  status: 'upcoming',
+  ...fields
+});
+
+// Unfold the content lines of a calendar
+const unfold = calendar => calendar.replace(/\r\n /g, '').split('\r\n');
+
+const property = (calendar, name) => unfold(calendar).find(line => line.startsWith(`${name}:`));
+
+describe('buildCalendar', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = { ...env };
+    delete process.env.CLIENT_URL;
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('wraps events in a calendar with CRLF line endings', () => {
+    const calendar = buildCalendar([event()], { name: 'Community events' });
+
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.split('\r\n').slice(0, 6)).toEqual([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Community Connect//Events//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:Community events'
+    ]);
+    expect(calendar.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  it('formats dates in UTC and defaults to a one hour event', () => {
+    const calendar = buildCalendar([event()]);
+
+    expect(property(calendar, 'UID')).toBe('UID:event1@community-connect');
+    expect(property(calendar, 'DTSTART')).toBe('DTSTART:20260105T180000Z');
+    expect(property(calendar, 'DTEND')).toBe('DTEND:20260105T190000Z');
+    expect(property(calendar, 'STATUS')).toBe('STATUS:CONFIRMED');
+  });
+
+  it('exports the end date, cancellation, location and coordinates', () => {
+    const calendar = buildCalendar([event({
+      endDate: new Date('2026-01-05T20:30:00Z'),
+      status: 'cancelled',
+      location: 'Central Park',
+      address: { city: 'Springfield', country: 'USA' },
+      coordinates: { lat: 40.78, lng: -73.97 }
+    })]);
+
+    expect(property(calendar, 'DTEND')).toBe('DTEND:20260105T203000Z');
+    expect(property(calendar, 'STATUS')).toBe('STATUS:CANCELLED');
+    expect(property(calendar, 'LOCATION')).toBe('LOCATION:Central Park - Springfield\\, USA');
+    expect(property(calendar, 'GEO')).toBe('GEO:40.78;-73.97');
+  });
+
+  it('escapes backslashes, semicolons, commas and newlines in text', () => {
+    const calendar = buildCalendar([event({
+      title: 'Bring gloves, bags; water',
+      description: 'Meet at C:\\Gate 2\r\nThen walk north\nTogether'
+    })]);
+
+    expect(property(calendar, 'SUMMARY')).toBe('SUMMARY:Bring gloves\\, bags\\; water');
+    expect(property(calendar, 'DESCRIPTION'))
+      .toBe('DESCRIPTION:Meet at C:\\\\Gate 2\\nThen walk north\\nTogether');
+  });
+
+  it('folds lines longer than 75 octets', () => {
+    const description = 'A'.repeat(200);
+    const calendar = buildCalendar([event({ description })]);
+    const lines = calendar.split('\r\n');
+
+    lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    const start = lines.findIndex(line => line.startsWith('DESCRIPTION:'));
+    expect(lines[start]).toHaveLength(75);
+    expect(lines[start + 1]).toMatch(/^ A+$/);
+    expect(property(calendar, 'DESCRIPTION')).toBe(`DESCRIPTION:${description}`);
+  });
+
+  it('does not split multi-byte characters when folding', () => {
+    const title = '🌳'.repeat(40);
+    const calendar = buildCalendar([event({ title })]);
+
+    calendar.split('\r\n').forEach(line => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('\uFFFD');
+    });
+    expect(property(calendar, 'SUMMARY')).toBe(`SUMMARY:${title}`);
+  });
+
+  it('links to the event when the client URL is configured', () => {
+    process.env.CLIENT_URL = 'https://example.org';
+
+    expect(property(buildCalendar([event()]), 'URL')).toBe('URL:https://example.org/events/event1');
+  });
+});
+
+describe('sendCalendar', () => {
+  it('sends a download when a filename is given', () => {
+    const res = { set: jest.fn(), send: jest.fn() };
+
+    sendCalendar(res, [event()], { filename: 'event.ics' });
+
+    expect(res.set).toHaveBeenCalledWith('Content-Type', 'text/calendar; charset=utf-8');
+    expect(res.set).toHaveBeenCalledWith('Content-Disposition', 'attachment; filename="event.ics"');
+    expect(res.send.mock.calls[0][0]).toMatch(/^BEGIN:VCALENDAR\r\n/);
+  });
+
+  it('sends a feed without a filename', () => {
+    const res = { set: jest.fn(), send: jest.fn() };
+
+    sendCalendar(res, [], { name: 'Feed' });
+
+    expect(res.set).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const ImpactSettings = require('../models/ImpactSettings');
+const Initiative = require('../models/Initiative');
+const Event = require('../models/Event');
+const { runImpactRecompute } = require('../jobs/impactRecalculator');
+const { body, validationResult } = require('express-validator');
+
+const METRICS = {
+  initiative: Object.keys(Initiative.IMPACT_WEIGHTS),
+  event: Object.keys(Event.IMPACT_WEIGHTS)
+};
+
+// @route   GET /api/impact/settings
+// @desc    Get impact score weights
+// @access  Private (admin only)
+router.get('/settings', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const settings = await ImpactSettings.getSettings();
+    await settings.populate('updatedBy', 'name');
+
+    res.json(settings);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/impact/settings
+// @desc    Update impact score weights ({ initiative|event: { metric: { unit, max } } })
+//          and recompute all scores in the background
+// @access  Private (admin only)
+router.put('/settings', [
+  auth,
+  [
+    body(['initiative.*.unit', 'event.*.unit']).optional().isFloat({ gt: 0 })
+      .withMessage('Unit must be greater than 0'),
+    body(['initiative.*.max', 'event.*.max']).optional().isFloat({ min: 0, max: 100 })
+      .withMessage('Max points must be between 0 and 100')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const settings = await ImpactSettings.getSettings();
+
+    Object.entries(METRICS).forEach(([kind, metrics]) => {
+      const weights = req.body[kind] || {};
+      metrics.forEach(metric => {
+        if (!weights[metric]) return;
+        ['unit', 'max'].forEach(field => {
+          if (weights[metric][field] !== undefined) {
+            settings[kind][metric][field] = weights[metric][field];
+          }
+        });
+      });
+    });
+
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    runImpactRecompute();
+
+    res.json(settings);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/impact/recompute
+// @desc    Start recomputing impact metrics and scores of all initiatives in the background
+// @access  Private (admin only)
+router.post('/recompute', auth, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+
+  runImpactRecompute();
+
+  res.status(202).json({ message: 'Impact recompute started' });
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+// Impact metric recomputation: derives initiative and event metrics from
+// recorded activity and stores the resulting scores.
+
+const Initiative = require('../models/Initiative');
+const Event = require('../models/Event');
+const Donation = require('../models/Donation');
+const VolunteerLog = require('../models/VolunteerLog');
+const ImpactSettings = require('../models/ImpactSettings');
+const ImpactSnapshot = require('../models/ImpactSnapshot');
+
+const METRICS = Object.keys(Initiative.IMPACT_WEIGHTS);
+// Metrics derived from activity; environmentalImpact has no activity source and stays as entered
+const DERIVED_METRICS = ['peopleReached', 'hoursVolunteered', 'fundsRaised', 'socialConnections'];
+
+// Recompute an event's derived social impact and score, returns the checked-in user IDs
+const recomputeEventImpact = async (event, weights) => {
+  const checkedIn = event.tickets
+    .filter(ticket => ticket.checkedInAt)
+    .map(ticket => ticket.user.toString());
+
+  event.socialImpact.peopleConnected = checkedIn.length;
+  // Feedback and comments show people engaging with each other
+  event.socialImpact.communityBuilding = event.feedback.length + event.comments.length;
+  const score = event.calculateSocialImpact(weights);
+
+  await Event.updateOne({ _id: event._id }, {
+    $set: {
+      'socialImpact.peopleConnected': event.socialImpact.peopleConnected,
+      'socialImpact.communityBuilding': event.socialImpact.communityBuilding,
+      impactScore: score
+    }
+  });
+
+  return checkedIn;
+};
+
+// Recompute one initiative's metrics and score; a snapshot is recorded when anything changed
+const recomputeInitiativeImpact = async (initiativeId, settings) => {
+  const initiative = await Initiative.findById(initiativeId);
+  if (!initiative) return null;
+
+  settings = settings || await ImpactSettings.getSettings();
+
+  const [donations] = await Donation.aggregate([
+    { $match: { initiative: initiative._id, status: 'completed' } },
+    { $group: { _id: null, total: { $sum: Donation.NET_BASE_AMOUNT }, donors: { $addToSet: '$donor' } } }
+  ]);
+
+  const [volunteering] = await VolunteerLog.aggregate([
+    { $match: { initiative: initiative._id, status: 'approved' } },
+    { $group: { _id: null, total: { $sum: '$hours' } } }
+  ]);
+
+  const events = await Event.find({ initiative: initiative._id })
+    .select('tickets feedback comments socialImpact');
+
+  const eventWeights = settings.getWeights('event');
+  const reached = new Set(initiative.members.map(member => member.user.toString()));
+  let checkIns = 0;
+
+  for (const event of events) {
+    const checkedIn = await recomputeEventImpact(event, eventWeights);
+    checkIns += checkedIn.length;
+    checkedIn.forEach(userId => reached.add(userId));
+  }
+
+  if (donations) {
+    donations.donors.forEach(userId => reached.add(userId.toString()));
+  }
+
+  const metrics = initiative.impactMetrics;
+  metrics.peopleReached = reached.size;
+  metrics.hoursVolunteered = volunteering ? volunteering.total : 0;
+  metrics.fundsRaised = donations ? donations.total : 0;
+  metrics.socialConnections = initiative.members.length + checkIns;
+
+  const score = initiative.calculateImpactScore(settings.getWeights('initiative'));
+
+  const last = await ImpactSnapshot.findOne({ initiative: initiative._id }).sort({ recordedAt: -1 });
+  const changed = !last || last.score !== score ||
+    METRICS.some(metric => last.metrics[metric] !== metrics[metric]);
+
+  // Only the recomputed fields, so concurrent edits of other metrics are kept
+  const update = { impactScore: score };
+  DERIVED_METRICS.forEach(metric => { update[`impactMetrics.${metric}`] = metrics[metric]; });
+  await Initiative.updateOne({ _id: initiative._id }, { $set: update });
+
+  if (changed) {
+    const snapshot = { score, metrics: {} };
+    METRICS.forEach(metric => { snapshot.metrics[metric] = metrics[metric]; });
+    await ImpactSnapshot.create({ initiative: initiative._id, ...snapshot });
+  }
+
+  return initiative;
+};
+
+// Recompute every initiative, returns the number processed
+const recomputeAllImpact = async () => {
+  const settings = await ImpactSettings.getSettings();
+  const initiatives = await Initiative.find().select('_id');
+
+  for (const { _id } of initiatives) {
+    await recomputeInitiativeImpact(_id, settings);
+  }
+
+  return initiatives.length;
+};
+
+// Recompute after a change to an initiative's activity; callers that do not
+// wait for it must catch failures
+const refreshImpact = async (initiativeId) => {
+  if (!initiativeId) return null;
+
+  return recomputeInitiativeImpact(initiativeId);
+};
+
+module.exports = {
+  recomputeInitiativeImpact,
+  recomputeAllImpact,
+  refreshImpact
+};
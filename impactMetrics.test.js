@@ -0,0 +1,141 @@
+jest.mock('../models/Initiative', () => ({
+  IMPACT_WEIGHTS: {
+    peopleReached: {},
+    hoursVolunteered: {},
+    fundsRaised: {},
+    environmentalImpact: {},
+    socialConnections: {}
+  },
+  findById: jest.fn(),
+  find: jest.fn(),
+  updateOne: jest.fn()
+}), { virtual: true });
+jest.mock('../models/Event', () => ({ find: jest.fn(), updateOne: jest.fn() }), { virtual: true });
+jest.mock('../models/Donation', () => ({ aggregate: jest.fn(), NET_BASE_AMOUNT: '$baseAmount' }), { virtual: true });
+jest.mock('../models/VolunteerLog', () => ({ aggregate: jest.fn() }), { virtual: true });
+jest.mock('../models/ImpactSettings', () => ({ getSettings: jest.fn() }), { virtual: true });
+jest.mock('../models/ImpactSnapshot', () => ({ findOne: jest.fn(), create: jest.fn() }), { virtual: true });
+
+const Initiative = require('../models/Initiative');
+const Event = require('../models/Event');
+const Donation = require('../models/Donation');
+const VolunteerLog = require('../models/VolunteerLog');
+const ImpactSettings = require('../models/ImpactSettings');
+const ImpactSnapshot = require('../models/ImpactSnapshot');
+const { recomputeInitiativeImpact, refreshImpact } = require('./impactMetrics');
+
+const userId = id => ({ toString: () => id });
+
+const initiativeDoc = () => ({
+  _id: 'initiative1',
+  members: [{ user: userId('u1') }, { user: userId('u2') }],
+  impactMetrics: { environmentalImpact: 7 },
+  calculateImpactScore: jest.fn().mockReturnValue(42)
+});
+
+const eventDoc = () => ({
+  _id: 'event1',
+  tickets: [{ user: userId('u2'), checkedInAt: new Date() }, { user: userId('u3'), checkedInAt: new Date() }],
+  feedback: [{}],
+  comments: [{}, {}],
+  socialImpact: {},
+  calculateSocialImpact: jest.fn().mockReturnValue(10)
+});
+
+// Stand-in for a query that is sorted before it resolves
+const sorted = value => ({ sort: () => Promise.resolve(value) });
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  ImpactSettings.getSettings.mockResolvedValue({ getWeights: kind => `${kind} weights` });
+  Donation.aggregate.mockResolvedValue([{ total: 150, donors: [userId('u4')] }]);
+  VolunteerLog.aggregate.mockResolvedValue([{ total: 12 }]);
+  Event.find.mockReturnValue({ select: () => Promise.resolve([eventDoc()]) });
+});
+
+describe('recomputeInitiativeImpact', () => {
+  it('derives the metrics from members, check-ins, donations and volunteer hours', async () => {
+    Initiative.findById.mockResolvedValue(initiativeDoc());
+    ImpactSnapshot.findOne.mockReturnValue(sorted(null));
+
+    await recomputeInitiativeImpact('initiative1');
+
+    expect(Event.updateOne).toHaveBeenCalledWith({ _id: 'event1' }, {
+      $set: { 'socialImpact.peopleConnected': 2, 'socialImpact.communityBuilding': 3, impactScore: 10 }
+    });
+    expect(Initiative.updateOne).toHaveBeenCalledWith({ _id: 'initiative1' }, {
+      $set: {
+        impactScore: 42,
+        'impactMetrics.peopleReached': 4,
+        'impactMetrics.hoursVolunteered': 12,
+        'impactMetrics.fundsRaised': 150,
+        'impactMetrics.socialConnections': 4
+      }
+    });
+  });
+
+  it('records a snapshot only when the score or metrics changed', async () => {
+    Initiative.findById.mockResolvedValue(initiativeDoc());
+    ImpactSnapshot.findOne.mockReturnValue(sorted(null));
+
+    await recomputeInitiativeImpact('initiative1');
+
+    expect(ImpactSnapshot.create).toHaveBeenCalledWith({
+      initiative: 'initiative1',
+      score: 42,
+      metrics: {
+        peopleReached: 4,
+        hoursVolunteered: 12,
+        fundsRaised: 150,
+        environmentalImpact: 7,
+        socialConnections: 4
+      }
+    });
+
+    const [snapshot] = ImpactSnapshot.create.mock.calls[0];
+    ImpactSnapshot.create.mockClear();
+    Initiative.findById.mockResolvedValue(initiativeDoc());
+    ImpactSnapshot.findOne.mockReturnValue(sorted(snapshot));
+
+    await recomputeInitiativeImpact('initiative1');
+
+    expect(ImpactSnapshot.create).not.toHaveBeenCalled();
+  });
+
+  it('counts nothing for an initiative without activity', async () => {
+    Initiative.findById.mockResolvedValue({ ...initiativeDoc(), members: [] });
+    Donation.aggregate.mockResolvedValue([]);
+    VolunteerLog.aggregate.mockResolvedValue([]);
+    Event.find.mockReturnValue({ select: () => Promise.resolve([]) });
+    ImpactSnapshot.findOne.mockReturnValue(sorted(null));
+
+    await recomputeInitiativeImpact('initiative1');
+
+    expect(Initiative.updateOne.mock.calls[0][1].$set).toMatchObject({
+      'impactMetrics.peopleReached': 0,
+      'impactMetrics.hoursVolunteered': 0,
+      'impactMetrics.fundsRaised': 0,
+      'impactMetrics.socialConnections': 0
+    });
+  });
+
+  it('returns null for a missing initiative', async () => {
+    Initiative.findById.mockResolvedValue(null);
+
+    await expect(recomputeInitiativeImpact('missing')).resolves.toBeNull();
+    expect(Initiative.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('refreshImpact', () => {
+  it('skips changes that belong to no initiative', async () => {
+    await expect(refreshImpact(undefined)).resolves.toBeNull();
+    expect(Initiative.findById).not.toHaveBeenCalled();
+  });
+
+  it('passes failures on to the caller', async () => {
+    Initiative.findById.mockRejectedValue(new Error('Connection lost'));
+
+    await expect(refreshImpact('initiative1')).rejects.toThrow('Connection lost');
+  });
+});
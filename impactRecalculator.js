@@ -0,0 +1,45 @@
+const { recomputeAllImpact } = require('../utils/impactMetrics');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+let running = false;
+let queued = false;
+
+// Recompute every initiative's impact score; a request during a run queues one
+// more run, so changes made meanwhile (e.g. new weights) are picked up
+const runImpactRecompute = async () => {
+  if (running) {
+    queued = true;
+    return;
+  }
+  running = true;
+
+  try {
+    do {
+      queued = false;
+      const processed = await recomputeAllImpact();
+      console.log(`Impact recalculator - Recomputed ${processed} initiatives`);
+    } while (queued);
+  } catch (error) {
+    console.error('Impact recalculator - Error:', error.message);
+  } finally {
+    running = false;
+    queued = false;
+  }
+};
+
+// Recompute every initiative's impact score on an interval, returns a function that stops it
+const startImpactRecalculator = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  const tick = async () => {
+    // The interval does not need to queue behind a run in progress
+    if (running) return;
+    await runImpactRecompute();
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = { runImpactRecompute, startImpactRecalculator };
@@ -0,0 +1,52 @@
+jest.mock('../utils/impactMetrics', () => ({ recomputeAllImpact: jest.fn() }), { virtual: true });
+
+const { recomputeAllImpact } = require('../utils/impactMetrics');
+const { runImpactRecompute } = require('./impactRecalculator');
+
+describe('runImpactRecompute', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('recomputes every initiative', async () => {
+    recomputeAllImpact.mockResolvedValue(3);
+
+    await runImpactRecompute();
+
+    expect(recomputeAllImpact).toHaveBeenCalledTimes(1);
+  });
+
+  it('runs once more when asked again during a run', async () => {
+    let finish;
+    recomputeAllImpact
+      .mockReturnValueOnce(new Promise(resolve => { finish = resolve; }))
+      .mockResolvedValue(3);
+
+    const run = runImpactRecompute();
+    await runImpactRecompute();
+    await runImpactRecompute();
+    expect(recomputeAllImpact).toHaveBeenCalledTimes(1);
+
+    finish(3);
+    await run;
+
+    expect(recomputeAllImpact).toHaveBeenCalledTimes(2);
+  });
+
+  it('logs failures instead of rejecting', async () => {
+    recomputeAllImpact.mockRejectedValue(new Error('Connection lost'));
+
+    await expect(runImpactRecompute()).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith('Impact recalculator - Error:', 'Connection lost');
+
+    recomputeAllImpact.mockResolvedValue(1);
+    await runImpactRecompute();
+    expect(recomputeAllImpact).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,123 @@
+// Initiative templates and cloning: capture an initiative's plan with relative
+// dates and create new initiatives (and their default events) from it.
+
+const Initiative = require('../models/Initiative');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { syncEventLinks } = require('./eventLinks');
+const { recordActivity } = require('./activity');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Plan of an initiative relative to its start date: category, description,
+// tags, milestones and outlines of the (non-recurring) events it hosts
+const planFromInitiative = async (initiative) => {
+  const start = initiative.startDate.getTime();
+  const events = await Event.find({
+    initiative: initiative._id,
+    status: { $ne: 'cancelled' },
+    series: { $exists: false }
+  }).sort({ date: 1 });
+
+  return {
+    category: initiative.category,
+    description: initiative.description,
+    tags: [...initiative.tags],
+    durationDays: initiative.endDate
+      ? Math.max(0, Math.round((initiative.endDate - start) / DAY_MS))
+      : undefined,
+    milestones: initiative.milestones.map(milestone => ({
+      title: milestone.title,
+      description: milestone.description,
+      offsetDays: milestone.targetDate
+        ? Math.max(0, Math.round((milestone.targetDate - start) / DAY_MS))
+        : undefined,
+      weight: milestone.weight
+    })),
+    events: events.map(event => ({
+      title: event.title,
+      description: event.description,
+      category: event.category,
+      offsetHours: Math.max(0, Math.round((event.date - start) / HOUR_MS)),
+      durationHours: event.endDate
+        ? Math.round((event.endDate - event.date) / HOUR_MS)
+        : undefined,
+      capacity: event.capacity,
+      tags: [...event.tags]
+    }))
+  };
+};
+
+// Create an initiative owned by `userId` from a plan, placing milestones and
+// events relative to `details.startDate`. Events are hosted at the new location.
+const createFromPlan = async (plan, details, userId, message) => {
+  const start = new Date(details.startDate).getTime();
+  const at = (offset, unit) => (offset === undefined || offset === null ? undefined : new Date(start + offset * unit));
+
+  const initiative = new Initiative({
+    title: details.title,
+    description: details.description || plan.description,
+    category: plan.category,
+    location: details.location,
+    coordinates: details.coordinates,
+    creator: userId,
+    startDate: start,
+    endDate: at(plan.durationDays, DAY_MS),
+    tags: plan.tags || [],
+    images: details.images || [],
+    isPublic: details.isPublic,
+    joinPolicy: details.joinPolicy,
+    milestones: (plan.milestones || []).map(milestone => ({
+      title: milestone.title,
+      description: milestone.description,
+      targetDate: at(milestone.offsetDays, DAY_MS),
+      weight: milestone.weight
+    })),
+    members: [{ user: userId, role: 'owner' }]
+  });
+
+  await initiative.save();
+
+  await User.findByIdAndUpdate(userId, {
+    $push: { createdInitiatives: initiative._id }
+  });
+
+  await recordActivity({
+    initiative,
+    actor: userId,
+    type: 'initiative_created',
+    message
+  });
+
+  const events = await Promise.all((plan.events || []).map(async outline => {
+    const date = at(outline.offsetHours, HOUR_MS);
+    const event = new Event({
+      title: outline.title,
+      description: outline.description,
+      category: outline.category,
+      date,
+      endDate: outline.durationHours ? new Date(date.getTime() + outline.durationHours * HOUR_MS) : undefined,
+      location: initiative.location,
+      coordinates: initiative.coordinates,
+      organizer: userId,
+      initiative: initiative._id,
+      capacity: outline.capacity,
+      tags: outline.tags || [],
+      isPublic: initiative.isPublic
+    });
+    event.admitAttendee(userId);
+    return event.save();
+  }));
+
+  if (events.length > 0) {
+    await syncEventLinks(events);
+  }
+
+  return { initiative, events };
+};
+
+module.exports = {
+  planFromInitiative,
+  createFromPlan
+};
@@ -1,309 +1,1833 @@
-const express = require('express');
-const { check, validationResult } = require('express-validator');
-const Initiative = require('../models/Initiative');
-const User = require('../models/User');
-const { auth } = require('../middleware/auth');
-
-const router = express.Router();
-
-// @route   GET api/initiatives
-// @desc    Get all initiatives
-// @access  Public
-router.get('/', async (req, res) => {
-  try {
-    const { category, location, status, search, page = 1, limit = 10 } = req.query;
-    
-    const query = { isPublic: true };
-    
-    if (category) query.category = category;
-    if (location) query.location = { $regex: location, $options: 'i' };
-    if (status) query.status = status;
-    if (search) {
-      query.$text = { $search: search };
-    }
-
-    const initiatives = await Initiative.find(query)
-      .populate('creator', 'name avatar')
-      .populate('members.user', 'name avatar')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
-
-    const total = await Initiative.countDocuments(query);
-
-    res.json({
-      initiatives,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
-  } catch (error) {
-    console.error(error.message);
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   GET api/initiatives/:id
-// @desc    Get initiative by ID
-// @access  Public
-router.get('/:id', async (req, res) => {
-  try {
-    const initiative = await Initiative.findById(req.params.id)
-      .populate('creator', 'name avatar bio location')
-      .populate('members.user', 'name avatar')
-      .populate('comments.user', 'name avatar')
-      .populate('likes', 'name');
-
-    if (!initiative) {
-      return res.status(404).json({ message: 'Initiative not found' });
-    }
-
-    res.json(initiative);
-  } catch (error) {
-    console.error(error.message);
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({ message: 'Initiative not found' });
-    }
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   POST api/initiatives
-// @desc    Create a new initiative
-// @access  Private
-router.post('/', [
-  auth,
-  [
-    check('title', 'Title is required').not().isEmpty(),
-    check('description', 'Description is required').not().isEmpty(),
-    check('category', 'Category is required').not().isEmpty(),
-    check('location', 'Location is required').not().isEmpty()
-  ]
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  try {
-    const {
-      title,
-      description,
-      category,
-      location,
-      startDate,
-      endDate,
-      tags,
-      goals,
-      budget,
-      contactInfo,
-      socialMedia
-    } = req.body;
-
-    const newInitiative = new Initiative({
-      title,
-      description,
-      category,
-      location,
-      creator: req.user.id,
-      startDate,
-      endDate,
-      tags: tags || [],
-      goals: goals || [],
-      budget,
-      contactInfo,
-      socialMedia
-    });
-
-    const initiative = await newInitiative.save();
-
-    // Add creator as first member
-    initiative.members.push(req.user.id);
-
-    await initiative.save();
-
-    // Update user's created initiatives
-    await User.findByIdAndUpdate(req.user.id, {
-      $push: { createdInitiatives: initiative._id }
-    });
-
-    await initiative.populate('creator', 'name avatar');
-    await initiative.populate('members', 'name avatar');
-
-    res.json(initiative);
-  } catch (error) {
-    console.error(error.message);
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   PUT api/initiatives/:id
-// @desc    Update initiative
-// @access  Private
-router.put('/:id', auth, async (req, res) => {
-  try {
-    const initiative = await Initiative.findById(req.params.id);
-
-    if (!initiative) {
-      return res.status(404).json({ message: 'Initiative not found' });
-    }
-
-    // Check if user is creator or admin
-    if (initiative.creator.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(401).json({ message: 'Not authorized' });
-    }
-
-    const updatedInitiative = await Initiative.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
-      { new: true }
-    )
-    .populate('creator', 'name avatar')
-    .populate('members.user', 'name avatar');
-
-    res.json(updatedInitiative);
-  } catch (error) {
-    console.error(error.message);
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({ message: 'Initiative not found' });
-    }
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   DELETE api/initiatives/:id
-// @desc    Delete initiative
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    const initiative = await Initiative.findById(req.params.id);
-
-    if (!initiative) {
-      return res.status(404).json({ message: 'Initiative not found' });
-    }
-
-    // Check if user is creator or admin
-    if (initiative.creator.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(401).json({ message: 'Not authorized' });
-    }
-
-    await initiative.remove();
-
-    res.json({ message: 'Initiative removed' });
-  } catch (error) {
-    console.error(error.message);
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({ message: 'Initiative not found' });
-    }
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   POST api/initiatives/:id/join
-// @desc    Join an initiative
-// @access  Private
-router.post('/:id/join', auth, async (req, res) => {
-  try {
-    const initiative = await Initiative.findById(req.params.id);
-
-    if (!initiative) {
-      return res.status(404).json({ message: 'Initiative not found' });
-    }
-
-    // Check if user is already a member
-    const isMember = initiative.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (isMember) {
-      return res.status(400).json({ message: 'Already a member of this initiative' });
-    }
-
-    initiative.members.push({
-      user: req.user.id,
-      role: req.body.role || 'member'
-    });
-
-    await initiative.save();
-
-    // Update user's joined initiatives
-    await User.findByIdAndUpdate(req.user.id, {
-      $push: { joinedInitiatives: initiative._id }
-    });
-
-    await initiative.populate('creator', 'name avatar');
-    await initiative.populate('members.user', 'name avatar');
-
-    res.json(initiative);
-  } catch (error) {
-    console.error(error.message);
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   POST api/initiatives/:id/like
-// @desc    Like/unlike an initiative
-// @access  Private
-router.post('/:id/like', auth, async (req, res) => {
-  try {
-    const initiative = await Initiative.findById(req.params.id);
-
-    if (!initiative) {
-      return res.status(404).json({ message: 'Initiative not found' });
-    }
-
-    const likeIndex = initiative.likes.findIndex(
-      like => like.toString() === req.user.id
-    );
-
-    if (likeIndex > -1) {
-      initiative.likes.splice(likeIndex, 1);
-    } else {
-      initiative.likes.push(req.user.id);
-    }
-
-    await initiative.save();
-    res.json(initiative);
-  } catch (error) {
-    console.error(error.message);
-    res.status(500).send('Server error');
-  }
-});
-
-// @route   POST api/initiatives/:id/comment
-// @desc    Add comment to initiative
-// @access  Private
-router.post('/:id/comment', [
-  auth,
-  [check('text', 'Text is required').not().isEmpty()]
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  try {
-    const initiative = await Initiative.findById(req.params.id);
-
-    if (!initiative) {
-      return res.status(404).json({ message: 'Initiative not found' });
-    }
-
-    const newComment = {
-      user: req.user.id,
-      text: req.body.text
-    };
-
-    initiative.comments.unshift(newComment);
-    await initiative.save();
-
-    await initiative.populate('comments.user', 'name avatar');
-    res.json(initiative.comments);
-  } catch (error) {
-    console.error(error.message);
-    res.status(500).send('Server error');
-  }
-});
-
+const express = require('express');
+const { check, validationResult } = require('express-validator');
+const Initiative = require('../models/Initiative');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const InitiativeActivity = require('../models/InitiativeActivity');
+const { auth, optionalAuth, moderatorAuth } = require('../middleware/auth');
+const { sendCalendar } = require('../utils/ical');
+const ImpactSnapshot = require('../models/ImpactSnapshot');
+const { validateCoordinates, parseNear, findNear } = require('../utils/geo');
+const { recomputeInitiativeImpact, refreshImpact } = require('../utils/impactMetrics');
+const { TRACKED_FIELDS, snapshotFields, diffFields, recordActivity } = require('../utils/activity');
+const { linkEvent, unlinkEvent, removeInitiativeLinks } = require('../utils/eventLinks');
+const { validateContent, createCommentHandlers } = require('../utils/comments');
+const { planFromInitiative, createFromPlan } = require('../utils/initiativeTemplates');
+
+const router = express.Router();
+
+// Notify members (except the actor) that a milestone was completed
+const notifyMilestoneReached = (initiative, milestone, actorId) => {
+  const recipients = initiative.members
+    .map(member => member.user)
+    .filter(userId => userId.toString() !== actorId);
+
+  if (recipients.length === 0) return Promise.resolve([]);
+
+  return Notification.insertMany(recipients.map(userId => ({
+    recipient: userId,
+    sender: actorId,
+    type: 'milestone_reached',
+    title: `Milestone reached: ${milestone.title}`,
+    message: `"${initiative.title}" completed "${milestone.title}" and is now ${initiative.progress}% done.`,
+    data: { initiative: initiative._id }
+  })));
+};
+
+// Add a member and keep the user's joined initiatives in sync (saves the initiative)
+const admitMember = async (initiative, userId, role, actorId = userId) => {
+  initiative.members.push({ user: userId, role });
+  await initiative.save();
+
+  await User.findByIdAndUpdate(userId, {
+    $addToSet: { joinedInitiatives: initiative._id }
+  });
+
+  await recordActivity({
+    initiative,
+    actor: actorId,
+    type: 'member_joined',
+    message: `Joined as ${role}`,
+    data: { user: userId }
+  });
+
+  refreshImpact(initiative._id).catch(error => console.error(error.message));
+};
+
+// Notify owners and coordinators of a pending join request
+const notifyJoinRequest = (initiative, user) => {
+  const managers = initiative.members
+    .filter(member => member.role === 'owner' || member.role === 'coordinator')
+    .map(member => member.user);
+
+  return Notification.insertMany(managers.map(userId => ({
+    recipient: userId,
+    sender: user.id,
+    type: 'initiative_join_request',
+    title: `Join request: ${initiative.title}`,
+    message: `${user.name} asked to join "${initiative.title}".`,
+    data: { initiative: initiative._id }
+  })));
+};
+
+// @route   GET api/initiatives
+// @desc    Get all initiatives (?near=lat,lng&radiusKm= sorts by distance)
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { category, location, status, search, near, radiusKm, page = 1, limit = 10 } = req.query;
+    
+    const query = { isPublic: true };
+    
+    if (category) query.category = category;
+    if (location) query.location = { $regex: location, $options: 'i' };
+    if (status) query.status = status;
+    if (search) {
+      query.$text = { $search: search };
+    }
+
+    if (near) {
+      const origin = parseNear(near);
+      if (!origin) {
+        return res.status(400).json({ message: 'near must be in the form lat,lng' });
+      }
+      if (search) {
+        return res.status(400).json({ message: 'near cannot be combined with search' });
+      }
+
+      // Aggregate results skip the toJSON transform, so drop private fields here
+      const { results, total, radiusKm: radius } = await findNear(Initiative, query, origin, {
+        radiusKm,
+        page,
+        limit,
+        projection: { joinRequests: 0, invitations: 0 }
+      });
+
+      const initiatives = await Initiative.populate(results, [
+        { path: 'creator', select: 'name avatar' },
+        { path: 'members.user', select: 'name avatar' }
+      ]);
+
+      return res.json({
+        initiatives,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total,
+        radiusKm: radius
+      });
+    }
+
+    const initiatives = await Initiative.find(query)
+      .populate('creator', 'name avatar')
+      .populate('members.user', 'name avatar')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Initiative.countDocuments(query);
+
+    res.json({
+      initiatives,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/initiatives/:id
+// @desc    Get initiative by ID
+// @access  Public (private initiatives: members only)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id)
+      .populate('creator', 'name avatar bio location')
+      .populate('members.user', 'name avatar')
+      .populate('comments.user', 'name avatar')
+      .populate('likes', 'name');
+
+    if (!initiative || !initiative.canView(req.user)) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    res.json(initiative);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/initiatives/:id/events.ics
+// @desc    Subscribable calendar feed of initiative's related events
+// @access  Public (private initiatives: members only)
+router.get('/:id/events.ics', optionalAuth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id)
+      .populate({ path: 'relatedEvents', match: { isPublic: true }, options: { sort: { date: 1 } } });
+
+    if (!initiative || !initiative.canView(req.user)) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    sendCalendar(res, initiative.relatedEvents, { name: `${initiative.title} - Events` });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/initiatives/:id/events
+// @desc    Get events hosted by or linked to the initiative (?when=upcoming|ongoing|past&page=&limit=)
+// @access  Public (private initiatives: members only)
+router.get('/:id/events', optionalAuth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id).select('isPublic members');
+
+    if (!initiative || !initiative.canView(req.user)) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    const { when, page = 1, limit = 10 } = req.query;
+
+    const query = {
+      $and: [{ $or: [{ initiative: initiative._id }, { relatedInitiatives: initiative._id }] }]
+    };
+
+    // Private events are only listed for members
+    const isMember = req.user && (req.user.role === 'admin' || initiative.getMember(req.user.id));
+    if (!isMember) query.isPublic = true;
+
+    if (when) {
+      const whenFilter = Event.whenFilter(when);
+      if (!whenFilter) {
+        return res.status(400).json({ message: 'when must be upcoming, ongoing or past' });
+      }
+      query.$and.push(whenFilter);
+    }
+
+    const events = await Event.find(query)
+      .populate('organizer', 'name avatar')
+      .populate('initiative', 'title')
+      .sort({ date: when === 'past' ? -1 : 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Event.countDocuments(query);
+
+    res.json({
+      events,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/initiatives/:id/events/:eventId
+// @desc    Link an event to the initiative (`primary: true` makes it the host initiative)
+// @access  Private (initiative owner, coordinator or admin who also organizes the event)
+router.post('/:id/events/:eventId', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Both sides change, so the user must manage the initiative and the event
+    if (!initiative.canManage(req.user) ||
+        (event.organizer.toString() !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const primary = req.body.primary === true;
+    const isHost = event.initiative && event.initiative.toString() === initiative._id.toString();
+    const isRelated = event.relatedInitiatives.some(id => id.toString() === initiative._id.toString());
+
+    if (isHost || (isRelated && !primary)) {
+      return res.status(400).json({ message: 'Event is already linked to this initiative' });
+    }
+
+    await linkEvent(event, initiative._id, { primary });
+
+    await recordActivity({
+      initiative,
+      actor: req.user.id,
+      type: 'event_linked',
+      message: `Linked event "${event.title}"`,
+      data: { event: event._id }
+    });
+
+    await event.populate('initiative', 'title');
+    await event.populate('relatedInitiatives', 'title');
+
+    res.json(event);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/initiatives/:id/events/:eventId
+// @desc    Unlink an event from the initiative
+// @access  Private (initiative owner, coordinator, event organizer or admin)
+router.delete('/:id/events/:eventId', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Either side may end the link
+    if (!initiative.canManage(req.user) &&
+        event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const linked = [event.initiative, ...event.relatedInitiatives]
+      .some(id => id && id.toString() === initiative._id.toString());
+
+    if (!linked) {
+      return res.status(400).json({ message: 'Event is not linked to this initiative' });
+    }
+
+    await unlinkEvent(event, initiative._id);
+
+    await recordActivity({
+      initiative,
+      actor: req.user.id,
+      type: 'event_unlinked',
+      message: `Unlinked event "${event.title}"`,
+      data: { event: event._id }
+    });
+
+    res.json({ message: 'Event unlinked' });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/initiatives
+// @desc    Create a new initiative
+// @access  Private
+router.post('/', [
+  auth,
+  [
+    check('title', 'Title is required').not().isEmpty(),
+    check('description', 'Description is required').not().isEmpty(),
+    check('category', 'Category is required').not().isEmpty(),
+    check('location', 'Location is required').not().isEmpty(),
+    check('joinPolicy', 'Join policy must be open, request or invite').optional()
+      .isIn(['open', 'request', 'invite'])
+  ],
+  validateCoordinates
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const {
+      title,
+      description,
+      category,
+      location,
+      coordinates,
+      startDate,
+      endDate,
+      tags,
+      goals,
+      budget,
+      contactInfo,
+      socialMedia,
+      isPublic,
+      joinPolicy
+    } = req.body;
+
+    const newInitiative = new Initiative({
+      title,
+      description,
+      category,
+      location,
+      coordinates,
+      creator: req.user.id,
+      startDate,
+      endDate,
+      tags: tags || [],
+      goals: goals || [],
+      budget,
+      contactInfo,
+      socialMedia,
+      isPublic,
+      joinPolicy
+    });
+
+    const initiative = await newInitiative.save();
+
+    // Add creator as owner
+    initiative.members.push({ user: req.user.id, role: 'owner' });
+
+    await initiative.save();
+
+    // Update user's created initiatives
+    await User.findByIdAndUpdate(req.user.id, {
+      $push: { createdInitiatives: initiative._id }
+    });
+
+    await recordActivity({
+      initiative,
+      actor: req.user.id,
+      type: 'initiative_created',
+      message: `Created "${initiative.title}"`
+    });
+
+    await initiative.populate('creator', 'name avatar');
+    await initiative.populate('members.user', 'name avatar');
+
+    res.json(initiative);
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/initiatives/:id/clone
+// @desc    Clone an initiative's structure (details, milestones and hosted events)
+//          without its members, donations, feedback or comments
+// @access  Private
+router.post('/:id/clone', [
+  auth,
+  [
+    check('title', 'Title must be 100 characters or less').optional().trim().isLength({ min: 1, max: 100 }),
+    check('startDate', 'Valid start date is required').optional().isISO8601(),
+    check('location', 'Location cannot be empty').optional().trim().not().isEmpty()
+  ],
+  validateCoordinates
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const source = await Initiative.findById(req.params.id);
+
+    if (!source || !source.canView(req.user)) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    const plan = await planFromInitiative(source);
+    const title = req.body.title || `${source.title} (copy)`.slice(0, 100);
+    const location = req.body.location || source.location;
+
+    const { initiative, events } = await createFromPlan(plan, {
+      title,
+      startDate: req.body.startDate || source.startDate,
+      location,
+      // Keep the map position only when the clone stays at the same place
+      coordinates: req.body.coordinates || (req.body.location ? undefined : source.coordinates),
+      images: source.images,
+      isPublic: source.isPublic,
+      joinPolicy: source.joinPolicy
+    }, req.user.id, `Cloned from "${source.title}"`);
+
+    await initiative.populate('creator', 'name avatar');
+    await initiative.populate('members.user', 'name avatar');
+
+    res.json({ initiative, events });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/initiatives/:id
+// @desc    Update initiative
+// @access  Private
+router.put('/:id', [auth, validateCoordinates], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    // Check if user is owner, coordinator or admin
+    if (!initiative.canManage(req.user)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    // Membership, ownership, milestones, join requests, invitations, event links,
+    // comments, likes and feedback change through their own endpoints; progress
+    // and impact are derived from activity
+    const {
+      members, creator, milestones, progress, impactScore, impactMetrics,
+      joinRequests, invitations, relatedEvents, comments, likes, feedback, ...updates
+    } = req.body;
+
+    if (updates.joinPolicy !== undefined && !Initiative.JOIN_POLICIES.includes(updates.joinPolicy)) {
+      return res.status(400).json({ message: 'Join policy must be open, request or invite' });
+    }
+
+    // Environmental impact has no activity source and is entered by hand
+    if (impactMetrics && impactMetrics.environmentalImpact !== undefined) {
+      updates['impactMetrics.environmentalImpact'] = impactMetrics.environmentalImpact;
+    }
+
+    const before = snapshotFields(initiative);
+
+    const updatedInitiative = await Initiative.findByIdAndUpdate(
+      req.params.id,
+      { $set: updates },
+      { new: true }
+    )
+    .populate('creator', 'name avatar')
+    .populate('members.user', 'name avatar');
+
+    const changes = diffFields(before, snapshotFields(updatedInitiative));
+    if (changes.length > 0) {
+      await recordActivity({
+        initiative,
+        actor: req.user.id,
+        type: 'initiative_updated',
+        message: `Updated ${changes.map(change => change.field).join(', ')}`,
+        changes
+      });
+    }
+
+    if (updates['impactMetrics.environmentalImpact'] !== undefined) {
+      refreshImpact(initiative._id).catch(error => console.error(error.message));
+    }
+
+    res.json(updatedInitiative);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/initiatives/:id
+// @desc    Delete initiative
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    // Check if user is creator or admin
+    if (initiative.creator.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    await initiative.remove();
+
+    await User.updateMany(
+      { _id: { $in: initiative.members.map(member => member.user) } },
+      { $pull: { joinedInitiatives: initiative._id, createdInitiatives: initiative._id } }
+    );
+
+    await InitiativeActivity.deleteMany({ initiative: initiative._id });
+    await removeInitiativeLinks(initiative._id);
+
+    res.json({ message: 'Initiative removed' });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/initiatives/:id/join
+// @desc    Join an initiative; request-approval initiatives create a join request
+//          and invite-only initiatives need an invitation `token`
+// @access  Private
+router.post('/:id/join', [
+  auth,
+  [check('message', 'Message cannot exceed 500 characters').optional().isLength({ max: 500 })]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    // Check if user is already a member
+    if (initiative.getMember(req.user.id)) {
+      return res.status(400).json({ message: 'Already a member of this initiative' });
+    }
+
+    const { token, message } = req.body;
+
+    if (token) {
+      // A valid invitation admits the user whatever the join policy
+      const invitation = initiative.findInvitation(token);
+
+      if (!invitation) {
+        return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+      }
+
+      if (invitation.email && invitation.email !== req.user.email) {
+        return res.status(403).json({ message: 'This invitation was sent to a different email address' });
+      }
+
+      // Claim one use atomically so concurrent joins cannot exceed maxUses
+      const claim = await Initiative.updateOne(
+        {
+          _id: initiative._id,
+          invitations: {
+            $elemMatch: {
+              _id: invitation._id,
+              uses: { $lt: invitation.maxUses },
+              revokedAt: null,
+              expiresAt: { $gt: new Date() }
+            }
+          }
+        },
+        { $inc: { 'invitations.$.uses': 1 } }
+      );
+      if (claim.modifiedCount !== 1) {
+        return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+      }
+
+      const request = initiative.getPendingRequest(req.user.id);
+      if (request) {
+        request.status = 'accepted';
+        request.reviewedBy = invitation.createdBy;
+        request.reviewedAt = new Date();
+      }
+
+      await admitMember(initiative, req.user.id, invitation.role);
+    } else {
+      const policy = initiative.getJoinPolicy();
+
+      if (policy === 'invite') {
+        return res.status(403).json({ message: 'This initiative is invite-only' });
+      }
+
+      if (policy === 'request') {
+        if (initiative.getPendingRequest(req.user.id)) {
+          return res.status(400).json({ message: 'Join request already pending' });
+        }
+
+        initiative.joinRequests.push({ user: req.user.id, message });
+        await initiative.save();
+
+        await notifyJoinRequest(initiative, req.user);
+
+        return res.status(202).json({ message: 'Join request sent', status: 'pending' });
+      }
+
+      // Users can join as a member or volunteer; other roles are granted by coordinators
+      await admitMember(initiative, req.user.id, req.body.role === 'volunteer' ? 'volunteer' : 'member');
+    }
+
+    await initiative.populate('creator', 'name avatar');
+    await initiative.populate('members.user', 'name avatar');
+
+    res.json(initiative);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/initiatives/:id/join
+// @desc    Withdraw your pending join request
+// @access  Private
+router.delete('/:id/join', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    const request = initiative.getPendingRequest(req.user.id);
+
+    if (!request) {
+      return res.status(404).json({ message: 'No pending join request' });
+    }
+
+    request.remove();
+    await initiative.save();
+
+    res.json({ message: 'Join request withdrawn' });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/initiatives/:id/join-requests
+// @desc    Get join requests (?status=pending|accepted|declined, default pending)
+// @access  Private (owner, coordinator or admin)
+router.get('/:id/join-requests', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id)
+      .populate('joinRequests.user', 'name avatar email')
+      .populate('joinRequests.reviewedBy', 'name');
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const status = req.query.status || 'pending';
+    const requests = initiative.joinRequests
+      .filter(request => request.status === status)
+      .sort((a, b) => a.requestedAt - b.requestedAt);
+
+    res.json(requests);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/initiatives/:id/join-requests/:requestId
+// @desc    Accept or decline a join request
+// @access  Private (owner, coordinator or admin)
+router.put('/:id/join-requests/:requestId', [
+  auth,
+  [
+    check('status', 'Status must be accepted or declined').isIn(['accepted', 'declined']),
+    check('role', 'Role must be volunteer or member').optional().isIn(['volunteer', 'member'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const request = initiative.joinRequests.id(req.params.requestId);
+
+    if (!request) {
+      return res.status(404).json({ message: 'Join request not found' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ message: `Join request already ${request.status}` });
+    }
+
+    const { status, role = 'member' } = req.body;
+
+    request.status = status;
+    request.reviewedBy = req.user.id;
+    request.reviewedAt = new Date();
+
+    if (status === 'accepted' && !initiative.getMember(request.user)) {
+      await admitMember(initiative, request.user, role, req.user.id);
+    } else {
+      await initiative.save();
+    }
+
+    await Notification.create({
+      recipient: request.user,
+      sender: req.user.id,
+      type: status === 'accepted' ? 'initiative_joined' : 'initiative_join_request',
+      title: `Join request ${status}: ${initiative.title}`,
+      message: status === 'accepted'
+        ? `You are now a member of "${initiative.title}".`
+        : `Your request to join "${initiative.title}" was declined.`,
+      data: { initiative: initiative._id }
+    });
+
+    res.json(request);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Join request not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/initiatives/:id/invitations
+// @desc    Get invitations (?active=true for usable ones only)
+// @access  Private (owner, coordinator or admin)
+router.get('/:id/invitations', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id)
+      .populate('invitations.createdBy', 'name');
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const now = new Date();
+    let invitations = initiative.invitations.map(invitation => {
+      const { tokenHash, ...rest } = invitation.toObject();
+      return {
+        ...rest,
+        isActive: !invitation.revokedAt && invitation.expiresAt > now && invitation.uses < invitation.maxUses
+      };
+    });
+
+    if (req.query.active === 'true') {
+      invitations = invitations.filter(invitation => invitation.isActive);
+    }
+
+    res.json(invitations);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/initiatives/:id/invitations
+// @desc    Create an expiring invitation link (the token is only returned here)
+// @access  Private (owner, coordinator or admin)
+router.post('/:id/invitations', [
+  auth,
+  [
+    check('email', 'Please include a valid email').optional().isEmail(),
+    check('role', 'Role must be coordinator, volunteer or member').optional()
+      .isIn(['coordinator', 'volunteer', 'member']),
+    check('expiresInDays', 'Expiry must be between 1 and 30 days').optional().isInt({ min: 1, max: 30 }),
+    check('maxUses', 'Max uses must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const { email, role = 'member', expiresInDays, maxUses } = req.body;
+
+    // Only owners and admins can invite coordinators
+    if (role === 'coordinator' && req.user.role !== 'admin' &&
+        !initiative.hasRole(req.user.id, ['owner'])) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const { token, invitation } = initiative.createInvitation({
+      email: email && email.toLowerCase(),
+      role,
+      days: expiresInDays && parseInt(expiresInDays, 10),
+      maxUses: email ? 1 : maxUses,
+      createdBy: req.user.id
+    });
+
+    await initiative.save();
+
+    const link = `${process.env.CLIENT_URL || ''}/initiatives/${initiative._id}/join?token=${token}`;
+
+    // Let an existing user know about an invitation sent to their address
+    if (email) {
+      const invitee = await User.findOne({ email: email.toLowerCase() });
+      if (invitee && !initiative.getMember(invitee._id)) {
+        await Notification.create({
+          recipient: invitee._id,
+          sender: req.user.id,
+          type: 'initiative_invitation',
+          title: `Invitation: ${initiative.title}`,
+          message: `${req.user.name} invited you to join "${initiative.title}".`,
+          data: { initiative: initiative._id, url: link },
+          expiresAt: invitation.expiresAt
+        });
+      }
+    }
+
+    const { tokenHash, ...rest } = invitation.toObject();
+    res.json({ invitation: rest, token, link });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/initiatives/:id/invitations/:invitationId
+// @desc    Revoke an invitation
+// @access  Private (owner, coordinator or admin)
+router.delete('/:id/invitations/:invitationId', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const invitation = initiative.invitations.id(req.params.invitationId);
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.revokedAt) {
+      return res.status(400).json({ message: 'Invitation already revoked' });
+    }
+
+    invitation.revokedAt = new Date();
+    await initiative.save();
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/initiatives/:id/leave
+// @desc    Leave an initiative
+// @access  Private
+router.post('/:id/leave', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    const member = initiative.getMember(req.user.id);
+
+    if (!member) {
+      return res.status(400).json({ message: 'Not a member of this initiative' });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({ message: 'Transfer ownership before leaving' });
+    }
+
+    initiative.members = initiative.members.filter(m => m.user.toString() !== req.user.id);
+    await initiative.save();
+
+    await User.findByIdAndUpdate(req.user.id, {
+      $pull: { joinedInitiatives: initiative._id }
+    });
+
+    await recordActivity({
+      initiative,
+      actor: req.user.id,
+      type: 'member_left',
+      message: 'Left the initiative',
+      data: { user: req.user.id }
+    });
+
+    refreshImpact(initiative._id).catch(error => console.error(error.message));
+
+    res.json({ message: 'Left initiative' });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/initiatives/:id/members/:userId
+// @desc    Remove a member
+// @access  Private (owner, coordinator or admin)
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const member = initiative.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({ message: 'The owner cannot be removed' });
+    }
+
+    // Only owners and admins can remove coordinators
+    if (member.role === 'coordinator' && req.user.role !== 'admin' &&
+        !initiative.hasRole(req.user.id, ['owner'])) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    initiative.members = initiative.members.filter(m => m.user.toString() !== req.params.userId);
+    await initiative.save();
+
+    await User.findByIdAndUpdate(req.params.userId, {
+      $pull: { joinedInitiatives: initiative._id }
+    });
+
+    await recordActivity({
+      initiative,
+      actor: req.user.id,
+      type: 'member_removed',
+      message: `Removed a ${member.role}`,
+      data: { user: req.params.userId }
+    });
+
+    refreshImpact(initiative._id).catch(error => console.error(error.message));
+
+    await initiative.populate('members.user', 'name avatar');
+    res.json(initiative.members);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/initiatives/:id/members/:userId/role
+// @desc    Change a member's role (coordinator, volunteer or member)
+// @access  Private (owner, coordinator or admin)
+router.put('/:id/members/:userId/role', [
+  auth,
+  [check('role', 'Role must be coordinator, volunteer or member').isIn(['coordinator', 'volunteer', 'member'])]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const member = initiative.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({ message: 'Use ownership transfer to change the owner' });
+    }
+
+    // Coordinators manage volunteers and members; owners and admins manage coordinators
+    const isOwnerOrAdmin = req.user.role === 'admin' || initiative.hasRole(req.user.id, ['owner']);
+    if (!isOwnerOrAdmin && (member.role === 'coordinator' || req.body.role === 'coordinator')) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const previousRole = member.role;
+    member.role = req.body.role;
+    await initiative.save();
+
+    await recordActivity({
+      initiative,
+      actor: req.user.id,
+      type: 'member_role_changed',
+      message: `Changed a member's role from ${previousRole} to ${member.role}`,
+      changes: [{ field: 'role', from: previousRole, to: member.role }],
+      data: { user: req.params.userId }
+    });
+
+    await initiative.populate('members.user', 'name avatar');
+    res.json(initiative.getMember(req.params.userId));
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/initiatives/:id/transfer-ownership
+// @desc    Transfer ownership to another member (previous owner becomes coordinator)
+// @access  Private (owner or admin)
+router.post('/:id/transfer-ownership', [
+  auth,
+  [check('userId', 'Valid user ID is required').isMongoId()]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (req.user.role !== 'admin' && !initiative.hasRole(req.user.id, ['owner'])) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const newOwner = initiative.getMember(req.body.userId);
+
+    if (!newOwner) {
+      return res.status(400).json({ message: 'New owner must be a member of the initiative' });
+    }
+
+    if (newOwner.role === 'owner') {
+      return res.status(400).json({ message: 'User is already the owner' });
+    }
+
+    const previousOwnerId = initiative.creator;
+
+    initiative.members.forEach(member => {
+      if (member.role === 'owner') member.role = 'coordinator';
+    });
+    newOwner.role = 'owner';
+    initiative.creator = newOwner.user;
+
+    await initiative.save();
+
+    // Owners are tracked in createdInitiatives, everyone else in joinedInitiatives
+    await User.findByIdAndUpdate(previousOwnerId, {
+      $pull: { createdInitiatives: initiative._id },
+      $addToSet: { joinedInitiatives: initiative._id }
+    });
+    await User.findByIdAndUpdate(newOwner.user, {
+      $pull: { joinedInitiatives: initiative._id },
+      $addToSet: { createdInitiatives: initiative._id }
+    });
+
+    await recordActivity({
+      initiative,
+      actor: req.user.id,
+      type: 'ownership_transferred',
+      message: 'Transferred ownership',
+      changes: [{ field: 'creator', from: previousOwnerId.toString(), to: newOwner.user.toString() }],
+      data: { user: newOwner.user }
+    });
+
+    await initiative.populate('creator', 'name avatar');
+    await initiative.populate('members.user', 'name avatar');
+
+    res.json(initiative);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/initiatives/milestones/overdue
+// @desc    Get overdue milestones of initiatives the user coordinates (admins see all)
+// @access  Private
+router.get('/milestones/overdue', auth, async (req, res) => {
+  try {
+    const now = new Date();
+    const query = {
+      status: { $in: ['planning', 'active'] },
+      milestones: { $elemMatch: { completed: false, targetDate: { $lt: now } } }
+    };
+
+    if (req.user.role !== 'admin') {
+      query.members = {
+        $elemMatch: { user: req.user.id, role: { $in: ['owner', 'coordinator'] } }
+      };
+    }
+
+    const initiatives = await Initiative.find(query).select('title milestones progress');
+
+    const overdue = [];
+    initiatives.forEach(initiative => {
+      initiative.milestones
+        .filter(milestone => !milestone.completed && milestone.targetDate && milestone.targetDate < now)
+        .forEach(milestone => {
+          overdue.push({
+            initiative: { _id: initiative._id, title: initiative.title, progress: initiative.progress },
+            milestone
+          });
+        });
+    });
+
+    overdue.sort((a, b) => a.milestone.targetDate - b.milestone.targetDate);
+
+    res.json(overdue);
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/initiatives/:id/milestones
+// @desc    Get initiative milestones ordered by target date (?overdue=true for overdue only)
+// @access  Public (private initiatives: members only)
+router.get('/:id/milestones', optionalAuth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id)
+      .select('milestones progress isPublic members')
+      .populate('milestones.completedBy', 'name avatar');
+
+    if (!initiative || !initiative.canView(req.user)) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    const now = new Date();
+    let milestones = initiative.milestones;
+
+    if (req.query.overdue === 'true') {
+      milestones = milestones.filter(milestone =>
+        !milestone.completed && milestone.targetDate && milestone.targetDate < now
+      );
+    }
+
+    // Milestones without a target date go last
+    milestones = [...milestones].sort((a, b) =>
+      (a.targetDate || Infinity) - (b.targetDate || Infinity)
+    );
+
+    res.json({ progress: initiative.progress, milestones });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/initiatives/:id/milestones
+// @desc    Add a milestone
+// @access  Private (owner, coordinator or admin)
+router.post('/:id/milestones', [
+  auth,
+  [
+    check('title', 'Title is required').not().isEmpty(),
+    check('targetDate', 'Target date must be a valid date').optional().isISO8601(),
+    check('weight', 'Weight must be a non-negative number').optional().isFloat({ min: 0 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const { title, description, targetDate, weight } = req.body;
+
+    initiative.milestones.push({ title, description, targetDate, weight });
+    await initiative.save();
+
+    const milestone = initiative.milestones[initiative.milestones.length - 1];
+
+    await recordActivity({
+      initiative,
+      actor: req.user.id,
+      type: 'milestone_added',
+      message: `Added milestone "${milestone.title}"`,
+      data: { milestone: milestone._id }
+    });
+
+    res.json({ progress: initiative.progress, milestone });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/initiatives/:id/milestones/:milestoneId
+// @desc    Update a milestone's title, description, target date or weight
+// @access  Private (owner, coordinator or admin)
+router.put('/:id/milestones/:milestoneId', [
+  auth,
+  [
+    check('title', 'Title cannot be empty').optional().not().isEmpty(),
+    check('targetDate', 'Target date must be a valid date').optional({ nullable: true }).isISO8601(),
+    check('weight', 'Weight must be a non-negative number').optional().isFloat({ min: 0 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const milestone = initiative.milestones.id(req.params.milestoneId);
+
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    const changes = [];
+    ['title', 'description', 'targetDate', 'weight'].forEach(field => {
+      if (req.body[field] === undefined) return;
+      const from = milestone[field] === undefined ? null : milestone[field];
+      milestone[field] = req.body[field];
+      if (JSON.stringify(from) !== JSON.stringify(milestone[field])) {
+        changes.push({ field: `milestone.${field}`, from, to: milestone[field] });
+      }
+    });
+
+    await initiative.save();
+
+    if (changes.length > 0) {
+      await recordActivity({
+        initiative,
+        actor: req.user.id,
+        type: 'milestone_updated',
+        message: `Updated milestone "${milestone.title}"`,
+        changes,
+        data: { milestone: milestone._id }
+      });
+    }
+
+    res.json({ progress: initiative.progress, milestone });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/initiatives/:id/milestones/:milestoneId
+// @desc    Delete a milestone
+// @access  Private (owner, coordinator or admin)
+router.delete('/:id/milestones/:milestoneId', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const milestone = initiative.milestones.id(req.params.milestoneId);
+
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    milestone.remove();
+    await initiative.save();
+
+    await recordActivity({
+      initiative,
+      actor: req.user.id,
+      type: 'milestone_removed',
+      message: `Removed milestone "${milestone.title}"`,
+      data: { milestone: milestone._id }
+    });
+
+    res.json({ progress: initiative.progress, milestones: initiative.milestones });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/initiatives/:id/milestones/:milestoneId/complete
+// @desc    Mark a milestone as completed and notify members
+// @access  Private (owner, coordinator or admin)
+router.post('/:id/milestones/:milestoneId/complete', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const milestone = initiative.milestones.id(req.params.milestoneId);
+
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    if (milestone.completed) {
+      return res.status(400).json({ message: 'Milestone already completed' });
+    }
+
+    milestone.completed = true;
+    milestone.completedDate = new Date();
+    milestone.completedBy = req.user.id;
+    await initiative.save();
+
+    await recordActivity({
+      initiative,
+      actor: req.user.id,
+      type: 'milestone_completed',
+      message: `Completed milestone "${milestone.title}" (${initiative.progress}% done)`,
+      data: { milestone: milestone._id }
+    });
+
+    await notifyMilestoneReached(initiative, milestone, req.user.id);
+
+    res.json({ progress: initiative.progress, milestone });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/initiatives/:id/milestones/:milestoneId/uncomplete
+// @desc    Reopen a completed milestone
+// @access  Private (owner, coordinator or admin)
+router.post('/:id/milestones/:milestoneId/uncomplete', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const milestone = initiative.milestones.id(req.params.milestoneId);
+
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    if (!milestone.completed) {
+      return res.status(400).json({ message: 'Milestone is not completed' });
+    }
+
+    milestone.completed = false;
+    milestone.completedDate = undefined;
+    milestone.completedBy = undefined;
+    await initiative.save();
+
+    await recordActivity({
+      initiative,
+      actor: req.user.id,
+      type: 'milestone_reopened',
+      message: `Reopened milestone "${milestone.title}"`,
+      data: { milestone: milestone._id }
+    });
+
+    res.json({ progress: initiative.progress, milestone });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/initiatives/:id/impact
+// @desc    Get impact score, metrics and score history (?from=&to= date range)
+// @access  Public (private initiatives: members only)
+router.get('/:id/impact', optionalAuth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id)
+      .select('title impactScore impactMetrics isPublic members');
+
+    if (!initiative || !initiative.canView(req.user)) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    const query = { initiative: initiative._id };
+    if (req.query.from || req.query.to) {
+      query.recordedAt = {};
+      if (req.query.from) query.recordedAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.recordedAt.$lte = new Date(req.query.to);
+    }
+
+    const history = await ImpactSnapshot.find(query)
+      .select('score metrics recordedAt')
+      .sort({ recordedAt: 1 })
+      .limit(1000);
+
+    res.json({
+      impactScore: initiative.impactScore,
+      impactMetrics: initiative.impactMetrics,
+      history
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/initiatives/:id/impact/recompute
+// @desc    Recompute impact metrics and score now
+// @access  Private (owner, coordinator or admin)
+router.post('/:id/impact/recompute', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const updated = await recomputeInitiativeImpact(initiative._id);
+
+    res.json({
+      impactScore: updated.impactScore,
+      impactMetrics: updated.impactMetrics
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/initiatives/:id/activity
+// @desc    Get the initiative's activity feed, newest first (?type=&page=&limit=)
+// @access  Public (private initiatives: members only)
+router.get('/:id/activity', optionalAuth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id).select('isPublic members');
+
+    if (!initiative || !initiative.canView(req.user)) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const query = { initiative: initiative._id };
+    if (req.query.type) query.type = req.query.type;
+
+    const activity = await InitiativeActivity.find(query)
+      .populate('actor', 'name avatar')
+      .populate('data.user', 'name avatar')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await InitiativeActivity.countDocuments(query);
+
+    res.json({
+      activity,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/initiatives/:id/activity/:activityId/revert
+// @desc    Restore a field to the value it had before a logged change
+// @access  Private (creator or admin)
+router.post('/:id/activity/:activityId/revert', [
+  auth,
+  [check('field', 'Field is required').not().isEmpty()]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (initiative.creator.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    const entry = await InitiativeActivity.findOne({
+      _id: req.params.activityId,
+      initiative: initiative._id
+    });
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Activity not found' });
+    }
+
+    const { field } = req.body;
+    const change = entry.changes.find(c => c.field === field);
+
+    if (!change || !TRACKED_FIELDS.includes(field)) {
+      return res.status(400).json({ message: 'This change cannot be reverted' });
+    }
+
+    const before = snapshotFields(initiative);
+    initiative.set(field, change.from === null ? undefined : change.from);
+    await initiative.save();
+
+    const changes = diffFields(before, snapshotFields(initiative));
+
+    if (changes.length > 0) {
+      await recordActivity({
+        initiative,
+        actor: req.user.id,
+        type: 'field_reverted',
+        message: `Reverted ${field}`,
+        changes,
+        data: { revertOf: entry._id }
+      });
+    }
+
+    if (field === 'impactMetrics.environmentalImpact') {
+      refreshImpact(initiative._id).catch(error => console.error(error.message));
+    }
+
+    await initiative.populate('creator', 'name avatar');
+    await initiative.populate('members.user', 'name avatar');
+
+    res.json(initiative);
+  } catch (error) {
+    console.error(error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Activity not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/initiatives/:id/like
+// @desc    Like/unlike an initiative
+// @access  Private
+router.post('/:id/like', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+
+    if (!initiative || !initiative.canView(req.user)) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    const likeIndex = initiative.likes.findIndex(
+      like => like.toString() === req.user.id
+    );
+
+    if (likeIndex > -1) {
+      initiative.likes.splice(likeIndex, 1);
+    } else {
+      initiative.likes.push(req.user.id);
+    }
+
+    await initiative.save();
+    res.json(initiative);
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server error');
+  }
+});
+
+const commentHandlers = createCommentHandlers({
+  Model: Initiative,
+  label: 'Initiative',
+  getOwner: initiative => initiative.creator,
+  canView: (initiative, user) => initiative.canView(user),
+  canManage: (initiative, user) => initiative.canManage(user),
+  notifyData: initiative => ({ initiative: initiative._id }),
+  onCreate: (initiative, comment, req) => recordActivity({
+    initiative,
+    actor: req.user.id,
+    type: 'comment_added',
+    message: comment.parent ? 'Replied to a comment' : 'Commented',
+    data: { comment: comment._id }
+  })
+});
+
+// @route   GET api/initiatives/:id/comments
+// @desc    Get initiative comments as threads (top-level comments paginated, newest first)
+// @access  Public (private initiatives: members only)
+router.get('/:id/comments', optionalAuth, commentHandlers.list);
+
+// @route   POST api/initiatives/:id/comments
+// @desc    Comment on an initiative, or reply to a comment with `parent`
+// @access  Private
+router.post('/:id/comments', [auth, validateContent], commentHandlers.create);
+
+// @route   POST api/initiatives/:id/comment
+// @desc    Add comment to initiative (deprecated alias of POST /:id/comments, accepts `text`)
+// @access  Private
+router.post('/:id/comment', [
+  auth,
+  (req, res, next) => {
+    if (req.body.content === undefined) req.body.content = req.body.text;
+    next();
+  },
+  validateContent
+], commentHandlers.create);
+
+// @route   PUT api/initiatives/:id/comments/:commentId
+// @desc    Edit own comment
+// @access  Private
+router.put('/:id/comments/:commentId', [auth, validateContent], commentHandlers.update);
+
+// @route   DELETE api/initiatives/:id/comments/:commentId
+// @desc    Delete a comment (author, owner, coordinator or admin)
+// @access  Private
+router.delete('/:id/comments/:commentId', auth, commentHandlers.remove);
+
+// @route   DELETE api/initiatives/:id/comments/:commentId/moderate
+// @desc    Remove a comment with an optional moderation reason
+// @access  Private (moderator or admin)
+router.delete('/:id/comments/:commentId/moderate', [
+  moderatorAuth,
+  [check('reason', 'Reason must be 500 characters or less').optional().isLength({ max: 500 })]
+], commentHandlers.moderate);
+
+// @route   POST api/initiatives/:id/comments/:commentId/like
+// @desc    Like/unlike a comment
+// @access  Private
+router.post('/:id/comments/:commentId/like', auth, commentHandlers.like);
+
 module.exports = router; 
\ No newline at end of file
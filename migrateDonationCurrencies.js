@@ -0,0 +1,46 @@
+// One-off migration: fix the base-currency value of donations made before
+// exchange rates were recorded, using the rate in effect when each donation
+// was made. Donations in a currency without a rate for that date are listed
+// and left unchanged; add the missing rates and run it again (donations that
+// already have a base amount are skipped).
+//
+// Usage: MONGODB_URI=mongodb://... node scripts/migrateDonationCurrencies.js
+
+const mongoose = require('mongoose');
+const Donation = require('../models/Donation');
+const { toBase } = require('../utils/currency');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const cursor = Donation.find({ baseAmount: { $exists: false } })
+    .select('amount currency createdAt')
+    .cursor();
+
+  let converted = 0;
+  const skipped = {};
+  for await (const donation of cursor) {
+    const currency = (donation.currency || 'USD').toUpperCase();
+    const conversion = await toBase(donation.amount, currency, donation.createdAt);
+
+    if (!conversion) {
+      skipped[currency] = (skipped[currency] || 0) + 1;
+      continue;
+    }
+
+    await Donation.updateOne({ _id: donation._id }, { $set: { currency, ...conversion } });
+    converted++;
+  }
+
+  console.log(`Donation currencies: converted ${converted} donations`);
+  Object.entries(skipped).forEach(([currency, count]) => {
+    console.log(`  skipped ${count} ${currency} donations (no exchange rate)`);
+  });
+};
+
+migrate()
+  .catch(error => {
+    console.error('Donation currency migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
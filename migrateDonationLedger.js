@@ -0,0 +1,60 @@
+// One-off migration: open the ledger of donations settled before it existed.
+// Completed and refunded donations get a charge entry, and refunded ones a
+// matching refund entry. Donations that already have entries are skipped, so
+// it is safe to run more than once.
+//
+// Usage: MONGODB_URI=mongodb://... node scripts/migrateDonationLedger.js
+
+const mongoose = require('mongoose');
+const Donation = require('../models/Donation');
+const DonationLedgerEntry = require('../models/DonationLedgerEntry');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const cursor = Donation.find({ status: { $in: ['completed', 'refunded'] } })
+    .select('initiative amount currency status transactionId refundedAmount createdAt')
+    .cursor();
+
+  let opened = 0;
+  for await (const donation of cursor) {
+    if (await DonationLedgerEntry.exists({ donation: donation._id })) continue;
+
+    const base = {
+      donation: donation._id,
+      initiative: donation.initiative,
+      currency: donation.currency,
+      reason: 'Opening balance'
+    };
+
+    const entries = [{
+      ...base,
+      type: 'charge',
+      amount: donation.amount,
+      status: 'completed',
+      transactionId: donation.transactionId
+    }];
+
+    const refunded = donation.status === 'refunded' ? donation.amount : donation.refundedAmount;
+    if (refunded > 0) {
+      entries.push({ ...base, type: 'refund', amount: -refunded, status: donation.status });
+    }
+
+    // Refunded donations from before partial refunds never recorded the amount
+    if (donation.status === 'refunded' && donation.refundedAmount !== donation.amount) {
+      await Donation.updateOne({ _id: donation._id }, { $set: { refundedAmount: donation.amount } });
+    }
+
+    await DonationLedgerEntry.insertMany(entries);
+    opened++;
+  }
+
+  console.log(`Donation ledger: opened ${opened} donations`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Donation ledger migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
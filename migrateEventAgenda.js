@@ -0,0 +1,112 @@
+// One-off migration: bring agendas, speakers and sponsors written before
+// structured agendas existed up to the current schema, so those events pass
+// validation again. Legacy agenda items (`time` strings such as "10:00",
+// "2pm" or "09:30 - 10:15") get `startTime`/`endTime` on the event's date;
+// an item without an end runs until the next item, the event's end or one
+// hour. Items without an activity are named "Activity", and unparseable times
+// fall back to the event start with the original text kept in the
+// description. Speakers and sponsors without a name are dropped. Events that
+// are already valid are skipped, so it is safe to run more than once.
+//
+// Usage: MONGODB_URI=mongodb://... node scripts/migrateEventAgenda.js
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// "10:00", "10.30", "10am", "2:30 PM" -> { hours, minutes }. The whole text has
+// to be a time, so "Day 2" or "Room 101" are not read as one.
+const parseClock = (text) => {
+  const match = /^\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*$/i.exec(text || '');
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = (match[3] || '').toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+};
+
+// Clock time on the (UTC) day of `date`
+const onDay = (date, clock) => {
+  const result = new Date(date);
+  result.setUTCHours(clock.hours, clock.minutes, 0, 0);
+  return result;
+};
+
+const migrateAgenda = (event) => {
+  const items = event.agenda.map(item => {
+    if (item.startTime && item.endTime && item.activity) return { ...item };
+
+    const [from, to] = String(item.time || '').split(/\s*(?:-|–|to)\s*/);
+    const start = parseClock(from);
+    const end = parseClock(to);
+
+    const migrated = {
+      ...item,
+      activity: item.activity || 'Activity',
+      startTime: item.startTime || (start ? onDay(event.date, start) : new Date(event.date)),
+      endTime: item.endTime || (start && end ? onDay(event.date, end) : null)
+    };
+
+    if (item.time && !start) {
+      migrated.description = [item.time, item.description].filter(Boolean).join(' - ');
+    }
+
+    delete migrated.time;
+    return migrated;
+  });
+
+  const sorted = items.slice().sort((a, b) => a.startTime - b.startTime);
+  sorted.forEach((item, index) => {
+    if (item.endTime && item.endTime >= item.startTime) return;
+
+    const next = sorted.slice(index + 1).find(other => other.startTime > item.startTime);
+    const eventEnd = event.endDate && event.endDate > item.startTime ? event.endDate : null;
+    item.endTime = next ? next.startTime : eventEnd || new Date(item.startTime.getTime() + HOUR_MS);
+  });
+
+  return sorted;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Raw documents, so legacy fields that the schema no longer knows are kept
+  const cursor = Event.find({
+    $or: [
+      { agenda: { $elemMatch: { $or: [{ startTime: null }, { endTime: null }, { activity: null }] } } },
+      { speakers: { $elemMatch: { name: null } } },
+      { sponsors: { $elemMatch: { name: null } } }
+    ]
+  })
+    .select('date endDate agenda speakers sponsors')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let dropped = 0;
+  for await (const event of cursor) {
+    const speakers = (event.speakers || []).filter(speaker => speaker.name);
+    const sponsors = (event.sponsors || []).filter(sponsor => sponsor.name);
+    dropped += (event.speakers || []).length - speakers.length + (event.sponsors || []).length - sponsors.length;
+
+    await Event.collection.updateOne(
+      { _id: event._id },
+      { $set: { agenda: migrateAgenda({ ...event, agenda: event.agenda || [] }), speakers, sponsors } }
+    );
+    updated++;
+  }
+
+  console.log(`Event agendas: updated ${updated} events, dropped ${dropped} unnamed speakers and sponsors`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Event agenda migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
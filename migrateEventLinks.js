@@ -0,0 +1,65 @@
+// One-off migration: rebuild Initiative.relatedEvents from each event's
+// `initiative` and `relatedInitiatives`, dropping links to deleted events.
+// Safe to run more than once.
+//
+// Usage: MONGODB_URI=mongodb://... node scripts/migrateEventLinks.js
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Initiative = require('../models/Initiative');
+const { syncEventLinks } = require('../utils/eventLinks');
+
+const BATCH_SIZE = 500;
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const cursor = Event.find({
+    $or: [
+      { initiative: { $ne: null } },
+      { 'relatedInitiatives.0': { $exists: true } }
+    ]
+  })
+  .select('initiative relatedInitiatives')
+  .cursor();
+
+  let batch = [];
+  let linked = 0;
+  for await (const event of cursor) {
+    batch.push(event);
+    if (batch.length === BATCH_SIZE) {
+      await syncEventLinks(batch);
+      linked += batch.length;
+      batch = [];
+    }
+  }
+  await syncEventLinks(batch);
+  linked += batch.length;
+
+  // Pull links whose event no longer exists or no longer points back
+  let unlinked = 0;
+  const initiatives = await Initiative.find({ 'relatedEvents.0': { $exists: true } })
+    .select('relatedEvents');
+
+  for (const initiative of initiatives) {
+    const valid = await Event.find({
+      _id: { $in: initiative.relatedEvents },
+      $or: [{ initiative: initiative._id }, { relatedInitiatives: initiative._id }]
+    }).distinct('_id');
+
+    const stale = initiative.relatedEvents.filter(id => !valid.some(validId => validId.equals(id)));
+    if (stale.length > 0) {
+      await Initiative.updateOne({ _id: initiative._id }, { $pull: { relatedEvents: { $in: stale } } });
+      unlinked += stale.length;
+    }
+  }
+
+  console.log(`Event links: synced ${linked} events, removed ${unlinked} stale links`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Event link migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
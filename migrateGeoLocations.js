@@ -0,0 +1,46 @@
+// One-off migration: backfill the GeoJSON `geo` point from `coordinates`
+// on existing events and initiatives, then build the 2dsphere indexes.
+//
+// Usage: MONGODB_URI=mongodb://... node scripts/migrateGeoLocations.js
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Initiative = require('../models/Initiative');
+
+// Pipeline update copies [lng, lat] into geo (MongoDB 4.2+)
+const backfill = (Model) => Model.updateMany(
+  {
+    'coordinates.lat': { $type: 'number' },
+    'coordinates.lng': { $type: 'number' },
+    'geo.coordinates': { $exists: false }
+  },
+  [
+    {
+      $set: {
+        geo: {
+          type: 'Point',
+          coordinates: ['$coordinates.lng', '$coordinates.lat']
+        }
+      }
+    }
+  ]
+);
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  for (const Model of [Event, Initiative]) {
+    const result = await backfill(Model);
+    console.log(`${Model.modelName}: backfilled ${result.modifiedCount} documents`);
+
+    await Model.syncIndexes();
+    console.log(`${Model.modelName}: indexes synced`);
+  }
+};
+
+migrate()
+  .catch(error => {
+    console.error('Geo migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,62 @@
+// One-off migration: convert Initiative.members from plain user IDs to
+// { user, role, joinedAt } entries. The creator becomes the owner and is
+// added to members if missing. Safe to run more than once.
+//
+// Usage: MONGODB_URI=mongodb://... node scripts/migrateInitiativeMembers.js
+
+const mongoose = require('mongoose');
+const Initiative = require('../models/Initiative');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Runs on the raw collection so mongoose does not cast the legacy ObjectId entries
+  const result = await Initiative.collection.updateMany({}, [
+    {
+      $set: {
+        members: {
+          $map: {
+            input: { $ifNull: ['$members', []] },
+            as: 'member',
+            in: {
+              $cond: [
+                { $eq: [{ $type: '$$member' }, 'objectId'] },
+                {
+                  user: '$$member',
+                  role: { $cond: [{ $eq: ['$$member', '$creator'] }, 'owner', 'member'] },
+                  joinedAt: '$createdAt'
+                },
+                '$$member'
+              ]
+            }
+          }
+        }
+      }
+    },
+    {
+      $set: {
+        members: {
+          $cond: [
+            { $in: ['$creator', '$members.user'] },
+            '$members',
+            {
+              $concatArrays: [
+                [{ user: '$creator', role: 'owner', joinedAt: '$createdAt' }],
+                '$members'
+              ]
+            }
+          ]
+        }
+      }
+    }
+  ]);
+
+  console.log(`Initiative: migrated members on ${result.modifiedCount} documents`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Member migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
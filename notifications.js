@@ -1,99 +1,99 @@
-const express = require('express');
-const router = express.Router();
-const { auth } = require('../middleware/auth');
-const Notification = require('../models/Notification');
-const User = require('../models/User');
-const { body, validationResult } = require('express-validator');
-
-// @route   GET /api/notifications
-// @desc    Get user's notifications
-// @access  Private
-router.get('/', auth, async (req, res) => {
-  try {
-    const notifications = await Notification.find({ user: req.user.id })
-      .sort({ createdAt: -1 });
-    res.json(notifications);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-// @route   GET /api/notifications/:id
-// @desc    Get a specific notification
-// @access  Private
-router.get('/:id', auth, async (req, res) => {
-  try {
-    const notification = await Notification.findById(req.params.id);
-    if (!notification || notification.user.toString() !== req.user.id) {
-      return res.status(404).json({ message: 'Notification not found' });
-    }
-    res.json(notification);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-// @route   PUT /api/notifications/:id/read
-// @desc    Mark notification as read
-// @access  Private
-router.put('/:id/read', auth, async (req, res) => {
-  try {
-    const notification = await Notification.findById(req.params.id);
-    if (!notification || notification.user.toString() !== req.user.id) {
-      return res.status(404).json({ message: 'Notification not found' });
-    }
-    notification.isRead = true;
-    await notification.save();
-    res.json(notification);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-// @route   PUT /api/notifications/read-all
-// @desc    Mark all notifications as read
-// @access  Private
-router.put('/read-all', auth, async (req, res) => {
-  try {
-    await Notification.updateMany({ user: req.user.id, isRead: false }, { isRead: true });
-    res.json({ message: 'All notifications marked as read' });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-// @route   DELETE /api/notifications/:id
-// @desc    Delete a notification
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    const notification = await Notification.findById(req.params.id);
-    if (!notification || notification.user.toString() !== req.user.id) {
-      return res.status(404).json({ message: 'Notification not found' });
-    }
-    await notification.remove();
-    res.json({ message: 'Notification deleted' });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-// @route   GET /api/notifications/unread/count
-// @desc    Get unread notification count
-// @access  Private
-router.get('/unread/count', auth, async (req, res) => {
-  try {
-    const count = await Notification.countDocuments({ user: req.user.id, isRead: false });
-    res.json({ count });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { body, validationResult } = require('express-validator');
+
+// @route   GET /api/notifications
+// @desc    Get user's notifications
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const notifications = await Notification.find({ user: req.user.id })
+      .sort({ createdAt: -1 });
+    res.json(notifications);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/notifications/:id
+// @desc    Get a specific notification
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+    if (!notification || notification.user.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.json(notification);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+    if (!notification || notification.user.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    notification.isRead = true;
+    await notification.save();
+    res.json(notification);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    await Notification.updateMany({ user: req.user.id, isRead: false }, { isRead: true });
+    res.json({ message: 'All notifications marked as read' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+    if (!notification || notification.user.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    await notification.remove();
+    res.json({ message: 'Notification deleted' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/notifications/unread/count
+// @desc    Get unread notification count
+// @access  Private
+router.get('/unread/count', auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user: req.user.id, isRead: false });
+    res.json({ count });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
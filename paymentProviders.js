@@ -0,0 +1,126 @@
+// Payment provider registry. Each provider creates payment intents, may
+// refund them, and turns its signed webhook requests into normalized events:
+//   { type: 'succeeded' | 'failed', intentId, transactionId }
+
+const crypto = require('crypto');
+
+// Seconds a webhook signature stays valid
+const SIGNATURE_TOLERANCE = 5 * 60;
+
+const hmac = (secret, timestamp, rawBody) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex');
+
+// Header value in the form `t=<unix seconds>,v1=<hex hmac>`
+const signPayload = (secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${hmac(secret, timestamp, rawBody)}`;
+
+const verifySignature = (secret, rawBody, header, now = Date.now()) => {
+  const parts = {};
+  String(header || '').split(',').forEach(part => {
+    const [key, value] = part.split('=');
+    if (key && value) parts[key.trim()] = value.trim();
+  });
+
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE) return false;
+
+  const expected = Buffer.from(hmac(secret, timestamp, rawBody), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// The mock provider lets anyone settle payments, so it must be switched on
+// explicitly with ENABLE_MOCK_PAYMENTS=true
+const isMockEnabled = () => process.env.ENABLE_MOCK_PAYMENTS === 'true';
+
+// Local provider for development and tests: intents are settled by posting a
+// signed event (see POST /api/payments/mock/:intentId/:outcome)
+const mockProvider = {
+  name: 'mock',
+  signatureHeader: 'x-mock-signature',
+
+  // The built-in secret is only accepted when mock payments are enabled outside production
+  secret() {
+    if (!isMockEnabled()) return null;
+    if (process.env.MOCK_PAYMENT_WEBHOOK_SECRET) return process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    return process.env.NODE_ENV === 'production' ? null : 'mock_webhook_secret';
+  },
+
+  async createIntent({ amount, currency }) {
+    const id = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+    return {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`,
+      amount,
+      currency
+    };
+  },
+
+  async refund({ amount, currency }) {
+    return {
+      id: `mock_re_${crypto.randomBytes(12).toString('hex')}`,
+      amount,
+      currency
+    };
+  },
+
+  // Signed webhook request for an intent, as the provider would send it
+  buildEvent(intentId, outcome) {
+    const rawBody = JSON.stringify({
+      id: `mock_evt_${crypto.randomBytes(8).toString('hex')}`,
+      type: outcome === 'succeeded' ? 'payment_intent.succeeded' : 'payment_intent.failed',
+      data: {
+        intentId,
+        transactionId: outcome === 'succeeded' ? `mock_txn_${crypto.randomBytes(8).toString('hex')}` : undefined
+      }
+    });
+    return { rawBody, signature: signPayload(this.secret(), rawBody) };
+  },
+
+  // Returns the normalized event, or null when the signature is invalid
+  verifyWebhook(rawBody, headers) {
+    if (!this.secret() || !verifySignature(this.secret(), rawBody, headers[this.signatureHeader])) {
+      return null;
+    }
+
+    const payload = JSON.parse(rawBody);
+    const types = {
+      'payment_intent.succeeded': 'succeeded',
+      'payment_intent.failed': 'failed'
+    };
+
+    return {
+      type: types[payload.type] || 'ignored',
+      intentId: payload.data && payload.data.intentId,
+      transactionId: payload.data && payload.data.transactionId
+    };
+  }
+};
+
+const PROVIDERS = {
+  mock: mockProvider
+};
+
+// Add a provider implementing name, createIntent, verifyWebhook and optionally
+// refund (its idempotencyKey repeats when an interrupted refund is retried)
+const registerProvider = (provider) => {
+  PROVIDERS[provider.name] = provider;
+};
+
+// Provider by name, defaulting to PAYMENT_PROVIDER. Null when no provider is
+// configured, the name is unknown or it is the mock provider and that is disabled.
+const getProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name || (name === 'mock' && !isMockEnabled())) return null;
+  return PROVIDERS[name] || null;
+};
+
+module.exports = {
+  isMockEnabled,
+  getProvider,
+  registerProvider,
+  signPayload,
+  verifySignature
+};
@@ -0,0 +1,90 @@
+const { getProvider, signPayload, verifySignature } = require('./paymentProviders');
+
+const SECRET = 'whsec_test';
+const BODY = JSON.stringify({ type: 'payment_intent.succeeded', data: { intentId: 'pi_1' } });
+const NOW = Date.UTC(2024, 0, 1, 12, 0, 0);
+const nowSeconds = NOW / 1000;
+
+describe('verifySignature', () => {
+  it('accepts a payload signed with the same secret', () => {
+    const header = signPayload(SECRET, BODY, nowSeconds);
+    expect(verifySignature(SECRET, BODY, header, NOW)).toBe(true);
+  });
+
+  it('accepts signatures within the five minute tolerance', () => {
+    expect(verifySignature(SECRET, BODY, signPayload(SECRET, BODY, nowSeconds - 299), NOW)).toBe(true);
+    expect(verifySignature(SECRET, BODY, signPayload(SECRET, BODY, nowSeconds + 299), NOW)).toBe(true);
+  });
+
+  it('rejects signatures outside the tolerance', () => {
+    expect(verifySignature(SECRET, BODY, signPayload(SECRET, BODY, nowSeconds - 301), NOW)).toBe(false);
+    expect(verifySignature(SECRET, BODY, signPayload(SECRET, BODY, nowSeconds + 301), NOW)).toBe(false);
+  });
+
+  it('rejects a tampered body', () => {
+    const header = signPayload(SECRET, BODY, nowSeconds);
+    const tampered = BODY.replace('pi_1', 'pi_2');
+    expect(verifySignature(SECRET, tampered, header, NOW)).toBe(false);
+  });
+
+  it('rejects a tampered timestamp', () => {
+    const header = signPayload(SECRET, BODY, nowSeconds).replace(`t=${nowSeconds}`, `t=${nowSeconds + 1}`);
+    expect(verifySignature(SECRET, BODY, header, NOW)).toBe(false);
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const header = signPayload('whsec_other', BODY, nowSeconds);
+    expect(verifySignature(SECRET, BODY, header, NOW)).toBe(false);
+  });
+
+  it('rejects missing or malformed headers', () => {
+    expect(verifySignature(SECRET, BODY, undefined, NOW)).toBe(false);
+    expect(verifySignature(SECRET, BODY, 'garbage', NOW)).toBe(false);
+    expect(verifySignature(SECRET, BODY, `t=${nowSeconds}`, NOW)).toBe(false);
+    expect(verifySignature(SECRET, BODY, `t=${nowSeconds},v1=abc`, NOW)).toBe(false);
+  });
+});
+
+describe('getProvider', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = { ...env };
+    delete process.env.PAYMENT_PROVIDER;
+    delete process.env.ENABLE_MOCK_PAYMENTS;
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('returns null when no provider is configured', () => {
+    expect(getProvider()).toBeNull();
+  });
+
+  it('does not enable the mock provider implicitly', () => {
+    process.env.PAYMENT_PROVIDER = 'mock';
+    expect(getProvider()).toBeNull();
+    expect(getProvider('mock')).toBeNull();
+  });
+
+  it('returns the mock provider when it is enabled', () => {
+    process.env.PAYMENT_PROVIDER = 'mock';
+    process.env.ENABLE_MOCK_PAYMENTS = 'true';
+    expect(getProvider().name).toBe('mock');
+  });
+
+  it('only accepts the built-in mock secret when mock payments are enabled', () => {
+    process.env.ENABLE_MOCK_PAYMENTS = 'true';
+    const provider = getProvider('mock');
+    const { rawBody, signature } = provider.buildEvent('mock_pi_1', 'succeeded');
+    expect(provider.verifyWebhook(rawBody, { [provider.signatureHeader]: signature })).toMatchObject({
+      type: 'succeeded',
+      intentId: 'mock_pi_1'
+    });
+
+    delete process.env.ENABLE_MOCK_PAYMENTS;
+    expect(provider.verifyWebhook(rawBody, { [provider.signatureHeader]: signature })).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const Donation = require('../models/Donation');
+const { isMockEnabled, getProvider } = require('../utils/paymentProviders');
+const { applyPaymentEvent } = require('../utils/payments');
+
+// Signatures are computed over the exact request bytes, so this router reads
+// the raw body itself and must be mounted before express.json()
+const rawBody = express.raw({ type: '*/*', limit: '1mb' });
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Receive a signed payment event and settle the matching donation
+// @access  Public (provider signature required)
+router.post('/webhook/:provider', rawBody, async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown payment provider' });
+    }
+
+    const payload = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+    let event;
+    try {
+      event = provider.verifyWebhook(payload, req.headers);
+    } catch (error) {
+      return res.status(400).json({ message: 'Malformed webhook payload' });
+    }
+
+    if (!event) {
+      return res.status(400).json({ message: 'Invalid signature' });
+    }
+
+    const donation = await applyPaymentEvent(provider.name, event);
+
+    // Another delivery is still settling the donation; ask the provider to retry
+    if (donation && donation.settlement && donation.settlement.startedAt) {
+      return res.status(409).json({ message: 'Donation is being settled, retry later' });
+    }
+
+    res.json({
+      received: true,
+      donation: donation ? { id: donation._id, status: donation.status } : null
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/payments/mock/:intentId/:outcome
+// @desc    Simulate the mock provider paying (`succeeded`) or declining (`failed`)
+//          an intent; the signed event goes through the webhook verification
+// @access  Private (donor or admin; only with ENABLE_MOCK_PAYMENTS=true, never in production)
+router.post('/mock/:intentId/:outcome', auth, async (req, res) => {
+  try {
+    if (!isMockEnabled() || process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ message: 'Not found' });
+    }
+
+    const { intentId, outcome } = req.params;
+    if (!['succeeded', 'failed'].includes(outcome)) {
+      return res.status(400).json({ message: 'Outcome must be succeeded or failed' });
+    }
+
+    const donation = await Donation.findOne({ paymentProvider: 'mock', paymentIntentId: intentId });
+    if (!donation) {
+      return res.status(404).json({ message: 'Payment intent not found' });
+    }
+
+    if (donation.donor.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const provider = getProvider('mock');
+    const { rawBody: payload, signature } = provider.buildEvent(intentId, outcome);
+    const event = provider.verifyWebhook(payload, { [provider.signatureHeader]: signature });
+
+    const settled = await applyPaymentEvent(provider.name, event);
+
+    res.json(settled);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,344 @@
+// Donation payments: starting provider payments, settling donations from
+// webhook events or admin reconciliation, and the side effects of settling
+// (ledger, receipts, activity, impact, campaign, pledge and recurring plan updates).
+
+const mongoose = require('mongoose');
+const Donation = require('../models/Donation');
+const DonationLedgerEntry = require('../models/DonationLedgerEntry');
+const InitiativeActivity = require('../models/InitiativeActivity');
+const { getProvider } = require('./paymentProviders');
+const { updateGoalStatus, updatePledgeStatus } = require('./fundraising');
+const { recordInstallmentResult } = require('./recurringDonations');
+const { deliverReceipt } = require('./receipts');
+const { recordActivity } = require('./activity');
+const { refreshImpact } = require('./impactMetrics');
+
+// Offline methods confirmed by an admin instead of a provider webhook
+const MANUAL_METHODS = ['cash', 'bank_transfer'];
+
+const isManualMethod = (paymentMethod) => MANUAL_METHODS.includes(paymentMethod);
+
+// Create a provider payment intent for a pending donation (saves the donation)
+const startDonationPayment = async (donation) => {
+  const provider = getProvider();
+  if (!provider) {
+    throw new Error(process.env.PAYMENT_PROVIDER
+      ? `Payment provider "${process.env.PAYMENT_PROVIDER}" is not available`
+      : 'No payment provider configured (PAYMENT_PROVIDER)');
+  }
+
+  const intent = await provider.createIntent({
+    amount: donation.amount,
+    currency: donation.currency,
+    reference: donation._id.toString()
+  });
+
+  donation.paymentProvider = provider.name;
+  donation.paymentIntentId = intent.id;
+  await donation.save();
+
+  return { provider: provider.name, intentId: intent.id, clientSecret: intent.clientSecret };
+};
+
+// An interrupted settlement may be taken over by another request after this long
+const SETTLEMENT_LEASE_MS = 5 * 60 * 1000;
+
+// Totals derived from a donation's net amount
+const refreshTotals = async (donation) => {
+  refreshImpact(donation.initiative).catch(error => console.error(error));
+
+  // Completing or refunding a donation moves its campaign's total
+  if (donation.campaign) {
+    await updateGoalStatus(donation.campaign);
+  }
+
+  if (donation.pledge) {
+    await updatePledgeStatus(donation.pledge);
+  }
+};
+
+// Write the ledger entry, receipt, activity and totals of a claimed status
+// change. Every step checks what is already recorded, so a settlement that
+// failed half-way is completed by running this again (see resumeSettlement).
+const finishSettlement = async (donation) => {
+  const { fromStatus, actor, reason } = donation.settlement;
+
+  try {
+    if (donation.status === 'completed') {
+      const charged = await DonationLedgerEntry.exists({ donation: donation._id, type: 'charge' });
+      if (!charged) {
+        await DonationLedgerEntry.create({
+          donation: donation._id,
+          initiative: donation.initiative,
+          type: 'charge',
+          amount: donation.amount,
+          currency: donation.currency,
+          status: donation.status,
+          actor,
+          reason,
+          transactionId: donation.transactionId
+        });
+      }
+
+      if (!donation.receipt || !donation.receipt.sent) {
+        await deliverReceipt(donation);
+      }
+
+      const recorded = await InitiativeActivity.exists({
+        type: 'donation_received',
+        'data.donation': donation._id
+      });
+      if (!recorded) {
+        await recordActivity({
+          initiative: donation.initiative,
+          actor: donation.isAnonymous ? undefined : donation.donor,
+          type: 'donation_received',
+          message: `Received a donation of ${donation.amount} ${donation.currency}`,
+          data: { donation: donation._id }
+        });
+      }
+    }
+
+    await refreshTotals(donation);
+
+    // Not idempotent, so it runs last
+    if (donation.recurringPlan && donation.status !== fromStatus) {
+      await recordInstallmentResult(donation);
+    }
+  } catch (error) {
+    // Expire the lease so the next attempt (e.g. the provider's retry) resumes at once
+    await Donation.updateOne({ _id: donation._id }, { $set: { 'settlement.startedAt': new Date(0) } });
+    throw error;
+  }
+
+  await Donation.updateOne({ _id: donation._id }, { $unset: { settlement: 1 } });
+  donation.set('settlement', undefined);
+  return donation;
+};
+
+// Move a pending or failed donation to `completed` or `failed`. The change is
+// claimed atomically against the status the donation was loaded with, so of
+// two concurrent requests only one settles it (the other gets null).
+// Options: transactionId, actor, reason
+const settleDonation = async (donation, status, options = {}) => {
+  const { transactionId, actor, reason } = options;
+  const now = new Date();
+
+  const update = {
+    status,
+    settlement: { fromStatus: donation.status, startedAt: now, actor, reason }
+  };
+  if (transactionId) update.transactionId = transactionId;
+  if (status === 'completed' && !donation.completedAt) update.completedAt = now;
+
+  const claim = await Donation.updateOne(
+    { _id: donation._id, status: donation.status, 'settlement.startedAt': { $exists: false } },
+    { $set: update }
+  );
+  if (claim.modifiedCount !== 1) return null;
+
+  // Also saves changes the caller made (e.g. reconciliation details)
+  donation.set(update);
+  await donation.save();
+
+  return finishSettlement(donation);
+};
+
+// Finish a settlement that failed or whose worker died, once its lease has
+// expired. Returns the donation unchanged when there is nothing to resume or
+// another request is still settling it.
+const resumeSettlement = async (donation, now = new Date()) => {
+  if (!donation.settlement || !donation.settlement.startedAt) return donation;
+
+  const resumed = await Donation.findOneAndUpdate(
+    { _id: donation._id, 'settlement.startedAt': { $lte: new Date(now.getTime() - SETTLEMENT_LEASE_MS) } },
+    { $set: { 'settlement.startedAt': now } },
+    { new: true }
+  );
+
+  return resumed ? finishSettlement(resumed) : donation;
+};
+
+// Ask the provider to pay back a pending refund and remember its transaction.
+// The pending refund's _id is the idempotency key, so a retried call never
+// refunds twice. Manual methods are paid back outside the system.
+const sendRefund = async (donation, refund) => {
+  if (!donation.paymentProvider || refund.transactionId) return refund;
+
+  const provider = getProvider(donation.paymentProvider);
+  if (!(provider && provider.refund)) {
+    throw new Error(`Payment provider "${donation.paymentProvider}" cannot refund`);
+  }
+
+  const result = await provider.refund({
+    intentId: donation.paymentIntentId,
+    transactionId: donation.transactionId,
+    amount: refund.amount,
+    currency: donation.currency,
+    idempotencyKey: refund._id.toString()
+  });
+
+  await Donation.updateOne(
+    { _id: donation._id, 'pendingRefunds._id': refund._id },
+    { $set: { 'pendingRefunds.$.transactionId': result.id } }
+  );
+  return { ...refund, transactionId: result.id };
+};
+
+// Give a reservation back when the provider turned the refund down
+const releaseRefund = (donation, refund) => Donation.updateOne(
+  { _id: donation._id, 'pendingRefunds._id': refund._id },
+  {
+    $inc: { refundedAmount: -refund.amount },
+    $pull: { pendingRefunds: { _id: refund._id } },
+    $set: { status: 'completed' }
+  }
+);
+
+// Write the status, ledger entry and totals of a refund the provider accepted.
+// Every step checks what is already recorded, so it can run again after an
+// interruption (see resumeRefunds).
+const finishRefund = async (donation, refund) => {
+  // Fully refunded donations stop counting as completed
+  await Donation.updateOne(
+    {
+      _id: donation._id,
+      status: 'completed',
+      $expr: { $gte: [{ $round: ['$refundedAmount', 2] }, '$amount'] }
+    },
+    { $set: { status: 'refunded' } }
+  );
+
+  const updated = await Donation.findById(donation._id);
+
+  if (!(await DonationLedgerEntry.exists({ _id: refund._id }))) {
+    await DonationLedgerEntry.create({
+      _id: refund._id,
+      donation: updated._id,
+      initiative: updated.initiative,
+      type: 'refund',
+      amount: -refund.amount,
+      currency: updated.currency,
+      status: updated.status,
+      actor: refund.actor,
+      reason: refund.reason,
+      transactionId: refund.transactionId,
+      refundRequest: refund.refundRequest
+    });
+  }
+
+  await refreshTotals(updated);
+
+  await Donation.updateOne({ _id: donation._id }, { $pull: { pendingRefunds: { _id: refund._id } } });
+  updated.pendingRefunds.pull(refund._id);
+  return updated;
+};
+
+// Refund part or all of a completed donation, through its payment provider
+// when it was paid online. The amount is reserved atomically, together with a
+// pending refund, before the provider is called, so concurrent refunds can
+// never return more than was given and an interrupted refund is finished by
+// resumeRefunds. Returns the updated donation, or null when the amount
+// exceeds what is left.
+const refundDonation = async (donation, amount, { actor, reason, refundRequest } = {}) => {
+  amount = Math.round(amount * 100) / 100;
+  if (amount <= 0) return null;
+
+  const provider = donation.paymentProvider && getProvider(donation.paymentProvider);
+  if (donation.paymentProvider && !(provider && provider.refund)) {
+    throw new Error(`Payment provider "${donation.paymentProvider}" cannot refund`);
+  }
+
+  const refund = {
+    _id: new mongoose.Types.ObjectId(),
+    amount,
+    actor,
+    reason,
+    refundRequest,
+    startedAt: new Date()
+  };
+
+  const reserved = await Donation.findOneAndUpdate(
+    {
+      _id: donation._id,
+      status: 'completed',
+      $expr: { $lte: [{ $round: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, 2] }, '$amount'] }
+    },
+    { $inc: { refundedAmount: amount }, $push: { pendingRefunds: refund } }
+  );
+  if (!reserved) return null;
+
+  let sent;
+  try {
+    sent = await sendRefund(donation, refund);
+  } catch (error) {
+    // Whatever is left is below the full amount again
+    await releaseRefund(donation, refund);
+    throw error;
+  }
+
+  return finishRefund(donation, sent);
+};
+
+// Finish refunds that were interrupted for longer than the settlement lease:
+// those the provider accepted get their ledger entry, the others are sent
+// again with the same idempotency key. Returns the updated donation.
+const resumeRefunds = async (donation, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - SETTLEMENT_LEASE_MS);
+  let updated = donation;
+
+  for (const pending of donation.pendingRefunds || []) {
+    if (pending.startedAt > cutoff) continue;
+
+    const claim = await Donation.updateOne(
+      { _id: donation._id, pendingRefunds: { $elemMatch: { _id: pending._id, startedAt: { $lte: cutoff } } } },
+      { $set: { 'pendingRefunds.$.startedAt': now } }
+    );
+    if (claim.modifiedCount !== 1) continue;
+
+    const refund = pending.toObject();
+    let sent;
+    try {
+      sent = await sendRefund(donation, refund);
+    } catch (error) {
+      await releaseRefund(donation, refund);
+      throw error;
+    }
+
+    updated = await finishRefund(donation, sent);
+  }
+
+  return updated;
+};
+
+// Apply a verified provider event to its donation. Only one delivery of an
+// event settles the donation; later deliveries finish that settlement if it
+// was interrupted and are ignored otherwise.
+const applyPaymentEvent = async (providerName, event) => {
+  if (!['succeeded', 'failed'].includes(event.type) || !event.intentId) return null;
+
+  const match = { paymentProvider: providerName, paymentIntentId: event.intentId };
+
+  const donation = await Donation.findOne(match);
+  if (!donation) return null;
+
+  if (donation.status === 'pending') {
+    const settled = await settleDonation(donation, event.type === 'succeeded' ? 'completed' : 'failed', {
+      transactionId: event.transactionId
+    });
+    if (settled) return settled;
+  }
+
+  return resumeSettlement(await Donation.findOne(match));
+};
+
+module.exports = {
+  MANUAL_METHODS,
+  isManualMethod,
+  startDonationPayment,
+  settleDonation,
+  resumeSettlement,
+  refundDonation,
+  resumeRefunds,
+  applyPaymentEvent
+};
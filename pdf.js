@@ -0,0 +1,80 @@
+// Minimal PDF writer for plain-text documents (receipts, summaries): Letter
+// pages, Helvetica/Helvetica-Bold, one line per entry, new page on overflow.
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 56;
+
+// Characters outside WinAnsi are replaced; PDF string delimiters are escaped
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+// Split lines into pages of content-stream operators
+const layoutPages = (lines) => {
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  lines.forEach(line => {
+    const size = line.size || 10;
+    const height = size + 4 + (line.gap || 0);
+
+    if (y - height < MARGIN && ops.length > 0) {
+      pages.push(ops);
+      ops = [];
+      y = PAGE_HEIGHT - MARGIN;
+    }
+
+    y -= height;
+    if (line.text) {
+      ops.push(`BT /${line.bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN + (line.indent || 0)} ${y} Td (${escapeText(line.text)}) Tj ET`);
+    }
+  });
+
+  pages.push(ops);
+  return pages;
+};
+
+// Render lines ({ text, size, bold, indent, gap }) to a PDF Buffer
+const renderPdf = (lines, { title } = {}) => {
+  const pages = layoutPages(lines);
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = add(`<< /Title (${escapeText(title || '')}) /Producer (Community Connect) >>`);
+
+  const pageIds = pages.map(ops => {
+    const stream = ops.join('\n');
+    const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = { renderPdf };
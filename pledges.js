@@ -0,0 +1,200 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const Pledge = require('../models/Pledge');
+const Donation = require('../models/Donation');
+const Initiative = require('../models/Initiative');
+const Campaign = require('../models/Campaign');
+const { getPledgePaid } = require('../utils/fundraising');
+const { BASE_CURRENCY, isCurrency } = require('../utils/currency');
+const { body, validationResult } = require('express-validator');
+
+// Pledge with its paid and remaining amounts
+const withBalance = async (pledge, now = new Date()) => {
+  const paid = await getPledgePaid(pledge._id);
+  return {
+    ...pledge.toObject(),
+    paid,
+    remaining: Math.max(0, pledge.amount - paid),
+    isOverdue: pledge.isOverdue(now)
+  };
+};
+
+// @route   GET /api/pledges/my-pledges
+// @desc    Get current user's pledges with paid/remaining amounts
+// @access  Private
+router.get('/my-pledges', auth, async (req, res) => {
+  try {
+    const pledges = await Pledge.find({ donor: req.user.id })
+      .populate('initiative', 'title images')
+      .populate('campaign', 'title')
+      .sort({ dueDate: 1 });
+
+    res.json(await Promise.all(pledges.map(pledge => withBalance(pledge))));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/pledges/initiative/:id
+// @desc    Get an initiative's pledges and outstanding total (?status=open|fulfilled|cancelled)
+// @access  Private (owner, coordinator or admin)
+router.get('/initiative/:id', auth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const query = { initiative: initiative._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const pledges = await Pledge.find(query)
+      .populate('donor', 'name email')
+      .populate('campaign', 'title')
+      .sort({ dueDate: 1 });
+
+    const results = await Promise.all(pledges.map(pledge => withBalance(pledge)));
+
+    // Anonymous pledgers stay anonymous to the initiative team
+    results.forEach(pledge => {
+      if (pledge.isAnonymous) pledge.donor = null;
+    });
+
+    res.json({
+      pledges: results,
+      outstanding: results
+        .filter(pledge => pledge.status === 'open')
+        .reduce((sum, pledge) => sum + pledge.remaining, 0),
+      overdue: results.filter(pledge => pledge.isOverdue).length
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/pledges/:id
+// @desc    Get a pledge with the donations made towards it
+// @access  Private (donor or admin)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const pledge = await Pledge.findById(req.params.id)
+      .populate('initiative', 'title')
+      .populate('campaign', 'title');
+
+    if (!pledge || (pledge.donor.toString() !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ message: 'Pledge not found' });
+    }
+
+    const donations = await Donation.find({ pledge: pledge._id })
+      .select('amount currency status transactionId createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({ ...(await withBalance(pledge)), donations });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/pledges
+// @desc    Pledge an amount to an initiative by a due date; pay it with
+//          donations that reference the pledge
+// @access  Private
+router.post('/', [
+  auth,
+  [
+    body('initiative').isMongoId().withMessage('Valid initiative ID is required'),
+    body('campaign').optional().isMongoId().withMessage('Valid campaign ID is required'),
+    body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+    body('currency').optional().toUpperCase().custom(isCurrency)
+      .withMessage('Currency must be an ISO 4217 code'),
+    body('dueDate').isISO8601().withMessage('Valid due date is required'),
+    body('message').optional().isLength({ max: 500 }).withMessage('Message too long'),
+    body('isAnonymous').optional().isBoolean().withMessage('isAnonymous must be boolean')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { initiative, campaign: campaignId, amount, dueDate, message, isAnonymous } = req.body;
+    let { currency } = req.body;
+
+    if (new Date(dueDate) <= new Date()) {
+      return res.status(400).json({ message: 'Due date must be in the future' });
+    }
+
+    const initiativeExists = await Initiative.findById(initiative);
+    if (!initiativeExists) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (campaignId) {
+      const campaign = await Campaign.findById(campaignId);
+      if (!campaign || campaign.initiative.toString() !== initiative) {
+        return res.status(404).json({ message: 'Campaign not found' });
+      }
+
+      if (currency && currency !== campaign.currency) {
+        return res.status(400).json({ message: `Campaign accepts ${campaign.currency} donations only` });
+      }
+      currency = campaign.currency;
+    }
+
+    const pledge = new Pledge({
+      donor: req.user.id,
+      initiative,
+      campaign: campaignId,
+      amount,
+      currency: currency || BASE_CURRENCY,
+      dueDate,
+      message,
+      isAnonymous: isAnonymous || false
+    });
+
+    await pledge.save();
+    await pledge.populate('initiative', 'title');
+
+    res.json(await withBalance(pledge));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/pledges/:id/cancel
+// @desc    Withdraw an open pledge (donations already made are kept)
+// @access  Private (donor or admin)
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const pledge = await Pledge.findById(req.params.id);
+
+    if (!pledge || (pledge.donor.toString() !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ message: 'Pledge not found' });
+    }
+
+    if (pledge.status !== 'open') {
+      return res.status(400).json({ message: 'Only open pledges can be cancelled' });
+    }
+
+    pledge.status = 'cancelled';
+    pledge.cancelledAt = new Date();
+    await pledge.save();
+
+    res.json(pledge);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+// Donation receipts: numbering, PDF rendering and delivery to the donor.
+
+const Donation = require('../models/Donation');
+const Counter = require('../models/Counter');
+const Notification = require('../models/Notification');
+const { renderPdf } = require('./pdf');
+
+// Issuing organisation printed on every receipt
+const getOrganisation = () => ({
+  name: process.env.RECEIPT_ORG_NAME || 'Community Connect',
+  address: process.env.RECEIPT_ORG_ADDRESS,
+  taxId: process.env.RECEIPT_ORG_TAX_ID,
+  email: process.env.RECEIPT_ORG_EMAIL
+});
+
+const formatAmount = (amount, currency) => `${amount.toFixed(2)} ${currency}`;
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const receiptUrl = (donation) => `/api/donations/my-donations/${donation._id}/receipt`;
+
+const organisationLines = () => {
+  const organisation = getOrganisation();
+  return [
+    { text: organisation.name, bold: true, gap: 12 },
+    organisation.address && { text: organisation.address },
+    organisation.taxId && { text: `Tax ID: ${organisation.taxId}` },
+    organisation.email && { text: organisation.email }
+  ].filter(Boolean);
+};
+
+// Seconds after which an unfinished receipt claim (crashed request) may be taken over
+const ISSUE_CLAIM_TIMEOUT = 60;
+
+// Give a completed donation its receipt number (once). The donation is claimed
+// before a number is taken, so concurrent requests never burn receipt numbers.
+const issueReceipt = async (donation, now = new Date()) => {
+  if (donation.receipt && donation.receipt.number) return donation;
+
+  const claim = await Donation.updateOne(
+    {
+      _id: donation._id,
+      'receipt.number': { $exists: false },
+      $or: [
+        { 'receipt.issuedAt': { $exists: false } },
+        { 'receipt.issuedAt': { $lte: new Date(now.getTime() - ISSUE_CLAIM_TIMEOUT * 1000) } }
+      ]
+    },
+    { $set: { 'receipt.issuedAt': now } }
+  );
+
+  if (claim.modifiedCount !== 1) {
+    // Another request is issuing (or has issued) the receipt
+    const current = await Donation.findById(donation._id).select('receipt');
+    if (!current.receipt || !current.receipt.number) {
+      throw new Error(`Receipt for donation ${donation._id} is being issued`);
+    }
+    donation.set('receipt', current.receipt.toObject());
+    return donation;
+  }
+
+  const year = now.getUTCFullYear();
+  let number;
+  try {
+    const seq = await Counter.next(`receipt-${year}`);
+    number = `R-${year}-${String(seq).padStart(6, '0')}`;
+  } catch (error) {
+    await Donation.updateOne({ _id: donation._id }, { $unset: { 'receipt.issuedAt': 1 } });
+    throw error;
+  }
+
+  await Donation.updateOne({ _id: donation._id }, { $set: { 'receipt.number': number } });
+
+  donation.set('receipt.number', number);
+  donation.set('receipt.issuedAt', now);
+  return donation;
+};
+
+// Notify the donor that their receipt is ready and mark it delivered
+const sendReceipt = async (donation, now = new Date()) => {
+  await Notification.create({
+    recipient: donation.donor._id || donation.donor,
+    type: 'donation_receipt',
+    title: `Donation receipt ${donation.receipt.number}`,
+    message: `Your receipt for ${formatAmount(donation.amount, donation.currency)} is ready to download.`,
+    data: {
+      donation: donation._id,
+      initiative: donation.initiative._id || donation.initiative,
+      url: receiptUrl(donation)
+    }
+  });
+
+  await Donation.updateOne(
+    { _id: donation._id },
+    { $set: { 'receipt.sent': true, 'receipt.sentAt': now }, $inc: { 'receipt.sendCount': 1 } }
+  );
+
+  donation.set('receipt.sent', true);
+  donation.set('receipt.sentAt', now);
+  donation.set('receipt.sendCount', (donation.receipt.sendCount || 0) + 1);
+  return donation;
+};
+
+// Issue (if needed) and deliver a completed donation's receipt
+const deliverReceipt = async (donation) => {
+  await issueReceipt(donation);
+  return sendReceipt(donation);
+};
+
+// PDF receipt for one donation (donor, initiative and campaign populated)
+const donationReceiptPdf = (donation) => {
+  const lines = [
+    { text: 'Donation Receipt', size: 20, bold: true },
+    { text: `Receipt number: ${donation.receipt.number}`, gap: 8 },
+    { text: `Issued: ${formatDate(donation.receipt.issuedAt)}` },
+    ...organisationLines(),
+    { text: 'Donor', bold: true, gap: 12 },
+    { text: donation.donor.name },
+    donation.donor.email && { text: donation.donor.email },
+    { text: 'Donation', bold: true, gap: 12 },
+    { text: `Initiative: ${donation.initiative ? donation.initiative.title : 'Deleted initiative'}` },
+    donation.campaign && { text: `Campaign: ${donation.campaign.title}` },
+    { text: `Amount: ${formatAmount(donation.amount, donation.currency)}` },
+    donation.refundedAmount > 0 && { text: `Refunded: ${formatAmount(donation.refundedAmount, donation.currency)}` },
+    donation.baseCurrency && donation.baseCurrency !== donation.currency &&
+      { text: `Equivalent: ${formatAmount(donation.baseAmount, donation.baseCurrency)} (rate ${donation.exchangeRate})` },
+    { text: `Date: ${formatDate(donation.completedAt || donation.createdAt)}` },
+    { text: `Payment method: ${donation.paymentMethod.replace('_', ' ')}` },
+    { text: `Transaction ID: ${donation.transactionId || '-'}` },
+    { text: `Thank you for supporting ${getOrganisation().name}.`, gap: 20 }
+  ].filter(Boolean);
+
+  return renderPdf(lines, { title: `Donation receipt ${donation.receipt.number}` });
+};
+
+// Completed donations of a donor in a calendar year (UTC), oldest first
+const findYearDonations = (donorId, year) => {
+  const from = new Date(Date.UTC(year, 0, 1));
+  const to = new Date(Date.UTC(year + 1, 0, 1));
+  return Donation.find({
+    donor: donorId,
+    status: 'completed',
+    $or: [
+      { completedAt: { $gte: from, $lt: to } },
+      { completedAt: { $exists: false }, createdAt: { $gte: from, $lt: to } }
+    ]
+  })
+    .populate('initiative', 'title')
+    .sort({ createdAt: 1 });
+};
+
+// Annual summary PDF listing a donor's completed donations with net totals per currency
+const annualSummaryPdf = (donor, year, donations) => {
+  const totals = {};
+  donations.forEach(donation => {
+    totals[donation.currency] = (totals[donation.currency] || 0) + donation.getNetAmount();
+  });
+
+  const reference = `S-${year}-${donor._id.toString().slice(-6).toUpperCase()}`;
+
+  const lines = [
+    { text: `Annual Donation Summary ${year}`, size: 20, bold: true },
+    { text: `Reference: ${reference}`, gap: 8 },
+    { text: `Issued: ${formatDate(new Date())}` },
+    ...organisationLines(),
+    { text: 'Donor', bold: true, gap: 12 },
+    { text: donor.name },
+    donor.email && { text: donor.email },
+    { text: 'Donations', bold: true, gap: 12 },
+    ...(donations.length === 0 ? [{ text: `No completed donations in ${year}.` }] : []),
+    ...donations.map(donation => ({
+      text: [
+        formatDate(donation.completedAt || donation.createdAt),
+        donation.receipt && donation.receipt.number ? donation.receipt.number : '-',
+        donation.initiative ? donation.initiative.title : 'Deleted initiative',
+        formatAmount(donation.getNetAmount(), donation.currency),
+        donation.refundedAmount > 0 ? `(${formatAmount(donation.refundedAmount, donation.currency)} refunded)` : ''
+      ].join('   ').trim()
+    })),
+    { text: 'Total', bold: true, gap: 12 },
+    ...Object.entries(totals).map(([currency, amount]) => ({ text: formatAmount(amount, currency) })),
+    { text: `Thank you for supporting ${getOrganisation().name}.`, gap: 20 }
+  ].filter(Boolean);
+
+  return renderPdf(lines, { title: `Annual donation summary ${year}` });
+};
+
+module.exports = {
+  receiptUrl,
+  issueReceipt,
+  sendReceipt,
+  deliverReceipt,
+  donationReceiptPdf,
+  findYearDonations,
+  annualSummaryPdf
+};
@@ -0,0 +1,299 @@
+// Recurrence rule helpers for recurring event series.
+// Supports the RRULE subset used by the app: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY),
+// INTERVAL, COUNT, UNTIL, BYDAY and BYMONTHDAY. Dates are handled in UTC.
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hard cap on occurrences generated at once
+const MAX_OCCURRENCES = 100;
+
+// Stop when this many periods in a row have no matching date (e.g. BYMONTHDAY=31
+// with an interval that only hits shorter months)
+const MAX_EMPTY_PERIODS = 48;
+
+// Parse an RRULE UNTIL value (YYYYMMDD or YYYYMMDDTHHMMSSZ). Dates without a
+// time, including YYYY-MM-DD, include that whole day.
+const parseUntil = (value) => {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    const date = new Date(value);
+    if (isNaN(date)) throw new Error(`Invalid UNTIL value "${value}"`);
+    return date;
+  }
+  const [, y, m, d, hh = '23', mm = '59', ss = '59'] = match;
+  return new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss));
+};
+
+// Parse a BYDAY entry such as "MO", "1FR" or "-1SU"
+const parseByDay = (value) => {
+  const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(value.trim().toUpperCase());
+  if (!match) throw new Error(`Invalid BYDAY value "${value}"`);
+  return {
+    ordinal: match[1] ? parseInt(match[1], 10) : null,
+    weekday: WEEKDAYS.indexOf(match[2])
+  };
+};
+
+// Reject BYDAY and BYMONTHDAY where generation would ignore them
+const checkRule = (rule) => {
+  if (rule.byDay && !['WEEKLY', 'MONTHLY'].includes(rule.freq)) {
+    throw new Error('BYDAY is only supported for WEEKLY and MONTHLY rules');
+  }
+  if (rule.byDay && rule.freq === 'WEEKLY' && rule.byDay.some(day => day.ordinal !== null)) {
+    throw new Error('WEEKLY rules cannot use numbered BYDAY values');
+  }
+  if (rule.byMonthDay && rule.freq !== 'MONTHLY') {
+    throw new Error('BYMONTHDAY is only supported for MONTHLY rules');
+  }
+};
+
+// Parse an RRULE string into a rule object
+const parseRRule = (rrule) => {
+  const rule = { interval: 1 };
+  const parts = String(rrule).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  parts.forEach(part => {
+    const [key, value] = part.split('=');
+    if (!key || !value) throw new Error(`Invalid RRULE part "${part}"`);
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw new Error(`Unsupported FREQ "${value}"`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value, 10);
+        if (!(rule.interval > 0)) throw new Error('INTERVAL must be a positive number');
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value, 10);
+        if (!(rule.count > 0)) throw new Error('COUNT must be a positive number');
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(parseByDay);
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(day => {
+          const n = parseInt(day, 10);
+          if (!n || n < -31 || n > 31) throw new Error(`Invalid BYMONTHDAY value "${day}"`);
+          return n;
+        });
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part "${key}"`);
+    }
+  });
+
+  if (!rule.freq) throw new Error('RRULE must include FREQ');
+  checkRule(rule);
+  return rule;
+};
+
+// Serialize a rule object back to an RRULE string
+const toRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) {
+    parts.push(`UNTIL=${new Date(rule.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+  if (rule.byDay && rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map(d => `${d.ordinal || ''}${WEEKDAYS[d.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay && rule.byMonthDay.length) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  }
+  return parts.join(';');
+};
+
+// Build a rule from the API recurrence payload: { frequency, interval, count, until, rrule }
+const buildRule = (recurrence = {}) => {
+  const { frequency, interval, count, until, rrule } = recurrence;
+
+  if (frequency === 'custom') {
+    if (!rrule) throw new Error('Custom recurrence requires an rrule');
+    return parseRRule(rrule);
+  }
+
+  if (!['daily', 'weekly', 'monthly', 'yearly'].includes(frequency)) {
+    throw new Error('Frequency must be daily, weekly, monthly, yearly or custom');
+  }
+
+  const rule = { freq: frequency.toUpperCase(), interval: parseInt(interval, 10) || 1 };
+  if (count) rule.count = parseInt(count, 10);
+  if (until) rule.until = parseUntil(String(until));
+  if (rule.until && isNaN(rule.until)) throw new Error('Invalid until date');
+  return rule;
+};
+
+const withTimeOf = (day, source) => new Date(Date.UTC(
+  day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(),
+  source.getUTCHours(), source.getUTCMinutes(), source.getUTCSeconds()
+));
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Candidate dates within one month for MONTHLY rules
+const monthCandidates = (year, month, rule, start) => {
+  const total = daysInMonth(year, month);
+  const days = [];
+
+  if (rule.byMonthDay) {
+    rule.byMonthDay.forEach(n => days.push(n > 0 ? n : total + n + 1));
+  } else if (rule.byDay) {
+    rule.byDay.forEach(({ ordinal, weekday }) => {
+      const matches = [];
+      for (let d = 1; d <= total; d++) {
+        if (new Date(Date.UTC(year, month, d)).getUTCDay() === weekday) matches.push(d);
+      }
+      if (ordinal === null) {
+        days.push(...matches);
+      } else {
+        const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        if (day) days.push(day);
+      }
+    });
+  } else {
+    days.push(start.getUTCDate());
+  }
+
+  return days
+    .filter(d => d >= 1 && d <= total)
+    .map(d => withTimeOf(new Date(Date.UTC(year, month, d)), start));
+};
+
+// Candidate dates for the nth period of the rule
+const periodCandidates = (rule, start, n) => {
+  const step = n * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return [new Date(start.getTime() + step * DAY_MS)];
+    case 'WEEKLY': {
+      // Weeks start on Monday (RFC 5545 default WKST)
+      const offset = (start.getUTCDay() + 6) % 7;
+      const weekStart = new Date(start.getTime() - offset * DAY_MS + step * 7 * DAY_MS);
+      const weekdays = rule.byDay ? rule.byDay.map(d => d.weekday) : [start.getUTCDay()];
+      return weekdays.map(weekday =>
+        withTimeOf(new Date(weekStart.getTime() + ((weekday + 6) % 7) * DAY_MS), start)
+      );
+    }
+    case 'MONTHLY': {
+      const monthIndex = start.getUTCMonth() + step;
+      const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+      return monthCandidates(year, monthIndex % 12, rule, start);
+    }
+    case 'YEARLY': {
+      const year = start.getUTCFullYear() + step;
+      const month = start.getUTCMonth();
+      // Skip years where the date does not exist (e.g. Feb 29)
+      if (start.getUTCDate() > daysInMonth(year, month)) return [];
+      return [withTimeOf(new Date(Date.UTC(year, month, start.getUTCDate())), start)];
+    }
+    default:
+      return [];
+  }
+};
+
+// Every date of a rule beginning at `start`, in order, up to UNTIL and COUNT
+// (which also count dates that are later excluded)
+function* ruleDates(start, rule) {
+  const begin = new Date(start);
+  let counted = 0;
+  let empty = 0;
+
+  for (let n = 0; empty < MAX_EMPTY_PERIODS; n++) {
+    const candidates = periodCandidates(rule, begin, n)
+      .filter(date => date >= begin)
+      .sort((a, b) => a - b);
+    empty = candidates.length > 0 ? 0 : empty + 1;
+
+    for (const date of candidates) {
+      if (rule.until && date > new Date(rule.until)) return;
+      if (rule.count && counted >= rule.count) return;
+
+      counted++;
+      yield date;
+    }
+  }
+}
+
+// Generate occurrence start dates for a rule beginning at `start`, up to
+// `options.horizon`; `options.after` skips the dates that were already generated
+const generateOccurrences = (start, rule, options = {}) => {
+  const limit = Math.min(options.limit || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const { horizon } = options;
+  const after = options.after ? new Date(options.after) : null;
+  const excluded = new Set((options.excludeDates || []).map(d => new Date(d).getTime()));
+  const occurrences = [];
+
+  for (const date of ruleDates(start, rule)) {
+    if (horizon && date > horizon) break;
+    if (after && date <= after) continue;
+
+    if (!excluded.has(date.getTime())) occurrences.push(date);
+    if (occurrences.length >= limit) break;
+  }
+
+  return occurrences;
+};
+
+// Split a rule beginning at `start` at the occurrence `at`: `before` ends just
+// before it, `after` restarts at it with what is left of COUNT
+const splitRule = (start, rule, at) => {
+  const cut = new Date(at);
+  let earlier = 0;
+  for (const date of ruleDates(start, rule)) {
+    if (date >= cut) break;
+    earlier++;
+  }
+
+  const { count, ...before } = rule;
+  before.until = new Date(cut.getTime() - 1000);
+
+  const after = { ...rule };
+  if (count) after.count = count - earlier;
+
+  return { before, after };
+};
+
+// The rule for occurrences moved by `shift` milliseconds from `start`.
+// WEEKLY weekdays move along; other BYDAY and BYMONTHDAY rules can only move
+// within the same day.
+const shiftRule = (rule, start, shift) => {
+  const from = new Date(start);
+  const to = new Date(from.getTime() + shift);
+  const days = Math.round(
+    (Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate()) -
+      Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate())) / DAY_MS
+  );
+
+  const shifted = { ...rule };
+  if (rule.until) shifted.until = new Date(new Date(rule.until).getTime() + shift);
+
+  if (days === 0 || (!rule.byDay && !rule.byMonthDay)) return shifted;
+
+  if (rule.freq === 'WEEKLY') {
+    shifted.byDay = rule.byDay.map(day => ({ ...day, weekday: (((day.weekday + days) % 7) + 7) % 7 }));
+    return shifted;
+  }
+
+  throw new Error('Occurrences of this rule can only be moved within the same day');
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  parseRRule,
+  toRRule,
+  buildRule,
+  generateOccurrences,
+  splitRule,
+  shiftRule
+};
@@ -0,0 +1,130 @@
+const { parseRRule, buildRule, generateOccurrences, splitRule, shiftRule } = require('./recurrence');
+
+const dates = (...values) => values.map(value => new Date(value));
+
+describe('generateOccurrences', () => {
+  it('generates WEEKLY BYDAY dates in order from the start', () => {
+    // 2024-01-03 is a Wednesday
+    const rule = parseRRule('FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=5');
+    expect(generateOccurrences(new Date('2024-01-03T18:00:00Z'), rule)).toEqual(dates(
+      '2024-01-03T18:00:00Z',
+      '2024-01-05T18:00:00Z',
+      '2024-01-08T18:00:00Z',
+      '2024-01-10T18:00:00Z',
+      '2024-01-12T18:00:00Z'
+    ));
+  });
+
+  it('skips weeks by INTERVAL', () => {
+    const rule = parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU;COUNT=3');
+    expect(generateOccurrences(new Date('2024-01-02T09:00:00Z'), rule)).toEqual(dates(
+      '2024-01-02T09:00:00Z',
+      '2024-01-16T09:00:00Z',
+      '2024-01-30T09:00:00Z'
+    ));
+  });
+
+  it('generates the last Friday of each month for MONTHLY -1FR', () => {
+    const rule = parseRRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=4');
+    expect(generateOccurrences(new Date('2024-01-26T17:00:00Z'), rule)).toEqual(dates(
+      '2024-01-26T17:00:00Z',
+      '2024-02-23T17:00:00Z',
+      '2024-03-29T17:00:00Z',
+      '2024-04-26T17:00:00Z'
+    ));
+  });
+
+  it('counts excluded dates towards COUNT', () => {
+    const rule = buildRule({ frequency: 'daily', count: 3 });
+    const start = new Date('2024-01-01T10:00:00Z');
+    expect(generateOccurrences(start, rule, { excludeDates: ['2024-01-02T10:00:00Z'] }))
+      .toEqual(dates('2024-01-01T10:00:00Z', '2024-01-03T10:00:00Z'));
+  });
+
+  it('includes the whole UNTIL day when it has no time', () => {
+    const start = new Date('2024-01-01T18:00:00Z');
+    const expected = dates('2024-01-01T18:00:00Z', '2024-01-02T18:00:00Z', '2024-01-03T18:00:00Z');
+
+    expect(generateOccurrences(start, buildRule({ frequency: 'daily', until: '2024-01-03' })))
+      .toEqual(expected);
+    expect(generateOccurrences(start, parseRRule('FREQ=DAILY;UNTIL=20240103'))).toEqual(expected);
+    expect(generateOccurrences(start, parseRRule('FREQ=DAILY;UNTIL=20240103T120000Z')))
+      .toEqual(expected.slice(0, 2));
+  });
+
+  it('stops unbounded rules at the horizon and continues after generated dates', () => {
+    const rule = buildRule({ frequency: 'weekly' });
+    const start = new Date('2024-01-01T10:00:00Z');
+
+    expect(generateOccurrences(start, rule, { horizon: new Date('2024-01-20') }))
+      .toEqual(dates('2024-01-01T10:00:00Z', '2024-01-08T10:00:00Z', '2024-01-15T10:00:00Z'));
+    expect(generateOccurrences(start, rule, {
+      after: new Date('2024-01-15T10:00:00Z'),
+      horizon: new Date('2024-02-01')
+    })).toEqual(dates('2024-01-22T10:00:00Z', '2024-01-29T10:00:00Z'));
+  });
+
+  it('caps a single run at the occurrence limit', () => {
+    const rule = buildRule({ frequency: 'daily' });
+    expect(generateOccurrences(new Date('2024-01-01'), rule, { horizon: new Date('2026-01-01') }))
+      .toHaveLength(100);
+  });
+});
+
+describe('rule validation', () => {
+  it('rejects BYDAY where it would be ignored', () => {
+    expect(() => parseRRule('FREQ=YEARLY;BYDAY=MO')).toThrow('BYDAY is only supported');
+    expect(() => parseRRule('FREQ=DAILY;BYDAY=MO')).toThrow('BYDAY is only supported');
+    expect(() => parseRRule('FREQ=WEEKLY;BYDAY=1MO')).toThrow('numbered BYDAY');
+  });
+
+  it('rejects BYMONTHDAY outside MONTHLY rules', () => {
+    expect(() => parseRRule('FREQ=YEARLY;BYMONTHDAY=1')).toThrow('BYMONTHDAY is only supported');
+  });
+});
+
+describe('editing following occurrences', () => {
+  const start = new Date('2024-01-01T10:00:00Z');
+
+  it('leaves earlier occurrences on the original rule', () => {
+    const rule = parseRRule('FREQ=WEEKLY;BYDAY=MO;COUNT=6');
+    const at = new Date('2024-01-15T10:00:00Z');
+    const { before, after } = splitRule(start, rule, at);
+
+    expect(generateOccurrences(start, before))
+      .toEqual(dates('2024-01-01T10:00:00Z', '2024-01-08T10:00:00Z'));
+    expect(after.count).toBe(4);
+    expect(generateOccurrences(at, after)).toEqual(dates(
+      '2024-01-15T10:00:00Z',
+      '2024-01-22T10:00:00Z',
+      '2024-01-29T10:00:00Z',
+      '2024-02-05T10:00:00Z'
+    ));
+  });
+
+  it('moves WEEKLY weekdays with the occurrences', () => {
+    const rule = parseRRule('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4');
+    const day = 24 * 60 * 60 * 1000;
+    const moved = shiftRule(rule, start, day);
+
+    expect(generateOccurrences(new Date('2024-01-02T10:00:00Z'), moved)).toEqual(dates(
+      '2024-01-02T10:00:00Z',
+      '2024-01-04T10:00:00Z',
+      '2024-01-09T10:00:00Z',
+      '2024-01-11T10:00:00Z'
+    ));
+  });
+
+  it('moves UNTIL by the same offset', () => {
+    const rule = parseRRule('FREQ=DAILY;UNTIL=20240105T100000Z');
+    expect(shiftRule(rule, start, 60 * 60 * 1000).until).toEqual(new Date('2024-01-05T11:00:00Z'));
+  });
+
+  it('only moves MONTHLY BYDAY occurrences within the same day', () => {
+    const rule = parseRRule('FREQ=MONTHLY;BYDAY=-1FR');
+    const friday = new Date('2024-01-26T17:00:00Z');
+
+    expect(shiftRule(rule, friday, 60 * 60 * 1000)).toEqual(rule);
+    expect(() => shiftRule(rule, friday, 24 * 60 * 60 * 1000)).toThrow('within the same day');
+  });
+});
@@ -0,0 +1,81 @@
+const RecurringDonation = require('../models/RecurringDonation');
+const { nextDueDate, createInstallment, findDuePlans } = require('../utils/recurringDonations');
+const { startDonationPayment, settleDonation } = require('../utils/payments');
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+// Create and charge every installment (or retry) that is due
+const chargeDuePlans = async (now = new Date()) => {
+  const plans = await findDuePlans(now);
+
+  let charged = 0;
+
+  for (const plan of plans) {
+    const isRetry = Boolean(plan.retryAt);
+    const dueAt = isRetry ? plan.retryDueAt : plan.nextChargeAt;
+
+    // Claim the installment first so a restart or a second worker never charges it twice
+    const claim = await RecurringDonation.updateOne(
+      isRetry
+        ? { _id: plan._id, status: 'active', retryAt: plan.retryAt }
+        : { _id: plan._id, status: 'active', nextChargeAt: plan.nextChargeAt },
+      isRetry
+        ? { $unset: { retryAt: 1 } }
+        : { $set: { nextChargeAt: nextDueDate(plan, plan.nextChargeAt) } }
+    );
+
+    if (claim.modifiedCount !== 1) continue;
+
+    let donation = null;
+    try {
+      donation = await createInstallment(plan, dueAt, now);
+      await startDonationPayment(donation);
+      charged++;
+    } catch (error) {
+      console.error(`Recurring donations - Plan ${plan._id} failed:`, error.message);
+
+      if (!donation) {
+        // Nothing was created (e.g. no exchange rate yet): release the claim so
+        // the installment is picked up again on a later run
+        await RecurringDonation.updateOne(
+          { _id: plan._id },
+          isRetry ? { $set: { retryAt: plan.retryAt } } : { $set: { nextChargeAt: plan.nextChargeAt } }
+        );
+      } else if (donation.status === 'pending') {
+        // The payment could not be started: fail the installment so it is retried
+        await settleDonation(donation, 'failed', { reason: error.message })
+          .catch(settleError => console.error(`Recurring donations - Plan ${plan._id}:`, settleError.message));
+      }
+    }
+  }
+
+  return charged;
+};
+
+// Charge due recurring donations on an interval, returns a function that stops it
+const startRecurringDonationScheduler = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const charged = await chargeDuePlans();
+      if (charged > 0) {
+        console.log(`Recurring donations - Charged ${charged} installments`);
+      }
+    } catch (error) {
+      console.error('Recurring donations - Error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = { chargeDuePlans, startRecurringDonationScheduler };
@@ -0,0 +1,137 @@
+// Recurring donation schedules, installments and failed-installment retries.
+
+const RecurringDonation = require('../models/RecurringDonation');
+const Donation = require('../models/Donation');
+const Notification = require('../models/Notification');
+const { toBase } = require('./currency');
+
+const INTERVAL_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+};
+
+// Days to wait before each retry of a failed installment; the plan is paused
+// once they are used up
+const RETRY_DELAYS_DAYS = [1, 3, 7];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Due date one interval after `date`, keeping the plan's day of the month
+// (clamped to shorter months)
+const nextDueDate = (plan, date) => {
+  const next = new Date(date);
+  const day = plan.startDate.getUTCDate();
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + INTERVAL_MONTHS[plan.interval]);
+  const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(day, daysInMonth));
+  return next;
+};
+
+// Create the pending Donation for an installment (caller starts its payment),
+// converted to the base currency at the rate on the charge date
+const createInstallment = async (plan, dueAt, now = new Date()) => {
+  const conversion = await toBase(plan.amount, plan.currency, now);
+  if (!conversion) {
+    throw new Error(`No exchange rate for ${plan.currency}`);
+  }
+
+  return new Donation({
+    initiative: plan.initiative,
+    campaign: plan.campaign,
+    donor: plan.donor,
+    amount: plan.amount,
+    currency: plan.currency,
+    ...conversion,
+    paymentMethod: plan.paymentMethod,
+    message: plan.message,
+    isAnonymous: plan.isAnonymous,
+    recurringPlan: plan._id,
+    installmentDueAt: dueAt,
+    status: 'pending'
+  }).save();
+};
+
+// Plans with an installment or a retry due, oldest first
+const findDuePlans = (now = new Date(), limit = 100) => RecurringDonation.find({
+  status: 'active',
+  $or: [
+    { retryAt: { $lte: now } },
+    { retryAt: { $exists: false }, nextChargeAt: { $lte: now } }
+  ]
+})
+  .sort({ nextChargeAt: 1 })
+  .limit(limit);
+
+// Update a plan after one of its installments settled: reset retries on
+// success, schedule a retry on failure, pause when retries are exhausted
+const recordInstallmentResult = async (donation, now = new Date()) => {
+  const planId = donation.recurringPlan;
+
+  // Counters move with $inc so concurrent results are never lost
+  if (donation.status === 'completed') {
+    return RecurringDonation.findOneAndUpdate(
+      { _id: planId },
+      {
+        $inc: { installmentsPaid: 1 },
+        $set: { lastPaidAt: now, failedAttempts: 0 },
+        $unset: { retryAt: 1, retryDueAt: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  if (donation.status !== 'failed') return RecurringDonation.findById(planId);
+
+  const plan = await RecurringDonation.findOneAndUpdate(
+    { _id: planId },
+    { $inc: { failedAttempts: 1 } },
+    { new: true }
+  );
+  if (!plan) return null;
+
+  if (plan.failedAttempts <= RETRY_DELAYS_DAYS.length) {
+    return RecurringDonation.findOneAndUpdate(
+      { _id: planId },
+      {
+        $set: {
+          retryAt: new Date(now.getTime() + RETRY_DELAYS_DAYS[plan.failedAttempts - 1] * DAY_MS),
+          retryDueAt: donation.installmentDueAt
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Only the result that pauses an active plan notifies the donor
+  const paused = await RecurringDonation.findOneAndUpdate(
+    { _id: planId, status: 'active' },
+    {
+      $set: { status: 'paused', pauseReason: 'payment_failed', pausedAt: now },
+      $unset: { retryAt: 1, retryDueAt: 1 }
+    },
+    { new: true }
+  );
+  if (!paused) return plan;
+
+  await Notification.create({
+    recipient: paused.donor,
+    type: 'recurring_donation_failed',
+    title: 'Recurring donation paused',
+    message: `Your ${paused.interval} donation of ${paused.amount} ${paused.currency} was paused after ${paused.failedAttempts} failed payment attempts. Update your payment details and resume it to continue giving.`,
+    data: { initiative: paused.initiative, donation: donation._id },
+    priority: 'high'
+  });
+
+  return paused;
+};
+
+module.exports = {
+  INTERVAL_MONTHS,
+  RETRY_DELAYS_DAYS,
+  nextDueDate,
+  createInstallment,
+  findDuePlans,
+  recordInstallmentResult
+};
@@ -0,0 +1,111 @@
+jest.mock('../models/RecurringDonation', () => ({ findOneAndUpdate: jest.fn(), findById: jest.fn() }), { virtual: true });
+jest.mock('../models/Donation', () => ({}), { virtual: true });
+jest.mock('../models/Notification', () => ({ create: jest.fn() }), { virtual: true });
+jest.mock('./currency', () => ({ toBase: jest.fn() }));
+
+const RecurringDonation = require('../models/RecurringDonation');
+const Notification = require('../models/Notification');
+const { nextDueDate, recordInstallmentResult } = require('./recurringDonations');
+
+const plan = (interval, startDate) => ({ interval, startDate: new Date(startDate) });
+
+describe('nextDueDate', () => {
+  it('moves monthly, quarterly and yearly plans by their interval', () => {
+    expect(nextDueDate(plan('monthly', '2024-01-15'), new Date('2024-01-15')))
+      .toEqual(new Date('2024-02-15'));
+    expect(nextDueDate(plan('quarterly', '2024-01-15'), new Date('2024-01-15')))
+      .toEqual(new Date('2024-04-15'));
+    expect(nextDueDate(plan('yearly', '2024-01-15'), new Date('2024-01-15')))
+      .toEqual(new Date('2025-01-15'));
+  });
+
+  it('keeps the time of day', () => {
+    expect(nextDueDate(plan('monthly', '2024-01-15T09:30:00Z'), new Date('2024-01-15T09:30:00Z')))
+      .toEqual(new Date('2024-02-15T09:30:00Z'));
+  });
+
+  it('clamps to the last day of shorter months', () => {
+    const monthEnd = plan('monthly', '2024-01-31');
+    expect(nextDueDate(monthEnd, new Date('2024-01-31'))).toEqual(new Date('2024-02-29'));
+    expect(nextDueDate(monthEnd, new Date('2023-01-31'))).toEqual(new Date('2023-02-28'));
+    expect(nextDueDate(monthEnd, new Date('2024-03-31'))).toEqual(new Date('2024-04-30'));
+  });
+
+  it('returns to the plan day after a clamped month', () => {
+    const monthEnd = plan('monthly', '2024-01-31');
+    expect(nextDueDate(monthEnd, new Date('2024-02-29'))).toEqual(new Date('2024-03-31'));
+  });
+
+  it('rolls over the year end', () => {
+    expect(nextDueDate(plan('monthly', '2024-12-31'), new Date('2024-12-31')))
+      .toEqual(new Date('2025-01-31'));
+    expect(nextDueDate(plan('quarterly', '2024-11-30'), new Date('2024-11-30')))
+      .toEqual(new Date('2025-02-28'));
+  });
+
+  it('clamps yearly plans started on a leap day', () => {
+    expect(nextDueDate(plan('yearly', '2024-02-29'), new Date('2024-02-29')))
+      .toEqual(new Date('2025-02-28'));
+  });
+});
+
+describe('recordInstallmentResult', () => {
+  const NOW = new Date('2024-03-01T12:00:00Z');
+  const DUE = new Date('2024-03-01T00:00:00Z');
+  const installment = status => ({ _id: 'donation1', recurringPlan: 'plan1', status, installmentDueAt: DUE });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('counts a paid installment with $inc and clears retries', async () => {
+    await recordInstallmentResult(installment('completed'), NOW);
+
+    expect(RecurringDonation.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'plan1' },
+      {
+        $inc: { installmentsPaid: 1 },
+        $set: { lastPaidAt: NOW, failedAttempts: 0 },
+        $unset: { retryAt: 1, retryDueAt: 1 }
+      },
+      { new: true }
+    );
+  });
+
+  it('counts a failure with $inc and schedules the retry for that attempt', async () => {
+    RecurringDonation.findOneAndUpdate.mockResolvedValueOnce({ _id: 'plan1', failedAttempts: 2 });
+
+    await recordInstallmentResult(installment('failed'), NOW);
+
+    expect(RecurringDonation.findOneAndUpdate).toHaveBeenNthCalledWith(
+      1, { _id: 'plan1' }, { $inc: { failedAttempts: 1 } }, { new: true }
+    );
+    expect(RecurringDonation.findOneAndUpdate).toHaveBeenNthCalledWith(
+      2,
+      { _id: 'plan1' },
+      { $set: { retryAt: new Date('2024-03-04T12:00:00Z'), retryDueAt: DUE } },
+      { new: true }
+    );
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+
+  it('pauses the plan once retries are exhausted and notifies the donor once', async () => {
+    const plan = { _id: 'plan1', failedAttempts: 4, donor: 'donor1', interval: 'monthly', amount: 10, currency: 'EUR' };
+    RecurringDonation.findOneAndUpdate
+      .mockResolvedValueOnce(plan)
+      .mockResolvedValueOnce({ ...plan, status: 'paused' });
+
+    await expect(recordInstallmentResult(installment('failed'), NOW)).resolves.toMatchObject({ status: 'paused' });
+
+    expect(RecurringDonation.findOneAndUpdate.mock.calls[1][0]).toEqual({ _id: 'plan1', status: 'active' });
+    expect(Notification.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not notify again when the plan was already paused', async () => {
+    const plan = { _id: 'plan1', failedAttempts: 5, status: 'paused' };
+    RecurringDonation.findOneAndUpdate.mockResolvedValueOnce(plan).mockResolvedValueOnce(null);
+
+    await expect(recordInstallmentResult(installment('failed'), NOW)).resolves.toBe(plan);
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,74 @@
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Send every reminder that is due and not yet sent
+const dispatchDueReminders = async (now = new Date()) => {
+  const events = await Event.find({
+    status: { $ne: 'cancelled' },
+    reminders: { $elemMatch: { sent: false, reminderTime: { $lte: now } } }
+  })
+  .select('title date location reminders')
+  .limit(BATCH_SIZE);
+
+  let sent = 0;
+
+  for (const event of events) {
+    const due = event.reminders.filter(reminder => !reminder.sent && reminder.reminderTime <= now);
+
+    for (const reminder of due) {
+      // Claim the reminder first so a restart or a second worker never sends it twice
+      const claim = await Event.updateOne(
+        { _id: event._id, reminders: { $elemMatch: { _id: reminder._id, sent: false } } },
+        { $set: { 'reminders.$.sent': true, 'reminders.$.sentAt': now } }
+      );
+
+      // Reminders that are claimed elsewhere, or overdue past the event start, are not delivered
+      if (claim.modifiedCount !== 1 || event.date <= now) continue;
+
+      await Notification.create({
+        recipient: reminder.user,
+        type: 'event_reminder',
+        title: `Reminder: ${event.title}`,
+        message: `"${event.title}" starts ${event.date.toUTCString()} at ${event.location}.`,
+        data: { event: event._id },
+        priority: 'high',
+        expiresAt: event.date
+      });
+
+      sent++;
+    }
+  }
+
+  return sent;
+};
+
+// Run the dispatcher on an interval, returns a function that stops it
+const startReminderDispatcher = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const sent = await dispatchDueReminders();
+      if (sent > 0) {
+        console.log(`Reminder dispatcher - Sent ${sent} reminders`);
+      }
+    } catch (error) {
+      console.error('Reminder dispatcher - Error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = { dispatchDueReminders, startReminderDispatcher };
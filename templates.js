@@ -0,0 +1,267 @@
+const express = require('express');
+const router = express.Router();
+const { auth, optionalAuth } = require('../middleware/auth');
+const InitiativeTemplate = require('../models/InitiativeTemplate');
+const Initiative = require('../models/Initiative');
+const { planFromInitiative, createFromPlan } = require('../utils/initiativeTemplates');
+const { validateCoordinates } = require('../utils/geo');
+const { body, validationResult } = require('express-validator');
+
+const PLAN_FIELDS = ['category', 'description', 'tags', 'durationDays', 'milestones', 'events'];
+
+const planValidators = [
+  body('category').optional().isIn(InitiativeTemplate.schema.path('category').enumValues)
+    .withMessage('Invalid category'),
+  body('description').optional().isLength({ min: 1, max: 2000 })
+    .withMessage('Description is required (max 2000 characters)'),
+  body('tags').optional().isArray().withMessage('Tags must be a list'),
+  body('durationDays').optional({ nullable: true }).isInt({ min: 0 })
+    .withMessage('Duration must be a whole number of days'),
+  body('milestones').optional().isArray().withMessage('Milestones must be a list'),
+  body('milestones.*.title').trim().notEmpty().withMessage('Milestone title is required'),
+  body('milestones.*.offsetDays').optional({ nullable: true }).isInt({ min: 0 })
+    .withMessage('Milestone offset must be a whole number of days'),
+  body('milestones.*.weight').optional().isFloat({ min: 0 }).withMessage('Weight cannot be negative'),
+  body('events').optional().isArray().withMessage('Events must be a list'),
+  body('events.*.title').trim().notEmpty().withMessage('Event title is required'),
+  body('events.*.description').notEmpty().withMessage('Event description is required'),
+  body('events.*.category').isIn(InitiativeTemplate.schema.path('events').schema.path('category').enumValues)
+    .withMessage('Invalid event category'),
+  body('events.*.offsetHours').optional().isFloat({ min: 0 })
+    .withMessage('Event offset cannot be negative'),
+  body('events.*.durationHours').optional({ nullable: true }).isFloat({ min: 0 })
+    .withMessage('Event duration cannot be negative')
+];
+
+const canEdit = (template, user) =>
+  template.createdBy.toString() === user.id || user.role === 'admin';
+
+const canUse = (template, user) =>
+  template.isPublic || (user && canEdit(template, user));
+
+// @route   GET /api/templates
+// @desc    List public templates and your own (?category=&mine=true)
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { category, mine, page = 1, limit = 20 } = req.query;
+
+    const query = req.user
+      ? (mine === 'true' ? { createdBy: req.user.id } : { $or: [{ isPublic: true }, { createdBy: req.user.id }] })
+      : { isPublic: true };
+    if (category) query.category = category;
+
+    const templates = await InitiativeTemplate.find(query)
+      .populate('createdBy', 'name avatar')
+      .sort({ usageCount: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await InitiativeTemplate.countDocuments(query);
+
+    res.json({
+      templates,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/templates/:id
+// @desc    Get a template
+// @access  Public (private templates: creator or admin)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const template = await InitiativeTemplate.findById(req.params.id)
+      .populate('createdBy', 'name avatar');
+
+    if (!template || !canUse(template, req.user)) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.json(template);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/templates
+// @desc    Save a template, either from an existing initiative (`initiative`)
+//          or from an explicit plan (category, description, milestones, events...)
+// @access  Private (initiative templates: owner, coordinator or admin)
+router.post('/', [
+  auth,
+  [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)'),
+    body('initiative').optional().isMongoId().withMessage('Valid initiative ID is required'),
+    body('isPublic').optional().isBoolean().withMessage('isPublic must be true or false'),
+    ...planValidators
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    let plan = {};
+
+    if (req.body.initiative) {
+      const initiative = await Initiative.findById(req.body.initiative);
+      if (!initiative) {
+        return res.status(404).json({ message: 'Initiative not found' });
+      }
+
+      if (!initiative.canManage(req.user)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      plan = await planFromInitiative(initiative);
+    }
+
+    // Explicit fields override the captured plan
+    PLAN_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) plan[field] = req.body[field];
+    });
+
+    if (!plan.category || !plan.description) {
+      return res.status(400).json({ message: 'Category and description are required' });
+    }
+
+    const template = new InitiativeTemplate({
+      ...plan,
+      name: req.body.name,
+      isPublic: req.body.isPublic,
+      createdBy: req.user.id,
+      sourceInitiative: req.body.initiative
+    });
+
+    await template.save();
+
+    res.json(template);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/templates/:id
+// @desc    Update a template
+// @access  Private (creator or admin)
+router.put('/:id', [
+  auth,
+  [
+    body('name').optional().trim().isLength({ min: 1, max: 100 })
+      .withMessage('Name is required (max 100 characters)'),
+    body('isPublic').optional().isBoolean().withMessage('isPublic must be true or false'),
+    ...planValidators
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const template = await InitiativeTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (!canEdit(template, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    ['name', 'isPublic', ...PLAN_FIELDS].forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+
+    await template.save();
+
+    res.json(template);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/templates/:id
+// @desc    Delete a template (initiatives created from it are unaffected)
+// @access  Private (creator or admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const template = await InitiativeTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (!canEdit(template, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await template.remove();
+
+    res.json({ message: 'Template removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/templates/:id/use
+// @desc    Create an initiative (and its default events) from a template,
+//          with milestone and event dates placed relative to `startDate`
+// @access  Private
+router.post('/:id/use', [
+  auth,
+  [
+    body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title is required (max 100 characters)'),
+    body('startDate').isISO8601().withMessage('Valid start date is required'),
+    body('location').trim().notEmpty().withMessage('Location is required'),
+    body('description').optional().isLength({ min: 1, max: 2000 })
+      .withMessage('Description is required (max 2000 characters)'),
+    body('joinPolicy').optional().isIn(Initiative.JOIN_POLICIES)
+      .withMessage('Join policy must be open, request or invite')
+  ],
+  validateCoordinates
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const template = await InitiativeTemplate.findById(req.params.id);
+
+    if (!template || !canUse(template, req.user)) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    const { title, startDate, location, coordinates, description, isPublic, joinPolicy } = req.body;
+
+    const { initiative, events } = await createFromPlan(
+      template.toObject(),
+      { title, startDate, location, coordinates, description, isPublic, joinPolicy },
+      req.user.id,
+      `Created "${title}" from template "${template.name}"`
+    );
+
+    await InitiativeTemplate.updateOne({ _id: template._id }, { $inc: { usageCount: 1 } });
+
+    await initiative.populate('creator', 'name avatar');
+
+    res.json({ initiative, events });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,360 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const Event = require('../models/Event');
+const TicketOrder = require('../models/TicketOrder');
+const Payment = require('../models/Payment');
+const {
+  HOLD_MINUTES,
+  holdSeats,
+  releaseSeats,
+  releaseExpiredHolds,
+  confirmOrder,
+  closeOrder
+} = require('../utils/ticketing');
+const { body, validationResult } = require('express-validator');
+
+// Check if user is the event organizer or an admin
+const canManageEvent = (event, user) =>
+  event.organizer.toString() === user.id || user.role === 'admin';
+
+// @route   GET /api/ticket-orders/my-orders
+// @desc    Get current user's ticket orders
+// @access  Private
+router.get('/my-orders', auth, async (req, res) => {
+  try {
+    const orders = await TicketOrder.find({ buyer: req.user.id })
+      .populate('event', 'title date location status')
+      .populate('payment', 'status amount currency transactionId')
+      .sort({ createdAt: -1 });
+
+    res.json(orders);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/ticket-orders/event/:id
+// @desc    Get ticket orders for an event
+// @access  Private (organizer or admin)
+router.get('/event/:id', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!canManageEvent(event, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const query = { event: event._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const orders = await TicketOrder.find(query)
+      .populate('buyer', 'name email')
+      .populate('payment', 'status amount currency transactionId')
+      .sort({ createdAt: -1 });
+
+    const confirmed = orders.filter(order => order.status === 'confirmed');
+
+    res.json({
+      orders,
+      ticketsSold: confirmed.reduce((sum, order) => sum + order.getTicketCount(), 0),
+      revenue: confirmed.reduce((sum, order) => sum + order.totalAmount, 0),
+      currency: event.ticketCurrency
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/ticket-orders/:id
+// @desc    Get a ticket order
+// @access  Private (buyer, organizer or admin)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const order = await TicketOrder.findById(req.params.id)
+      .populate('event', 'title date location organizer')
+      .populate('buyer', 'name email')
+      .populate('payment');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.buyer._id.toString() !== req.user.id && !canManageEvent(order.event, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/ticket-orders
+// @desc    Order tickets for a paid event (pending until payment completes)
+// @access  Private
+router.post('/', [
+  auth,
+  [
+    body('event').isMongoId().withMessage('Valid event ID is required'),
+    body('items').isArray({ min: 1 }).withMessage('At least one ticket item is required'),
+    body('items.*.ticketType').isMongoId().withMessage('Valid ticket type is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('paymentMethod').optional().isIn(['credit_card', 'paypal', 'bank_transfer', 'cash', 'other'])
+      .withMessage('Valid payment method is required')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { items, paymentMethod } = req.body;
+
+    await releaseExpiredHolds(req.body.event);
+
+    const event = await Event.findById(req.body.event);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.isFree) {
+      return res.status(400).json({ message: 'Free events do not need tickets, attend instead' });
+    }
+
+    if (event.status === 'cancelled' || event.status === 'completed') {
+      return res.status(400).json({ message: `Event is ${event.status}` });
+    }
+
+    // Merge repeated ticket types and check availability
+    const quantities = {};
+    items.forEach(item => {
+      quantities[item.ticketType] = (quantities[item.ticketType] || 0) + parseInt(item.quantity, 10);
+    });
+
+    const orderItems = [];
+    for (const [typeId, quantity] of Object.entries(quantities)) {
+      const type = event.ticketTypes.id(typeId);
+      if (!type) {
+        return res.status(404).json({ message: 'Ticket type not found' });
+      }
+
+      if (type.kind === 'volunteer' && quantity > 1) {
+        return res.status(400).json({ message: 'Only one volunteer ticket per order' });
+      }
+
+      if (event.getTicketsAvailable(type) < quantity) {
+        return res.status(400).json({ message: `Not enough "${type.name}" tickets available` });
+      }
+
+      orderItems.push({
+        ticketType: type._id,
+        name: type.name,
+        kind: type.kind,
+        unitPrice: type.price,
+        quantity
+      });
+    }
+
+    const totalAmount = orderItems.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+
+    if (totalAmount > 0 && !paymentMethod) {
+      return res.status(400).json({ message: 'Payment method is required' });
+    }
+
+    // Attendees without a ticket order (RSVPs from before the event was
+    // ticketed) take up capacity too
+    const buyers = await TicketOrder.distinct('buyer', {
+      event: event._id,
+      status: { $in: ['pending', 'confirmed'] }
+    });
+    const rsvps = event.attendees
+      .filter(userId => !buyers.some(buyer => buyer.toString() === userId.toString()))
+      .length;
+
+    // Hold the seats atomically so concurrent orders cannot oversell
+    if (!(await holdSeats(event._id, orderItems, rsvps))) {
+      return res.status(400).json({ message: 'Not enough tickets available' });
+    }
+
+    const order = new TicketOrder({
+      event: event._id,
+      buyer: req.user.id,
+      items: orderItems,
+      totalAmount,
+      currency: event.ticketCurrency,
+      holdExpiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+    });
+
+    try {
+      if (totalAmount === 0) {
+        // Free tickets (e.g. volunteers) are confirmed without payment
+        await confirmOrder(order);
+      } else {
+        const payment = await new Payment({
+          payer: req.user.id,
+          ticketOrder: order._id,
+          amount: totalAmount,
+          currency: event.ticketCurrency,
+          paymentMethod
+        }).save();
+
+        order.payment = payment._id;
+        await order.save();
+      }
+    } catch (error) {
+      // The order was never saved, give its seats back
+      if (order.isNew) await releaseSeats(event._id, order);
+      throw error;
+    }
+
+    await order.populate('event', 'title date location');
+    await order.populate('payment', 'status amount currency');
+
+    res.json(order);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/ticket-orders/:id/payment
+// @desc    Record payment result; only a completed payment confirms attendance
+// @access  Private (admin only)
+router.put('/:id/payment', [
+  auth,
+  [
+    body('status').isIn(['completed', 'failed']).withMessage('Status must be completed or failed'),
+    body('transactionId').optional().isString().withMessage('Transaction ID must be string')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const order = await TicketOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.status !== 'pending' || !order.payment) {
+      return res.status(400).json({ message: 'Order is not awaiting payment' });
+    }
+
+    const { status, transactionId } = req.body;
+
+    // The hold may expire or the buyer cancel meanwhile; only the request
+    // that moves the order on records the payment result
+    const changed = status === 'completed'
+      ? await confirmOrder(order)
+      : await closeOrder(order, 'cancelled');
+    if (!changed) {
+      return res.status(409).json({ message: 'Order is no longer awaiting payment' });
+    }
+
+    const payment = await Payment.findById(order.payment);
+    payment.status = status;
+    if (transactionId) payment.transactionId = transactionId;
+    if (status === 'completed') payment.completedAt = new Date();
+    await payment.save();
+
+    await order.populate('payment');
+    res.json(order);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/ticket-orders/:id/cancel
+// @desc    Cancel a pending order and release its seats
+// @access  Private (buyer)
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const order = await TicketOrder.findById(req.params.id);
+    if (!order || order.buyer.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending orders can be cancelled' });
+    }
+
+    if (!(await closeOrder(order, 'cancelled'))) {
+      return res.status(409).json({ message: 'Order is no longer pending' });
+    }
+
+    if (order.payment) {
+      await Payment.findByIdAndUpdate(order.payment, { $set: { status: 'failed' } });
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/ticket-orders/:id/refund
+// @desc    Refund a confirmed order, freeing its seats
+// @access  Private (organizer or admin)
+router.post('/:id/refund', [
+  auth,
+  [body('reason').optional().isLength({ max: 500 }).withMessage('Reason too long')]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const order = await TicketOrder.findById(req.params.id).populate('event', 'organizer');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!canManageEvent(order.event, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (order.status !== 'confirmed') {
+      return res.status(400).json({ message: 'Only confirmed orders can be refunded' });
+    }
+
+    order.depopulate('event');
+    const refunded = await closeOrder(order, 'refunded', {
+      reason: req.body.reason,
+      refundedBy: req.user.id
+    });
+    if (!refunded) {
+      return res.status(409).json({ message: 'Order was already refunded' });
+    }
+
+    if (order.payment) {
+      await Payment.findByIdAndUpdate(order.payment, {
+        $set: { status: 'refunded', refundedAt: new Date() }
+      });
+    }
+
+    await order.populate('payment');
+    res.json(order);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
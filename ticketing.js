@@ -0,0 +1,173 @@
+// Seat holds and order state changes shared by the ticket order routes.
+
+const Event = require('../models/Event');
+const TicketOrder = require('../models/TicketOrder');
+const Payment = require('../models/Payment');
+
+// Minutes a pending order holds its seats while awaiting payment
+const HOLD_MINUTES = 30;
+
+// `$inc` of each item's ticket type `sold` counter (by `sign`) with its array filters
+const soldUpdate = (items, sign) => {
+  const inc = {};
+  const arrayFilters = [];
+  items.forEach((item, index) => {
+    inc[`ticketTypes.$[t${index}].sold`] = sign * item.quantity;
+    arrayFilters.push({ [`t${index}._id`]: item.ticketType });
+  });
+  return { inc, arrayFilters };
+};
+
+// Atomically hold seats for order items. The `sold` counters only move when
+// every ticket type and the event capacity still have room; `reserved` is the
+// capacity taken outside ticket sales (free RSVPs). Returns whether the seats
+// were held.
+const holdSeats = async (eventId, items, reserved = 0) => {
+  const { inc, arrayFilters } = soldUpdate(items, 1);
+  const total = items.reduce((sum, item) => sum + item.quantity, 0);
+
+  const conditions = items.map(item => ({
+    $let: {
+      vars: {
+        type: {
+          $arrayElemAt: [{
+            $filter: { input: '$ticketTypes', as: 'type', cond: { $eq: ['$$type._id', item.ticketType] } }
+          }, 0]
+        }
+      },
+      in: {
+        $or: [
+          { $lte: ['$$type.quantity', 0] },
+          { $lte: [{ $add: ['$$type.sold', item.quantity] }, '$$type.quantity'] }
+        ]
+      }
+    }
+  }));
+
+  conditions.push({
+    $or: [
+      { $lte: ['$capacity', 0] },
+      { $lte: [{ $add: [{ $sum: '$ticketTypes.sold' }, reserved, total] }, '$capacity'] }
+    ]
+  });
+
+  const result = await Event.updateOne(
+    { _id: eventId, $expr: { $and: conditions } },
+    { $inc: inc },
+    { arrayFilters }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give an order's seats back to the event's ticket types
+const releaseSeats = (eventId, order) => {
+  const { inc, arrayFilters } = soldUpdate(order.items, -1);
+  return Event.updateOne({ _id: eventId }, { $inc: inc }, { arrayFilters });
+};
+
+// Cancel pending orders for an event whose seat hold has expired
+const releaseExpiredHolds = async (eventId, now = new Date()) => {
+  const expired = await TicketOrder.find({
+    event: eventId,
+    status: 'pending',
+    holdExpiresAt: { $lte: now }
+  });
+
+  let released = 0;
+
+  for (const order of expired) {
+    // Every new order runs this, so claim the order before freeing its seats
+    const claim = await TicketOrder.updateOne(
+      { _id: order._id, status: 'pending' },
+      { $set: { status: 'cancelled', cancelledAt: now }, $unset: { holdExpiresAt: 1 } }
+    );
+    if (claim.modifiedCount !== 1) continue;
+
+    await releaseSeats(eventId, order);
+    released++;
+
+    if (order.payment) {
+      await Payment.findByIdAndUpdate(order.payment, { $set: { status: 'failed' } });
+    }
+  }
+
+  return released;
+};
+
+// Move a saved order to a new status, but only while it still has the status
+// it was loaded with, so a hold that expired or another request that closed
+// the order first wins. Returns whether this call made the change.
+const claimOrder = async (order, changes) => {
+  const claim = await TicketOrder.updateOne(
+    { _id: order._id, status: order.status },
+    { $set: changes, $unset: { holdExpiresAt: 1 } }
+  );
+  if (claim.modifiedCount !== 1) return false;
+
+  order.set(changes);
+  order.holdExpiresAt = undefined;
+  return true;
+};
+
+// Confirm a paid order and add the buyer to the attendees. Returns null when
+// the order was no longer pending.
+const confirmOrder = async (order) => {
+  const changes = { status: 'confirmed', confirmedAt: new Date() };
+
+  if (order.isNew) {
+    order.set(changes);
+    order.holdExpiresAt = undefined;
+    await order.save();
+  } else if (order.status !== 'pending' || !(await claimOrder(order, changes))) {
+    return null;
+  }
+
+  const event = await Event.findById(order.event);
+  if (event) {
+    event.admitAttendee(order.buyer);
+    await event.save();
+  }
+
+  return order;
+};
+
+// Cancel or refund an order and free its seats; the buyer stops attending
+// once they have no other confirmed order for the event. Returns null when
+// another request changed the order first.
+const closeOrder = async (order, status, details = {}) => {
+  const wasConfirmed = order.status === 'confirmed';
+  const now = new Date();
+
+  const changes = status === 'refunded'
+    ? { status, refund: { ...details, refundedAt: now } }
+    : { status, cancelledAt: now };
+  if (!(await claimOrder(order, changes))) return null;
+
+  await releaseSeats(order.event, order);
+
+  const event = await Event.findById(order.event);
+  if (!event) return order;
+
+  if (wasConfirmed && event.organizer.toString() !== order.buyer.toString()) {
+    const remaining = await TicketOrder.countDocuments({
+      event: order.event,
+      buyer: order.buyer,
+      status: 'confirmed'
+    });
+    if (remaining === 0) {
+      event.releaseAttendee(order.buyer);
+    }
+  }
+
+  await event.save();
+  return order;
+};
+
+module.exports = {
+  HOLD_MINUTES,
+  holdSeats,
+  releaseSeats,
+  releaseExpiredHolds,
+  confirmOrder,
+  closeOrder
+};
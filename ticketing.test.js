@@ -0,0 +1,170 @@
+jest.mock('../models/Event', () => ({ updateOne: jest.fn(), findById: jest.fn() }), { virtual: true });
+jest.mock('../models/TicketOrder', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn(),
+  countDocuments: jest.fn()
+}), { virtual: true });
+jest.mock('../models/Payment', () => ({ findByIdAndUpdate: jest.fn() }), { virtual: true });
+
+const Event = require('../models/Event');
+const TicketOrder = require('../models/TicketOrder');
+const Payment = require('../models/Payment');
+const { holdSeats, releaseExpiredHolds, confirmOrder, closeOrder } = require('./ticketing');
+
+const NOW = new Date('2024-05-01T12:00:00Z');
+
+// A saved order document with the fields the helpers use
+const order = (fields) => ({
+  _id: 'order1',
+  event: 'event1',
+  buyer: 'buyer1',
+  status: 'pending',
+  isNew: false,
+  items: [{ ticketType: 'type1', quantity: 2 }],
+  set(changes) {
+    Object.assign(this, changes);
+  },
+  ...fields
+});
+
+const eventDoc = () => ({
+  organizer: 'organizer1',
+  admitAttendee: jest.fn(),
+  releaseAttendee: jest.fn(),
+  save: jest.fn()
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('holdSeats', () => {
+  it('increments the sold counters of every item', async () => {
+    Event.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const items = [{ ticketType: 'type1', quantity: 2 }, { ticketType: 'type2', quantity: 1 }];
+    await expect(holdSeats('event1', items, 3)).resolves.toBe(true);
+
+    const [filter, update, options] = Event.updateOne.mock.calls[0];
+    expect(filter._id).toBe('event1');
+    expect(update).toEqual({ $inc: { 'ticketTypes.$[t0].sold': 2, 'ticketTypes.$[t1].sold': 1 } });
+    expect(options.arrayFilters).toEqual([{ 't0._id': 'type1' }, { 't1._id': 'type2' }]);
+  });
+
+  it('counts reserved seats against the event capacity', async () => {
+    Event.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    await holdSeats('event1', [{ ticketType: 'type1', quantity: 2 }], 3);
+
+    const capacity = Event.updateOne.mock.calls[0][0].$expr.$and.slice(-1)[0];
+    expect(capacity.$or[1]).toEqual({
+      $lte: [{ $add: [{ $sum: '$ticketTypes.sold' }, 3, 2] }, '$capacity']
+    });
+  });
+
+  it('reports when there was no room left', async () => {
+    Event.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(holdSeats('event1', [{ ticketType: 'type1', quantity: 1 }])).resolves.toBe(false);
+  });
+});
+
+describe('releaseExpiredHolds', () => {
+  it('cancels expired pending orders and gives their seats back', async () => {
+    TicketOrder.find.mockResolvedValue([order({ payment: 'payment1' })]);
+    TicketOrder.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(releaseExpiredHolds('event1', NOW)).resolves.toBe(1);
+
+    expect(TicketOrder.find).toHaveBeenCalledWith({
+      event: 'event1',
+      status: 'pending',
+      holdExpiresAt: { $lte: NOW }
+    });
+    expect(TicketOrder.updateOne).toHaveBeenCalledWith(
+      { _id: 'order1', status: 'pending' },
+      { $set: { status: 'cancelled', cancelledAt: NOW }, $unset: { holdExpiresAt: 1 } }
+    );
+    expect(Event.updateOne).toHaveBeenCalledWith(
+      { _id: 'event1' },
+      { $inc: { 'ticketTypes.$[t0].sold': -2 } },
+      { arrayFilters: [{ 't0._id': 'type1' }] }
+    );
+    expect(Payment.findByIdAndUpdate).toHaveBeenCalledWith('payment1', { $set: { status: 'failed' } });
+  });
+
+  it('leaves orders another request claimed first', async () => {
+    TicketOrder.find.mockResolvedValue([order({ payment: 'payment1' })]);
+    TicketOrder.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(releaseExpiredHolds('event1', NOW)).resolves.toBe(0);
+
+    expect(Event.updateOne).not.toHaveBeenCalled();
+    expect(Payment.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('confirmOrder', () => {
+  it('confirms a pending order and admits the buyer', async () => {
+    const event = eventDoc();
+    Event.findById.mockResolvedValue(event);
+    TicketOrder.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const pending = order({ holdExpiresAt: NOW });
+    await expect(confirmOrder(pending)).resolves.toBe(pending);
+
+    const [filter, update] = TicketOrder.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: 'order1', status: 'pending' });
+    expect(update.$set.status).toBe('confirmed');
+    expect(update.$unset).toEqual({ holdExpiresAt: 1 });
+    expect(pending.status).toBe('confirmed');
+    expect(pending.holdExpiresAt).toBeUndefined();
+    expect(event.admitAttendee).toHaveBeenCalledWith('buyer1');
+  });
+
+  it('does not confirm an order whose hold expired meanwhile', async () => {
+    TicketOrder.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(confirmOrder(order())).resolves.toBeNull();
+    expect(Event.findById).not.toHaveBeenCalled();
+  });
+
+  it('does not confirm an order that is no longer pending', async () => {
+    await expect(confirmOrder(order({ status: 'cancelled' }))).resolves.toBeNull();
+    expect(TicketOrder.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('closeOrder', () => {
+  it('releases the seats of a claimed order once', async () => {
+    Event.findById.mockResolvedValue(eventDoc());
+    TicketOrder.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const pending = order();
+    await expect(closeOrder(pending, 'cancelled')).resolves.toBe(pending);
+
+    expect(TicketOrder.updateOne.mock.calls[0][0]).toEqual({ _id: 'order1', status: 'pending' });
+    expect(Event.updateOne).toHaveBeenCalledTimes(1);
+    expect(pending.status).toBe('cancelled');
+  });
+
+  it('does not release seats twice when the order was already closed', async () => {
+    TicketOrder.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(closeOrder(order({ status: 'confirmed' }), 'refunded')).resolves.toBeNull();
+    expect(Event.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('stops the buyer attending after their last confirmed order is refunded', async () => {
+    const event = eventDoc();
+    Event.findById.mockResolvedValue(event);
+    TicketOrder.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    TicketOrder.countDocuments.mockResolvedValue(0);
+
+    const confirmed = order({ status: 'confirmed' });
+    await closeOrder(confirmed, 'refunded', { reason: 'Sick' });
+
+    expect(confirmed.refund.reason).toBe('Sick');
+    expect(event.releaseAttendee).toHaveBeenCalledWith('buyer1');
+  });
+});
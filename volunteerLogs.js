@@ -0,0 +1,447 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const VolunteerLog = require('../models/VolunteerLog');
+const Initiative = require('../models/Initiative');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { refreshImpact } = require('../utils/impactMetrics');
+const { body, query, validationResult } = require('express-validator');
+
+// Add (sign 1) or take back (sign -1) an approved entry's hours on the
+// initiative and volunteer totals
+const rollUpHours = (log, sign) => Promise.all([
+  Initiative.findByIdAndUpdate(log.initiative, {
+    $inc: { 'impactMetrics.hoursVolunteered': sign * log.hours }
+  }),
+  User.findByIdAndUpdate(log.volunteer, {
+    $inc: { volunteerHours: sign * log.hours }
+  })
+]);
+
+// Build a date range filter from ?from=&to= query params
+const dateRange = ({ from, to }) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// ?from=&to= must be dates when given
+const dateRangeChecks = [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+];
+
+// Serialize rows of plain values as CSV. Text starting with a formula
+// character is prefixed with a quote so spreadsheets do not evaluate it.
+const toCsv = (columns, rows) => {
+  const escape = value => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.map(escape).join(','),
+    ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+  ].join('\r\n');
+};
+
+// @route   GET /api/volunteer-logs/my-logs
+// @desc    Get current user's volunteer hour entries
+// @access  Private
+router.get('/my-logs', auth, async (req, res) => {
+  try {
+    const query = { volunteer: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const logs = await VolunteerLog.find(query)
+      .populate('initiative', 'title')
+      .populate('event', 'title date')
+      .sort({ date: -1 });
+
+    const approvedHours = logs
+      .filter(log => log.status === 'approved')
+      .reduce((sum, log) => sum + log.hours, 0);
+
+    res.json({ logs, approvedHours });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/volunteer-logs/user/:id/history
+// @desc    Get a volunteer's approved hours, grouped by initiative
+// @access  Private (the volunteer or admin)
+router.get('/user/:id/history', auth, async (req, res) => {
+  try {
+    if (req.params.id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const logs = await VolunteerLog.find({ volunteer: req.params.id, status: 'approved' })
+      .populate('initiative', 'title')
+      .populate('event', 'title date')
+      .sort({ date: -1 });
+
+    const byInitiative = {};
+    logs.forEach(log => {
+      if (!log.initiative) return;
+      const key = log.initiative._id.toString();
+      if (!byInitiative[key]) {
+        byInitiative[key] = { initiative: log.initiative, hours: 0, entries: [] };
+      }
+      byInitiative[key].hours += log.hours;
+      byInitiative[key].entries.push(log);
+    });
+
+    res.json({
+      totalHours: logs.reduce((sum, log) => sum + log.hours, 0),
+      initiatives: Object.values(byInitiative).sort((a, b) => b.hours - a.hours)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/volunteer-logs/initiative/:id
+// @desc    Get volunteer hour entries for an initiative (?status=pending for the review queue)
+// @access  Private (owner, coordinator or admin)
+router.get('/initiative/:id', [auth, dateRangeChecks], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const query = { initiative: initiative._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const range = dateRange(req.query);
+    if (range) query.date = range;
+
+    const logs = await VolunteerLog.find(query)
+      .populate('volunteer', 'name email avatar')
+      .populate('event', 'title date')
+      .populate('reviewedBy', 'name')
+      .sort({ date: -1 });
+
+    res.json(logs);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/volunteer-logs/initiative/:id/summary
+// @desc    Per-volunteer summary of approved hours (?format=csv to download, ?from=&to= date range)
+// @access  Private (owner, coordinator or admin)
+router.get('/initiative/:id/summary', [auth, dateRangeChecks], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const initiative = await Initiative.findById(req.params.id);
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.canManage(req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const query = { initiative: initiative._id, status: 'approved' };
+    const range = dateRange(req.query);
+    if (range) query.date = range;
+
+    const logs = await VolunteerLog.find(query)
+      .populate('volunteer', 'name email')
+      .sort({ date: 1 });
+
+    const byVolunteer = {};
+    logs.forEach(log => {
+      if (!log.volunteer) return;
+      const key = log.volunteer._id.toString();
+      if (!byVolunteer[key]) {
+        byVolunteer[key] = {
+          volunteerId: key,
+          name: log.volunteer.name,
+          email: log.volunteer.email,
+          totalHours: 0,
+          entries: 0,
+          firstDate: log.date,
+          lastDate: log.date
+        };
+      }
+      const row = byVolunteer[key];
+      row.totalHours += log.hours;
+      row.entries += 1;
+      row.lastDate = log.date;
+    });
+
+    const summary = Object.values(byVolunteer).sort((a, b) => b.totalHours - a.totalHours);
+
+    if (req.query.format === 'csv') {
+      const rows = summary.map(row => ({
+        ...row,
+        firstDate: row.firstDate.toISOString().slice(0, 10),
+        lastDate: row.lastDate.toISOString().slice(0, 10)
+      }));
+      const columns = ['volunteerId', 'name', 'email', 'totalHours', 'entries', 'firstDate', 'lastDate'];
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="volunteer-hours-${initiative._id}.csv"`);
+      return res.send(toCsv(columns, rows));
+    }
+
+    res.json({
+      initiative: { _id: initiative._id, title: initiative.title },
+      totalHours: summary.reduce((sum, row) => sum + row.totalHours, 0),
+      volunteers: summary
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/volunteer-logs
+// @desc    Log volunteer hours against an initiative (pending until approved)
+// @access  Private (initiative members)
+router.post('/', [
+  auth,
+  [
+    body('initiative').isMongoId().withMessage('Valid initiative ID is required'),
+    body('event').optional().isMongoId().withMessage('Valid event ID is required'),
+    body('date').isISO8601().withMessage('Valid date is required'),
+    body('hours').isFloat({ min: 0.25, max: 24 }).withMessage('Hours must be between 0.25 and 24'),
+    body('description').trim().isLength({ min: 1, max: 1000 })
+      .withMessage('Description is required (max 1000 characters)')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { initiative: initiativeId, event: eventId, date, hours, description } = req.body;
+
+    if (new Date(date) > new Date()) {
+      return res.status(400).json({ message: 'Hours cannot be logged for a future date' });
+    }
+
+    const initiative = await Initiative.findById(initiativeId);
+    if (!initiative) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+
+    if (!initiative.getMember(req.user.id)) {
+      return res.status(403).json({ message: 'Only initiative members can log hours' });
+    }
+
+    if (eventId) {
+      const event = await Event.findById(eventId);
+      if (!event) {
+        return res.status(404).json({ message: 'Event not found' });
+      }
+
+      if (!event.initiative || event.initiative.toString() !== initiative._id.toString()) {
+        return res.status(400).json({ message: 'Event does not belong to this initiative' });
+      }
+    }
+
+    const log = new VolunteerLog({
+      volunteer: req.user.id,
+      initiative: initiative._id,
+      event: eventId,
+      date,
+      hours,
+      description
+    });
+
+    await log.save();
+
+    await log.populate('initiative', 'title');
+    await log.populate('event', 'title date');
+
+    res.json(log);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/volunteer-logs/:id
+// @desc    Edit a pending volunteer hour entry
+// @access  Private (volunteer)
+router.put('/:id', [
+  auth,
+  [
+    body('date').optional().isISO8601().withMessage('Valid date is required'),
+    body('hours').optional().isFloat({ min: 0.25, max: 24 }).withMessage('Hours must be between 0.25 and 24'),
+    body('description').optional().trim().isLength({ min: 1, max: 1000 })
+      .withMessage('Description is required (max 1000 characters)')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const log = await VolunteerLog.findById(req.params.id);
+    if (!log || log.volunteer.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+
+    if (log.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending entries can be edited' });
+    }
+
+    if (req.body.date && new Date(req.body.date) > new Date()) {
+      return res.status(400).json({ message: 'Hours cannot be logged for a future date' });
+    }
+
+    ['date', 'hours', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) log[field] = req.body[field];
+    });
+
+    await log.save();
+    res.json(log);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/volunteer-logs/:id/review
+// @desc    Approve or reject a volunteer hour entry
+// @access  Private (owner, coordinator or admin)
+router.put('/:id/review', [
+  auth,
+  [
+    body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+    body('note').optional().isLength({ max: 500 }).withMessage('Note too long')
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const log = await VolunteerLog.findById(req.params.id);
+    if (!log) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+
+    const initiative = await Initiative.findById(log.initiative);
+    if (!initiative || !initiative.canManage(req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Volunteers cannot approve their own hours unless they are an admin
+    if (log.volunteer.toString() === req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'You cannot review your own hours' });
+    }
+
+    const { status, note } = req.body;
+
+    if (log.status === status) {
+      return res.status(400).json({ message: `Entry is already ${status}` });
+    }
+
+    const wasApproved = log.status === 'approved';
+
+    // Claim the change from the status we read, so concurrent reviews cannot
+    // roll the same hours up (or back) twice
+    const update = { $set: { status, reviewedBy: req.user.id, reviewedAt: new Date() } };
+    if (note === undefined) {
+      update.$unset = { reviewNote: 1 };
+    } else {
+      update.$set.reviewNote = note;
+    }
+
+    const claim = await VolunteerLog.updateOne({ _id: log._id, status: log.status }, update);
+    if (claim.modifiedCount !== 1) {
+      return res.status(409).json({ message: 'Entry was reviewed by someone else, reload and try again' });
+    }
+    log.set({ ...update.$set, reviewNote: note });
+
+    if (status === 'approved') {
+      await rollUpHours(log, 1);
+    } else if (wasApproved) {
+      await rollUpHours(log, -1);
+    }
+
+    refreshImpact(log.initiative).catch(error => console.error(error));
+
+    await Notification.create({
+      recipient: log.volunteer,
+      sender: req.user.id,
+      type: 'volunteer_hours_reviewed',
+      title: `Volunteer hours ${status}`,
+      message: `Your ${log.hours} hour(s) for "${initiative.title}" were ${status}${note ? `: ${note}` : '.'}`,
+      data: { initiative: initiative._id }
+    });
+
+    await log.populate('volunteer', 'name email avatar');
+    await log.populate('reviewedBy', 'name');
+
+    res.json(log);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/volunteer-logs/:id
+// @desc    Delete a volunteer hour entry (volunteers may delete their pending entries)
+// @access  Private (volunteer, owner, coordinator or admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const log = await VolunteerLog.findById(req.params.id);
+    if (!log) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+
+    const isVolunteer = log.volunteer.toString() === req.user.id;
+
+    if (!isVolunteer || log.status !== 'pending') {
+      const initiative = await Initiative.findById(log.initiative);
+      if (!initiative || !initiative.canManage(req.user)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    }
+
+    await log.remove();
+
+    if (log.status === 'approved') {
+      await rollUpHours(log, -1);
+      refreshImpact(log.initiative).catch(error => console.error(error));
+    }
+
+    res.json({ message: 'Entry deleted' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;